@@ -0,0 +1,48 @@
+import { AnalysisError } from '../../src/services/analysisError.js';
+
+const ERROR_STATUS = {
+  INVALID_ADDRESS: 400,
+  TOKEN_NOT_FOUND: 404,
+  NO_DEPLOYER: 422
+};
+
+/**
+ * Run an analysis (analyzeToken / analyzeDeployer) and send its result.
+ * With ?stream=1 the response is newline-delimited JSON: progress events, then the result (or an error).
+ * @param {Object} req
+ * @param {Object} res
+ * @param {(onProgress?: Function) => Promise<Object>} run - Starts the analysis
+ */
+export async function sendAnalysis(req, res, run) {
+  if (req.query.stream === '1') {
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.status(200);
+
+    const send = (event) => res.write(`${JSON.stringify(event)}\n`);
+
+    try {
+      const result = await run((progress) => send({ type: 'progress', ...progress }));
+      send({ type: 'result', result });
+    } catch (error) {
+      send({ type: 'error', ...toErrorBody(error) });
+    }
+    return res.end();
+  }
+
+  try {
+    const result = await run();
+    return res.status(200).json(result);
+  } catch (error) {
+    const status = error instanceof AnalysisError ? (ERROR_STATUS[error.code] || 400) : 500;
+    return res.status(status).json(toErrorBody(error));
+  }
+}
+
+function toErrorBody(error) {
+  if (error instanceof AnalysisError) {
+    return { error: error.message, code: error.code };
+  }
+  console.error('Check error:', error);
+  return { error: 'Internal server error', code: 'INTERNAL' };
+}
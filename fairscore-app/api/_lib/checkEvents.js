@@ -0,0 +1,18 @@
+/**
+ * Listeners for finished token checks (/api/check). The Express server registers the
+ * webhook dispatcher here; on Vercel nothing listens.
+ */
+const listeners = [];
+
+export function onCheckCompleted(listener) {
+  listeners.push(listener);
+}
+
+// Called with every analyzeToken result; a failing listener never fails the check
+export function notifyCheckCompleted(result) {
+  for (const listener of listeners) {
+    Promise.resolve()
+      .then(() => listener(result))
+      .catch(error => console.warn('Check listener failed:', error.message));
+  }
+}
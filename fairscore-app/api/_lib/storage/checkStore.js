@@ -0,0 +1,113 @@
+/**
+ * Storage contract for saved checks. Two backends implement it:
+ * - server/storage/sqliteStore.js - SQLite file, used by the Express server
+ * - api/_lib/storage/kvStore.js - Vercel KV, used by the serverless functions
+ *
+ * Every saved check is kept; "recent checks" are the latest check of each token.
+ * Lists are newest first and paginated with an opaque cursor (nextCursor is null on the last page).
+ *
+ * @typedef {Object} CheckQuery
+ * @property {string} [deployer] - Only checks of tokens from this deployer wallet
+ * @property {string} [tier] - Only checks with this tier
+ * @property {number} [since] - Only checks with checkedAt >= since (ms)
+ * @property {number} [until] - Only checks with checkedAt <= until (ms)
+ * @property {number} [limit] - Page size (DEFAULT_PAGE_SIZE, at most MAX_PAGE_SIZE)
+ * @property {string} [cursor] - nextCursor from the previous page
+ *
+ * @typedef {{items: Object[], nextCursor: string|null}} CheckPage
+ *
+ * @typedef {Object} CheckStore
+ * @property {(entry: Object) => Promise<Object>} saveCheck - Store a check (toRecentCheckEntry shape), returns the stored entry
+ * @property {(query?: CheckQuery) => Promise<CheckPage>} listRecentChecks - Latest check of each token
+ * @property {(tokenAddress: string, query?: CheckQuery) => Promise<CheckPage>} listTokenChecks - Every check of one token
+ * @property {(deployerWallet: string, query?: CheckQuery) => Promise<CheckPage>} listDeployerChecks - Every check of a deployer's tokens
+ */
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return value != null && value !== '' && Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Turn request query params into a CheckQuery - values that don't parse are dropped
+ * @param {Object} params - req.query
+ * @returns {CheckQuery}
+ */
+export function parseCheckQuery(params = {}) {
+  const limit = toNumber(params.limit);
+  return {
+    deployer: params.deployer || undefined,
+    tier: params.tier || undefined,
+    since: toNumber(params.since),
+    until: toNumber(params.until),
+    limit: Math.min(Math.max(Math.floor(limit ?? DEFAULT_PAGE_SIZE), 1), MAX_PAGE_SIZE),
+    cursor: params.cursor || undefined
+  };
+}
+
+export function encodeCursor(checkedAt, id) {
+  return Buffer.from(JSON.stringify([checkedAt, id])).toString('base64url');
+}
+
+// null for a missing or garbled cursor (the list starts from the newest)
+export function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const [checkedAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return typeof checkedAt === 'number' ? { checkedAt, id } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Entry as stored: checkedAt is what lists are ordered by and what decides the latest check.
+ * It is the server's clock at save time, whatever the entry says; only imports of the old storage
+ * keep their times.
+ * @param {Object} entry
+ * @param {{imported?: boolean}} [options]
+ */
+export function toStoredEntry(entry, { imported = false } = {}) {
+  const serverCheckedAt = Date.now();
+  return {
+    ...entry,
+    id: entry.tokenAddress,
+    checkedAt: imported ? entry.checkedAt ?? serverCheckedAt : serverCheckedAt,
+    serverCheckedAt
+  };
+}
+
+/**
+ * Checks kept by the old storage (one entry per token + 500-snapshot history lists),
+ * oldest first, ready to be saved into a CheckStore
+ * @param {Object[]} recentEntries - Old recent-checks list
+ * @param {(tokenAddress: string) => Promise<Object[]>} getHistory - Old snapshots of a token, oldest first
+ * @returns {Promise<Object[]>}
+ */
+export async function collectLegacyChecks(recentEntries, getHistory) {
+  const checks = [];
+  for (const entry of recentEntries) {
+    const snapshots = await getHistory(entry.tokenAddress);
+    if (snapshots.length === 0) {
+      checks.push(entry);
+      continue;
+    }
+    // Snapshots only carry the metrics - the rest comes from the token's latest entry
+    for (const snapshot of snapshots) {
+      checks.push({
+        ...entry,
+        score: snapshot.score,
+        tier: snapshot.tier,
+        fairScore: snapshot.fairScore,
+        currentMarketCap: snapshot.marketCap,
+        totalHolders: snapshot.totalHolders,
+        top10HeldPct: snapshot.top10HeldPct,
+        checkedAt: snapshot.checkedAt
+      });
+    }
+  }
+  return checks.sort((a, b) => (a.checkedAt || 0) - (b.checkedAt || 0));
+}
@@ -0,0 +1,21 @@
+/**
+ * The check store used by the API handlers. Vercel functions get the KV store;
+ * the Express server swaps in SQLite with setCheckStore() before it starts listening.
+ */
+let store = null;
+
+export function setCheckStore(checkStore) {
+  store = checkStore;
+}
+
+/**
+ * @returns {Promise<import('./checkStore.js').CheckStore>}
+ */
+export async function getCheckStore() {
+  if (!store) {
+    // Imported lazily so the Express server never loads @vercel/kv
+    const { createKvStore } = await import('./kvStore.js');
+    store = createKvStore();
+  }
+  return store;
+}
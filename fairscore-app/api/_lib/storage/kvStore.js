@@ -0,0 +1,191 @@
+import { kv } from '@vercel/kv';
+import { collectLegacyChecks, decodeCursor, encodeCursor, toStoredEntry } from './checkStore.js';
+
+/**
+ * Keys (every sorted set is scored by checkedAt):
+ * - check:<checkedAt>:<mint> - one saved check
+ * - checks:all / checks:token:<mint> / checks:deployer:<wallet> / checks:tier:<tier> - check ids
+ * - latest:<mint> - latest check of a token
+ * - recent:all / recent:deployer:<wallet> / recent:tier:<tier> - mints, by their latest check
+ */
+const checkKey = (checkId) => `check:${checkId}`;
+const latestKey = (mint) => `latest:${mint}`;
+
+// Keys written by the old storage, imported once
+const LEGACY_RECENT_KEY = 'recent_checks';
+const LEGACY_HISTORY_PREFIX = 'token_history:';
+const MIGRATED_KEY = 'storage:migrated';
+
+// Ids read per round trip while filling a page
+const BATCH_SIZE = 100;
+
+// Moves latest:<mint> and the recent:* indexes to a new check in one step, so concurrent saves
+// of the same mint can't both read the old latest check and leave it in a stale index.
+// KEYS: latest:<mint>, recent:all. ARGV: entry JSON, checkedAt, mint, deployerWallet, tier ('' if none).
+const SAVE_LATEST_SCRIPT = `
+local function text(value)
+  if type(value) == 'string' then return value end
+  return ''
+end
+
+local raw = redis.call('GET', KEYS[1])
+local previous = raw and cjson.decode(raw)
+-- Older checks (e.g. legacy imports) don't replace the latest one
+if previous and tonumber(previous.checkedAt) > tonumber(ARGV[2]) then
+  return 0
+end
+
+local mint, deployer, tier = ARGV[3], ARGV[4], ARGV[5]
+redis.call('SET', KEYS[1], ARGV[1])
+redis.call('ZADD', KEYS[2], ARGV[2], mint)
+if previous then
+  local previousDeployer, previousTier = text(previous.deployerWallet), text(previous.tier)
+  if previousDeployer ~= '' and previousDeployer ~= deployer then
+    redis.call('ZREM', 'recent:deployer:' .. previousDeployer, mint)
+  end
+  if previousTier ~= '' and previousTier ~= tier then
+    redis.call('ZREM', 'recent:tier:' .. previousTier, mint)
+  end
+end
+if deployer ~= '' then redis.call('ZADD', 'recent:deployer:' .. deployer, ARGV[2], mint) end
+if tier ~= '' then redis.call('ZADD', 'recent:tier:' .. tier, ARGV[2], mint) end
+return 1
+`;
+
+/**
+ * Walk a sorted-set index newest first and collect one page of entries
+ * @param {Object} client - Redis client
+ * @param {string} indexKey - Sorted set to walk
+ * @param {(member: string) => string} toEntryKey - Key holding the entry for a member
+ * @param {import('./checkStore.js').CheckQuery} query
+ * @param {(entry: Object) => boolean} matches - Filters the index can't answer
+ */
+async function readPage(client, indexKey, toEntryKey, query, matches) {
+  const cursor = decodeCursor(query.cursor);
+  const limit = query.limit;
+  const max = Math.min(cursor?.checkedAt ?? Infinity, query.until ?? Infinity);
+  const min = query.since ?? '-inf';
+
+  const found = [];
+  let offset = 0;
+  while (found.length <= limit) {
+    const members = await client.zrange(indexKey, max === Infinity ? '+inf' : max, min, {
+      byScore: true,
+      rev: true,
+      offset,
+      count: BATCH_SIZE
+    });
+    if (members.length === 0) break;
+    offset += members.length;
+
+    const entries = await client.mget(...members.map(toEntryKey));
+    for (let i = 0; i < members.length && found.length <= limit; i++) {
+      const entry = entries[i];
+      if (!entry) continue;
+      // Same-millisecond checks come in reverse member order - skip the ones already served
+      if (cursor && entry.checkedAt === cursor.checkedAt && members[i] >= cursor.id) continue;
+      if (matches(entry)) {
+        found.push({ member: members[i], entry });
+      }
+    }
+    if (members.length < BATCH_SIZE) break;
+  }
+
+  const page = found.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    items: page.map(({ entry }) => entry),
+    nextCursor: found.length > limit ? encodeCursor(last.entry.checkedAt, last.member) : null
+  };
+}
+
+// Filters not covered by the index being walked
+function filterFor(query, indexed) {
+  return (entry) =>
+    (indexed === 'deployer' || !query.deployer || entry.deployerWallet === query.deployer) &&
+    (indexed === 'tier' || !query.tier || entry.tier === query.tier);
+}
+
+/**
+ * Check store on Vercel KV (Redis) - see checkStore.js for the contract
+ * @param {Object} [options]
+ * @param {Object} [options.client] - Redis client (default: the Vercel KV one); tests pass a stand-in
+ * @returns {import('./checkStore.js').CheckStore}
+ */
+export function createKvStore({ client = kv } = {}) {
+  let ready = null;
+
+  async function save(entry, options) {
+    const stored = toStoredEntry(entry, options);
+    const mint = stored.tokenAddress;
+    const checkId = `${stored.checkedAt}:${mint}`;
+
+    const tx = client.multi();
+    tx.set(checkKey(checkId), stored);
+    const byTime = { score: stored.checkedAt, member: checkId };
+    tx.zadd('checks:all', byTime);
+    tx.zadd(`checks:token:${mint}`, byTime);
+    if (stored.deployerWallet) tx.zadd(`checks:deployer:${stored.deployerWallet}`, byTime);
+    if (stored.tier) tx.zadd(`checks:tier:${stored.tier}`, byTime);
+
+    tx.eval(SAVE_LATEST_SCRIPT, [latestKey(mint), 'recent:all'], [
+      JSON.stringify(stored),
+      stored.checkedAt,
+      mint,
+      stored.deployerWallet || '',
+      stored.tier || ''
+    ]);
+    await tx.exec();
+    return stored;
+  }
+
+  // Copies the old recent_checks list and token_history:* lists over. Check ids are
+  // deterministic, so two functions importing at the same time write the same keys.
+  async function importLegacy() {
+    try {
+      if (await client.get(MIGRATED_KEY)) return;
+      const recent = await client.get(LEGACY_RECENT_KEY) || [];
+      const checks = await collectLegacyChecks(recent, async (mint) =>
+        ((await client.lrange(`${LEGACY_HISTORY_PREFIX}${mint}`, 0, -1)) || []).reverse()
+      );
+      for (const check of checks) {
+        await save(check, { imported: true });
+      }
+      await client.set(MIGRATED_KEY, Date.now());
+      if (checks.length > 0) {
+        console.log(`Imported ${checks.length} checks from the old KV storage`);
+      }
+    } catch (error) {
+      console.warn('Legacy check import failed:', error.message);
+      ready = null;
+    }
+  }
+
+  const whenReady = () => (ready ??= importLegacy());
+
+  return {
+    async saveCheck(entry) {
+      await whenReady();
+      return save(entry);
+    },
+
+    async listRecentChecks(query) {
+      await whenReady();
+      const indexed = query.deployer ? 'deployer' : query.tier ? 'tier' : null;
+      const indexKey = indexed === 'deployer'
+        ? `recent:deployer:${query.deployer}`
+        : indexed === 'tier' ? `recent:tier:${query.tier}` : 'recent:all';
+      return readPage(client, indexKey, latestKey, query, filterFor(query, indexed));
+    },
+
+    async listTokenChecks(tokenAddress, query) {
+      await whenReady();
+      return readPage(client, `checks:token:${tokenAddress}`, checkKey, query, filterFor(query, null));
+    },
+
+    async listDeployerChecks(deployerWallet, query) {
+      await whenReady();
+      return readPage(client, `checks:deployer:${deployerWallet}`, checkKey, query, filterFor(query, 'deployer'));
+    }
+  };
+}
@@ -0,0 +1,228 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lua, lauxlib, lualib, to_luastring } from 'fengari';
+import { createKvStore } from './kvStore.js';
+
+const DEV_A = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+const DEV_B = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+const MINTS = [
+  'So11111111111111111111111111111111111111112',
+  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+  'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263',
+  'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN',
+  '4k3Dyjzvzp8eMZWUXbBCjEvwSkkk59S5iCNLY3QrkX6R'
+];
+
+/**
+ * Run a script like Redis EVAL does, in a Lua VM: KEYS, ARGV, redis.call() and enough of
+ * cjson.decode for flat objects (nulls and nested values come through as nil)
+ */
+function runScript(script, keys, args, commands) {
+  const L = lauxlib.luaL_newstate();
+  lualib.luaL_openlibs(L);
+
+  const setStrings = (name, values) => {
+    lua.lua_createtable(L, values.length, 0);
+    values.forEach((value, i) => {
+      lua.lua_pushstring(L, to_luastring(value));
+      lua.lua_rawseti(L, -2, i + 1);
+    });
+    lua.lua_setglobal(L, to_luastring(name));
+  };
+  const setFunction = (table, name, fn) => {
+    lua.lua_createtable(L, 0, 1);
+    lua.lua_pushjsfunction(L, fn);
+    lua.lua_setfield(L, -2, to_luastring(name));
+    lua.lua_setglobal(L, to_luastring(table));
+  };
+
+  setStrings('KEYS', keys);
+  setStrings('ARGV', args.map(String));
+  // A nil reply is false in Lua, like in Redis
+  setFunction('redis', 'call', (L) => {
+    const [command, ...params] = Array.from({ length: lua.lua_gettop(L) }, (_, i) => lua.lua_tojsstring(L, i + 1));
+    const result = commands[command](...params);
+    if (result == null) lua.lua_pushboolean(L, false);
+    else if (typeof result === 'number') lua.lua_pushinteger(L, result);
+    else lua.lua_pushstring(L, to_luastring(result));
+    return 1;
+  });
+  setFunction('cjson', 'decode', (L) => {
+    lua.lua_createtable(L, 0, 0);
+    for (const [key, value] of Object.entries(JSON.parse(lua.lua_tojsstring(L, 1)))) {
+      if (typeof value === 'string') lua.lua_pushstring(L, to_luastring(value));
+      else if (typeof value === 'number') lua.lua_pushnumber(L, value);
+      else if (typeof value === 'boolean') lua.lua_pushboolean(L, value);
+      else continue;
+      lua.lua_setfield(L, -2, to_luastring(key));
+    }
+    return 1;
+  });
+
+  if (lauxlib.luaL_loadstring(L, to_luastring(script)) !== lua.LUA_OK || lua.lua_pcall(L, 0, 1, 0) !== lua.LUA_OK) {
+    throw new Error(lua.lua_tojsstring(L, -1));
+  }
+  return lua.lua_tointeger(L, -1);
+}
+
+// Redis stand-in with the calls kvStore makes. Values are kept as strings and parsed on the way out
+// like @vercel/kv does; scripts run for real against the same data.
+function fakeRedis() {
+  const strings = new Map();
+  const lists = new Map();
+  const sortedSets = new Map();
+  const zset = (key) => sortedSets.get(key) || sortedSets.set(key, new Map()).get(key);
+  const parse = (raw) => {
+    if (raw == null) return null;
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return raw;
+    }
+  };
+
+  // What redis.call() in a script can run
+  const commands = {
+    GET: (key) => strings.get(key) ?? null,
+    SET: (key, value) => strings.set(key, value) && 'OK',
+    ZADD: (key, score, member) => zset(key).set(member, Number(score)) && 1,
+    ZREM: (key, member) => Number(zset(key).delete(member))
+  };
+  const toScore = (bound) => bound === '+inf' ? Infinity : bound === '-inf' ? -Infinity : Number(bound);
+
+  const client = {
+    async get(key) { return parse(commands.GET(key)); },
+    async set(key, value) { return commands.SET(key, typeof value === 'string' ? value : JSON.stringify(value)); },
+    async mget(...keys) { return keys.map(key => parse(commands.GET(key))); },
+    async lrange(key, start, stop) { return (lists.get(key) || []).slice(start, stop === -1 ? undefined : stop + 1).map(parse); },
+    async zadd(key, { score, member }) { return commands.ZADD(key, score, member); },
+    // Only the form the store uses: by score, highest first (ties in reverse member order), paged
+    async zrange(key, max, min, { offset = 0, count = Infinity }) {
+      return [...zset(key)]
+        .filter(([, score]) => score <= toScore(max) && score >= toScore(min))
+        .sort(([a, scoreA], [b, scoreB]) => scoreB - scoreA || (a < b ? 1 : a > b ? -1 : 0))
+        .slice(offset, offset + count)
+        .map(([member]) => member);
+    },
+    async eval(script, keys, args) { return runScript(script, keys, args, commands); },
+    multi() {
+      const queued = [];
+      const tx = { exec: async () => Promise.all(queued.map(run => run())) };
+      for (const name of ['set', 'zadd', 'eval']) {
+        tx[name] = (...args) => queued.push(() => client[name](...args)) && tx;
+      }
+      return tx;
+    }
+  };
+
+  return { client, lists, members: (key) => [...zset(key).keys()] };
+}
+
+// Saved checks get the server's clock - pin it so tests decide checkedAt
+function mockClock(t, start = 1_000) {
+  const clock = { now: start };
+  t.mock.method(Date, 'now', () => clock.now);
+  return clock;
+}
+
+const check = (tokenAddress, overrides = {}) => ({ tokenAddress, deployerWallet: DEV_A, tier: 'MEH', score: 400, ...overrides });
+
+// Every page of a list, following nextCursor
+async function readAll(list, limit) {
+  const pages = [];
+  let cursor;
+  do {
+    const page = await list({ limit, cursor });
+    pages.push(page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return pages;
+}
+
+test('recent checks page through every token once, newest first', async (t) => {
+  const clock = mockClock(t);
+  const store = createKvStore({ client: fakeRedis().client });
+  for (const mint of MINTS) {
+    await store.saveCheck(check(mint));
+    clock.now += 1_000;
+  }
+
+  const pages = await readAll(query => store.listRecentChecks(query), 2);
+
+  assert.deepEqual(pages.map(page => page.length), [2, 2, 1]);
+  assert.deepEqual(pages.flat().map(entry => entry.tokenAddress), [...MINTS].reverse());
+});
+
+test('checks saved in the same millisecond are neither skipped nor repeated across pages', async (t) => {
+  mockClock(t);
+  const store = createKvStore({ client: fakeRedis().client });
+  for (const mint of MINTS) {
+    await store.saveCheck(check(mint));
+  }
+
+  for (const limit of [1, 2, 3]) {
+    const recent = (await readAll(query => store.listRecentChecks(query), limit)).flat();
+    assert.deepEqual(recent.map(entry => entry.tokenAddress).sort(), [...MINTS].sort());
+  }
+  const byDeployer = (await readAll(query => store.listDeployerChecks(DEV_A, query), 2)).flat();
+  assert.equal(new Set(byDeployer.map(entry => entry.tokenAddress)).size, MINTS.length);
+});
+
+test('a newer check moves the token out of its old deployer and tier indexes', async (t) => {
+  const clock = mockClock(t);
+  const redis = fakeRedis();
+  const store = createKvStore({ client: redis.client });
+  await store.saveCheck(check(MINTS[0], { deployerWallet: DEV_A, tier: 'RISKY' }));
+  clock.now += 1_000;
+  await store.saveCheck(check(MINTS[0], { deployerWallet: DEV_B, tier: 'DANGER' }));
+
+  assert.deepEqual(redis.members('recent:all'), [MINTS[0]]);
+  assert.deepEqual(redis.members(`recent:deployer:${DEV_A}`), []);
+  assert.deepEqual(redis.members('recent:tier:RISKY'), []);
+  assert.deepEqual(redis.members(`recent:deployer:${DEV_B}`), [MINTS[0]]);
+  assert.deepEqual(redis.members('recent:tier:DANGER'), [MINTS[0]]);
+
+  const { items } = await store.listRecentChecks({ limit: 10 });
+  assert.deepEqual(items.map(entry => [entry.tokenAddress, entry.tier, entry.checkedAt]), [[MINTS[0], 'DANGER', 2_000]]);
+  assert.deepEqual((await store.listRecentChecks({ limit: 10, tier: 'RISKY' })).items, []);
+  // The history keeps both
+  assert.deepEqual((await store.listTokenChecks(MINTS[0], { limit: 10 })).items.map(entry => entry.tier), ['DANGER', 'RISKY']);
+});
+
+test('the old keys are imported once, keeping their times', async (t) => {
+  mockClock(t, 10_000);
+  const redis = fakeRedis();
+  await redis.client.set('recent_checks', [check(MINTS[0], { checkedAt: 2_000 }), check(MINTS[1], { checkedAt: 1_500 })]);
+  // Old history lists were pushed newest first
+  redis.lists.set(`token_history:${MINTS[0]}`, [
+    { score: 400, tier: 'MEH', checkedAt: 2_000 },
+    { score: 200, tier: 'RISKY', checkedAt: 1_000 }
+  ].map(snapshot => JSON.stringify(snapshot)));
+
+  const store = createKvStore({ client: redis.client });
+  const recent = (await store.listRecentChecks({ limit: 10 })).items;
+  assert.deepEqual(recent.map(entry => [entry.tokenAddress, entry.tier, entry.checkedAt]), [
+    [MINTS[0], 'MEH', 2_000],
+    [MINTS[1], 'MEH', 1_500]
+  ]);
+  assert.deepEqual((await store.listTokenChecks(MINTS[0], { limit: 10 })).items.map(entry => entry.tier), ['MEH', 'RISKY']);
+  assert.equal(await redis.client.get('storage:migrated'), 10_000);
+});
+
+test('an imported check older than the latest one doesn\'t replace it', async (t) => {
+  const clock = mockClock(t, 5_000);
+  const redis = fakeRedis();
+  await redis.client.set('recent_checks', [check(MINTS[0], { tier: 'RISKY', checkedAt: 1_000 })]);
+  // Another instance saved a check of the token before this one ran its import
+  await redis.client.set('storage:migrated', 1);
+  await createKvStore({ client: redis.client }).saveCheck(check(MINTS[0], { tier: 'DANGER' }));
+  await redis.client.set('storage:migrated', null);
+
+  clock.now += 1_000;
+  const store = createKvStore({ client: redis.client });
+  const { items } = await store.listRecentChecks({ limit: 10 });
+
+  assert.deepEqual(items.map(entry => [entry.tier, entry.checkedAt]), [['DANGER', 5_000]]);
+  assert.deepEqual(redis.members('recent:tier:RISKY'), []);
+  assert.deepEqual((await store.listTokenChecks(MINTS[0], { limit: 10 })).items.map(entry => entry.checkedAt), [5_000, 1_000]);
+});
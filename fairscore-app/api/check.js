@@ -0,0 +1,45 @@
+// Runs the full deployer check server-side - Helius, Birdeye, Groq and FairScale keys never reach the browser
+import { analyzeToken } from '../src/services/analyzeToken.js';
+import { sendAnalysis } from './_lib/analysisResponse.js';
+import { notifyCheckCompleted } from './_lib/checkEvents.js';
+import { getCheckStore } from './_lib/storage/index.js';
+import { toRecentCheckEntry } from '../src/services/recentChecks.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { mint, twitter } = req.query;
+
+  if (!mint) {
+    return res.status(400).json({ error: 'mint parameter required' });
+  }
+
+  // stream=1 sends newline-delimited JSON: progress events, then the result (or an error)
+  return sendAnalysis(req, res, async (onProgress) => {
+    const result = await analyzeToken(mint, { twitter, onProgress });
+    await saveCheck(result);
+    notifyCheckCompleted(result);
+    return result;
+  });
+}
+
+// Checks are saved here, from the server's own result - clients can't write to the check store
+async function saveCheck(result) {
+  try {
+    const store = await getCheckStore();
+    await store.saveCheck(toRecentCheckEntry(result));
+  } catch (error) {
+    console.warn('Saving check of', result.tokenAddress, 'failed:', error.message);
+  }
+}
@@ -0,0 +1,42 @@
+// Deployer lookup by wallet - the token-less counterpart of /api/check
+import { analyzeDeployer } from '../../src/services/analyzeDeployer.js';
+import { sendAnalysis } from '../_lib/analysisResponse.js';
+import { getCheckStore } from '../_lib/storage/index.js';
+import { MAX_PAGE_SIZE } from '../_lib/storage/checkStore.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Vercel puts the path segment in the query, Express in the params
+  const wallet = req.query.wallet ?? req.params?.wallet;
+  const { twitter } = req.query;
+
+  // stream=1 sends newline-delimited JSON: progress events, then the result (or an error)
+  return sendAnalysis(req, res, async (onProgress) => {
+    const profile = await analyzeDeployer(wallet, { twitter, onProgress });
+    return { ...profile, checkedTokens: await getCheckedTokens(wallet) };
+  });
+}
+
+// Latest saved check of every token by this deployer, newest first
+async function getCheckedTokens(wallet) {
+  try {
+    const store = await getCheckStore();
+    const { items } = await store.listRecentChecks({ deployer: wallet, limit: MAX_PAGE_SIZE });
+    return items;
+  } catch (error) {
+    console.warn('Could not list checked tokens for', wallet, '-', error.message);
+    return [];
+  }
+}
@@ -1,12 +1,10 @@
-import { kv } from '@vercel/kv';
-
-const MAX_ENTRIES = 100;
-const KV_KEY = 'recent_checks';
+import { getCheckStore } from './_lib/storage/index.js';
+import { parseCheckQuery } from './_lib/storage/checkStore.js';
 
 export default async function handler(req, res) {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 
   if (req.method === 'OPTIONS') {
@@ -14,38 +12,13 @@ export default async function handler(req, res) {
   }
 
   try {
-    if (req.method === 'GET') {
-      // Fetch all recent checks
-      const data = await kv.get(KV_KEY) || [];
-      return res.status(200).json(data);
-    }
-
-    if (req.method === 'POST') {
-      const entry = req.body;
-
-      if (!entry || !entry.tokenAddress) {
-        return res.status(400).json({ error: 'Invalid entry' });
-      }
-
-      // Get existing data
-      const data = await kv.get(KV_KEY) || [];
+    const store = await getCheckStore();
 
-      // Remove existing entry for same token
-      const filtered = data.filter(e => e.tokenAddress !== entry.tokenAddress);
-
-      // Add new entry at the beginning
-      const newEntry = {
-        ...entry,
-        id: entry.tokenAddress,
-        serverCheckedAt: Date.now()
-      };
-
-      const updated = [newEntry, ...filtered].slice(0, MAX_ENTRIES);
-
-      // Save back to KV
-      await kv.set(KV_KEY, updated);
-
-      return res.status(200).json(newEntry);
+    // Read-only: /api/check saves every check it runs
+    if (req.method === 'GET') {
+      // Latest check of each token, newest first - filter with ?tier=&deployer=&since=&until=, page with ?limit=&cursor=
+      const page = await store.listRecentChecks(parseCheckQuery(req.query));
+      return res.status(200).json(page);
     }
 
     return res.status(405).json({ error: 'Method not allowed' });
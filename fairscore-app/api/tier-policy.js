@@ -0,0 +1,22 @@
+// Active tier policy - the browser loads it on startup so the UI matches the tiers the server scores with
+import { loadTierPolicy } from '../src/services/tierPolicy.js';
+import { TIER_POLICY_SOURCE } from '../src/services/serverConfig.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const policy = await loadTierPolicy(TIER_POLICY_SOURCE);
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  return res.status(200).json(policy);
+}
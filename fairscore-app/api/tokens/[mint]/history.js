@@ -0,0 +1,41 @@
+import { getCheckStore } from '../../_lib/storage/index.js';
+import { MAX_PAGE_SIZE, parseCheckQuery } from '../../_lib/storage/checkStore.js';
+import { toHistorySnapshot } from '../../../src/services/recentChecks.js';
+import { isValidSolanaAddress } from '../../../src/utils/storage.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Vercel puts the path segment in the query, Express in the params
+  const mint = req.query.mint ?? req.params?.mint;
+
+  if (!isValidSolanaAddress(mint)) {
+    return res.status(400).json({ error: 'Invalid mint' });
+  }
+
+  try {
+    const store = await getCheckStore();
+    // Newest checks first, up to MAX_PAGE_SIZE per page - ?cursor= goes further back
+    const { items, nextCursor } = await store.listTokenChecks(mint, parseCheckQuery({ limit: MAX_PAGE_SIZE, ...req.query }));
+    return res.status(200).json({
+      mint,
+      // The chart wants them oldest first
+      snapshots: items.map(toHistorySnapshot).reverse(),
+      nextCursor
+    });
+  } catch (error) {
+    console.error('API error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
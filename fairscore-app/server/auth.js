@@ -0,0 +1,21 @@
+import crypto from 'crypto';
+
+/**
+ * Middleware that needs `Authorization: Bearer <adminToken>`; without a token configured the guarded routes are off
+ * @param {string|undefined} adminToken
+ * @param {string} disabledMessage - 503 error when no token is configured (which env var to set)
+ */
+export function requireAdmin(adminToken, disabledMessage) {
+  const expected = adminToken ? Buffer.from(adminToken) : null;
+  return (req, res, next) => {
+    if (!expected) {
+      return res.status(503).json({ error: disabledMessage });
+    }
+    const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+    const received = Buffer.from(match?.[1] || '');
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+  };
+}
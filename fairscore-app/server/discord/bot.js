@@ -0,0 +1,174 @@
+import { ApplicationCommandOptionType, Client, Events, GatewayIntentBits, InteractionContextType, MessageFlags, PermissionFlagsBits } from 'discord.js';
+import { analyzeToken } from '../../src/services/analyzeToken.js';
+import { toRecentCheckEntry } from '../../src/services/recentChecks.js';
+import { getTierColor } from '../../src/services/tierPolicy.js';
+import { isValidSolanaAddress, truncateAddress } from '../../src/utils/storage.js';
+import { notifyCheckCompleted } from '../../api/_lib/checkEvents.js';
+import { buildCheckEmbed, toEmbedColor } from './embed.js';
+
+// Slash commands, registered globally when the bot connects
+export const COMMANDS = [
+  {
+    name: 'check',
+    description: 'Check the deployer behind a token',
+    options: [
+      { name: 'mint', description: 'Token CA', type: ApplicationCommandOptionType.String, required: true },
+      { name: 'twitter', description: 'Project twitter handle', type: ApplicationCommandOptionType.String }
+    ]
+  },
+  {
+    name: 'watch',
+    description: 'Re-check a token or dev in the background and post what changes here',
+    // Server managers only (handleWatch checks too - server admins can override command permissions)
+    default_member_permissions: PermissionFlagsBits.ManageGuild.toString(),
+    contexts: [InteractionContextType.Guild],
+    options: [
+      { name: 'address', description: 'Token CA or dev wallet', type: ApplicationCommandOptionType.String, required: true },
+      {
+        name: 'kind',
+        description: 'What the address is (default: token)',
+        type: ApplicationCommandOptionType.String,
+        choices: [{ name: 'token', value: 'token' }, { name: 'dev wallet', value: 'deployer' }]
+      },
+      { name: 'label', description: 'Name to show in the watchlist', type: ApplicationCommandOptionType.String }
+    ]
+  }
+];
+
+/**
+ * Discord bot with /check and /watch. Takes the client so tests can drive it with a fake gateway:
+ * anything with on(event, listener), application.commands.set() and channels.fetch() will do.
+ * @param {Object} options
+ * @param {Object} options.client - discord.js Client (or a stand-in)
+ * @param {Object} options.watchStore - createWatchlistStore() result
+ * @param {Object} options.scheduler - createWatchScheduler() result
+ * @param {Object} options.discordStore - createDiscordStore() result
+ * @param {Object} [options.checkStore] - /check results are saved here (recent checks + history)
+ * @param {Function} [options.analyze] - Token analysis (analyzeToken)
+ */
+export function createDiscordBot({ client, watchStore, scheduler, discordStore, checkStore = null, analyze = analyzeToken }) {
+  async function handleCheck(interaction) {
+    const mint = interaction.options.getString('mint', true).trim();
+    const twitter = interaction.options.getString('twitter');
+
+    if (!isValidSolanaAddress(mint)) {
+      return interaction.reply({ content: 'ngmi - invalid address', flags: MessageFlags.Ephemeral });
+    }
+
+    // A check takes longer than the 3 seconds Discord waits for a reply
+    await interaction.deferReply();
+    try {
+      const result = await analyze(mint, { twitter });
+      if (checkStore) {
+        await checkStore.saveCheck(toRecentCheckEntry(result));
+      }
+      notifyCheckCompleted(result);
+      await interaction.editReply({ embeds: [buildCheckEmbed(result)] });
+    } catch (error) {
+      // AnalysisError messages are written for users; anything else isn't
+      if (error.name !== 'AnalysisError') {
+        console.error('Discord /check failed:', error);
+      }
+      await interaction.editReply({ content: error.name === 'AnalysisError' ? error.message : 'check failed, try again later' });
+    }
+  }
+
+  async function handleWatch(interaction) {
+    const address = interaction.options.getString('address', true).trim();
+    const kind = interaction.options.getString('kind') || 'token';
+    const label = interaction.options.getString('label');
+
+    if (!interaction.inGuild() || !interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      return interaction.reply({ content: 'only server managers can /watch', flags: MessageFlags.Ephemeral });
+    }
+    if (!isValidSolanaAddress(address)) {
+      return interaction.reply({ content: 'ngmi - invalid address', flags: MessageFlags.Ephemeral });
+    }
+
+    // Each Discord server has its own cap (see createWatchlistStore)
+    let watch;
+    try {
+      watch = await watchStore.addWatch({ kind, address, label: label || null, owner: `discord:${interaction.guildId}` });
+    } catch (error) {
+      if (error.name !== 'WatchLimitError') throw error;
+      return interaction.reply({ content: error.message, flags: MessageFlags.Ephemeral });
+    }
+    await discordStore.subscribeChannel(watch.id, interaction.channelId);
+
+    // Baseline snapshot, queued like POST /api/watchlist's
+    if (!watch.lastCheckedAt) {
+      scheduler.enqueue(watch);
+    }
+    await interaction.reply({
+      content: `watching ${kind === 'token' ? 'token' : 'dev'} \`${address}\` - changes get posted in this channel`
+    });
+  }
+
+  const handlers = { check: handleCheck, watch: handleWatch };
+
+  // One interaction from the gateway; only our slash commands are handled
+  async function handleInteraction(interaction) {
+    if (!interaction.isChatInputCommand?.()) return;
+    const handler = handlers[interaction.commandName];
+    if (!handler) return;
+
+    try {
+      await handler(interaction);
+    } catch (error) {
+      console.error(`Discord /${interaction.commandName} failed:`, error);
+      const reply = { content: 'something broke, try again later', flags: MessageFlags.Ephemeral };
+      await (interaction.deferred || interaction.replied ? interaction.followUp(reply) : interaction.reply(reply))
+        .catch(() => {});
+    }
+  }
+
+  /**
+   * Post a watchlist re-check's changes to every channel that /watch-ed it
+   * (see createWatchScheduler's onChanges)
+   */
+  async function notifyWatchChange(watch, events, snapshot) {
+    const channelIds = await discordStore.listChannels(watch.id);
+    if (channelIds.length === 0) return;
+
+    const embed = {
+      title: `${watch.label || truncateAddress(watch.address)} changed`,
+      color: toEmbedColor(getTierColor(snapshot.tier)),
+      description: events.map(event => `• ${event.message}`).join('\n'),
+      footer: { text: `${watch.kind === 'token' ? 'token' : 'dev'} ${watch.address}` },
+      timestamp: new Date(snapshot.checkedAt).toISOString()
+    };
+
+    for (const channelId of channelIds) {
+      try {
+        const channel = await client.channels.fetch(channelId);
+        await channel.send({ embeds: [embed] });
+      } catch (error) {
+        console.warn(`Discord post to channel ${channelId} failed:`, error.message);
+      }
+    }
+  }
+
+  client.once(Events.ClientReady, async () => {
+    try {
+      await client.application.commands.set(COMMANDS);
+      console.log(`Discord bot ready as ${client.user?.tag}`);
+    } catch (error) {
+      console.error('Registering Discord commands failed:', error);
+    }
+  });
+  client.on(Events.InteractionCreate, handleInteraction);
+
+  return { handleInteraction, notifyWatchChange };
+}
+
+/**
+ * Connect to the Discord gateway with a bot token and run the bot
+ * @param {string} token - DISCORD_TOKEN
+ * @param {Object} options - createDiscordBot options, without client
+ */
+export async function startDiscordBot(token, options) {
+  const client = new Client({ intents: [GatewayIntentBits.Guilds] });
+  const bot = createDiscordBot({ ...options, client });
+  await client.login(token);
+  return bot;
+}
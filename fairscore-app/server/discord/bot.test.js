@@ -0,0 +1,163 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { MessageFlags, PermissionFlagsBits } from 'discord.js';
+import { AnalysisError } from '../../src/services/analysisError.js';
+import { getTierColor } from '../../src/services/tierPolicy.js';
+import { WatchLimitError } from '../storage/watchlistStore.js';
+import { createDiscordBot } from './bot.js';
+import { toEmbedColor } from './embed.js';
+
+const MINT = 'So11111111111111111111111111111111111111112';
+const DEV = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+
+// Gateway stand-in: events plus the two client calls the bot makes
+function fakeClient() {
+  const client = new EventEmitter();
+  client.application = { commands: { set: async () => {} } };
+  client.channels = { fetch: async () => ({ send: async () => {} }) };
+  return client;
+}
+
+// Slash command interaction in a server, by a member with the given permissions, that records what the bot answered
+function fakeInteraction(commandName, options, permissions = [PermissionFlagsBits.ManageGuild]) {
+  const calls = [];
+  return {
+    calls,
+    commandName,
+    channelId: 'channel-1',
+    guildId: 'guild-1',
+    memberPermissions: { has: (permission) => permissions.includes(permission) },
+    deferred: false,
+    replied: false,
+    isChatInputCommand: () => true,
+    inGuild: () => true,
+    options: { getString: (name) => options[name] ?? null },
+    async reply(payload) { this.replied = true; calls.push(['reply', payload]); },
+    async deferReply() { this.deferred = true; calls.push(['deferReply']); },
+    async editReply(payload) { calls.push(['editReply', payload]); },
+    async followUp(payload) { calls.push(['followUp', payload]); }
+  };
+}
+
+function createBot(overrides = {}) {
+  return createDiscordBot({
+    client: fakeClient(),
+    watchStore: { addWatch: async (watch) => ({ id: 1, lastCheckedAt: null, ...watch }) },
+    scheduler: { enqueue: () => {} },
+    discordStore: { subscribeChannel: async () => {}, listChannels: async () => [] },
+    analyze: async () => { throw new Error('analyze not stubbed'); },
+    ...overrides
+  });
+}
+
+test('/check replies with an embed colored by the tier policy', async () => {
+  const saved = [];
+  const bot = createBot({
+    checkStore: { saveCheck: async (entry) => saved.push(entry) },
+    analyze: async (mint) => ({
+      tokenAddress: mint,
+      tokenSymbol: 'WIF',
+      deployerWallet: DEV,
+      score: 210,
+      tier: 'RISKY',
+      checkedAt: Date.now()
+    })
+  });
+  const interaction = fakeInteraction('check', { mint: MINT });
+
+  await bot.handleInteraction(interaction);
+
+  assert.deepEqual(interaction.calls.map(([name]) => name), ['deferReply', 'editReply']);
+  const [embed] = interaction.calls[1][1].embeds;
+  assert.equal(embed.title, '$WIF - RISKY (210)');
+  assert.equal(embed.color, toEmbedColor(getTierColor('RISKY')));
+  assert.equal(saved[0].tokenAddress, MINT);
+});
+
+test('/check rejects an invalid mint without running a check', async () => {
+  let analyzed = false;
+  const bot = createBot({ analyze: async () => { analyzed = true; } });
+  const interaction = fakeInteraction('check', { mint: 'not-a-mint' });
+
+  await bot.handleInteraction(interaction);
+
+  assert.equal(analyzed, false);
+  assert.deepEqual(interaction.calls, [
+    ['reply', { content: 'ngmi - invalid address', flags: MessageFlags.Ephemeral }]
+  ]);
+});
+
+test('/check shows an AnalysisError message as is', async () => {
+  const bot = createBot({
+    analyze: async () => { throw new AnalysisError('TOKEN_NOT_FOUND', 'no token at that address'); }
+  });
+  const interaction = fakeInteraction('check', { mint: MINT });
+
+  await bot.handleInteraction(interaction);
+
+  assert.deepEqual(interaction.calls.at(-1), ['editReply', { content: 'no token at that address' }]);
+});
+
+test('/watch subscribes the channel and queues the baseline check', async () => {
+  const subscribed = [];
+  const enqueued = [];
+  const bot = createBot({
+    discordStore: { subscribeChannel: async (watchId, channelId) => subscribed.push([watchId, channelId]) },
+    scheduler: { enqueue: (watch) => enqueued.push(watch) }
+  });
+  const interaction = fakeInteraction('watch', { address: DEV, kind: 'deployer', label: 'the dev' });
+
+  await bot.handleInteraction(interaction);
+
+  assert.deepEqual(subscribed, [[1, 'channel-1']]);
+  assert.equal(enqueued.length, 1);
+  assert.equal(enqueued[0].kind, 'deployer');
+  assert.equal(enqueued[0].label, 'the dev');
+  assert.match(interaction.calls[0][1].content, /^watching dev/);
+});
+
+test('/watch counts the watch against the Discord server', async () => {
+  const added = [];
+  const bot = createBot({
+    watchStore: {
+      async addWatch(watch) {
+        added.push(watch);
+        return { id: 1, lastCheckedAt: null, ...watch };
+      }
+    }
+  });
+
+  await bot.handleInteraction(fakeInteraction('watch', { address: MINT }));
+
+  assert.equal(added[0].owner, 'discord:guild-1');
+});
+
+test('/watch needs Manage Server', async () => {
+  let added = false;
+  const bot = createBot({ watchStore: { addWatch: async () => { added = true; } } });
+  const interaction = fakeInteraction('watch', { address: MINT }, []);
+
+  await bot.handleInteraction(interaction);
+
+  assert.equal(added, false);
+  assert.deepEqual(interaction.calls, [
+    ['reply', { content: 'only server managers can /watch', flags: MessageFlags.Ephemeral }]
+  ]);
+});
+
+test('/watch over the cap answers with the limit and queues nothing', async () => {
+  const enqueued = [];
+  const bot = createBot({
+    watchStore: { addWatch: async () => { throw new WatchLimitError('the watchlist is full (2 watches)'); } },
+    scheduler: { enqueue: (watch) => enqueued.push(watch) }
+  });
+  const interaction = fakeInteraction('watch', { address: MINT });
+
+  await bot.handleInteraction(interaction);
+
+  assert.equal(enqueued.length, 0);
+  assert.deepEqual(interaction.calls, [
+    ['reply', { content: 'the watchlist is full (2 watches)', flags: MessageFlags.Ephemeral }]
+  ]);
+});
@@ -0,0 +1,53 @@
+import { getTierColor, getTierLabel } from '../../src/services/tierPolicy.js';
+import { formatMarketCap, truncateAddress } from '../../src/utils/storage.js';
+import { getSolscanWalletUrl, getSolscanTokenUrl } from '../../src/utils/solscanUrls.js';
+
+// Discord caps: field values at 1024 characters, descriptions at 4096
+const MAX_FIELD_LENGTH = 1024;
+
+const clip = (text, max) => text.length > max ? `${text.slice(0, max - 1)}…` : text;
+
+// Embed colors are integers, the tier policy has "#rrggbb"
+export function toEmbedColor(hex) {
+  const value = parseInt(String(hex).replace('#', ''), 16);
+  return Number.isFinite(value) ? value : 0;
+}
+
+function formatFundedBy(fundedBy) {
+  if (!fundedBy?.address) return 'unknown';
+  const name = fundedBy.label || truncateAddress(fundedBy.address);
+  return `[${name}](${getSolscanWalletUrl(fundedBy.address)})`;
+}
+
+function formatRisks(risks) {
+  if (!risks?.length) return 'none detected';
+  return clip(risks.slice(0, 3).map(risk => `• ${risk.name || risk.description}`).join('\n'), MAX_FIELD_LENGTH);
+}
+
+/**
+ * Discord embed of an analyzeToken result - the same numbers as the results screen
+ * @param {Object} result - analyzeToken result
+ * @returns {Object} Embed object as the Discord API takes it
+ */
+export function buildCheckEmbed(result) {
+  const name = result.tokenSymbol ? `$${result.tokenSymbol}` : truncateAddress(result.tokenAddress);
+
+  return {
+    title: `${name} - ${result.tier} (${result.score})`,
+    url: getSolscanTokenUrl(result.tokenAddress),
+    color: toEmbedColor(getTierColor(result.tier)),
+    description: result.roast ? clip(result.roast, 4096) : undefined,
+    fields: [
+      { name: 'tier', value: getTierLabel(result.tier), inline: true },
+      { name: 'score', value: String(result.score), inline: true },
+      { name: 'launches', value: String(result.tokensLaunched ?? '-'), inline: true },
+      { name: 'market cap', value: formatMarketCap(result.currentMarketCap), inline: true },
+      { name: 'best launch', value: formatMarketCap(result.topMarketCap), inline: true },
+      { name: 'funded by', value: formatFundedBy(result.fundedBy), inline: true },
+      { name: 'deployer', value: `[${truncateAddress(result.deployerWallet)}](${getSolscanWalletUrl(result.deployerWallet)})` },
+      { name: '⚠ risks', value: formatRisks(result.risks) }
+    ],
+    footer: { text: result.rugged ? 'fairscore · flagged as rugged' : 'fairscore' },
+    timestamp: new Date(result.checkedAt).toISOString()
+  };
+}
@@ -1,8 +1,25 @@
 import express from 'express';
 import cors from 'cors';
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import checkHandler from '../api/check.js';
+import deployerHandler from '../api/deployers/[wallet].js';
+import tierPolicyHandler from '../api/tier-policy.js';
+import recentChecksHandler from '../api/recent-checks.js';
+import tokenHistoryHandler from '../api/tokens/[mint]/history.js';
+import { setCheckStore } from '../api/_lib/storage/index.js';
+import { onCheckCompleted } from '../api/_lib/checkEvents.js';
+import { createSqliteStore } from './storage/sqliteStore.js';
+import { createWatchlistStore } from './storage/watchlistStore.js';
+import { createWatchScheduler } from './watchlist/scheduler.js';
+import { createWatchlistRouter } from './watchlist/routes.js';
+import { createWebhookStore } from './storage/webhookStore.js';
+import { createWebhookDispatcher } from './webhooks/dispatcher.js';
+import { createWebhookRouter } from './webhooks/routes.js';
+import { createDiscordStore } from './storage/discordStore.js';
+import { createTelegramStore } from './storage/telegramStore.js';
+import { createTelegramApi, createCheckClient } from './telegram/api.js';
+import { createTelegramBot } from './telegram/bot.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -10,66 +27,83 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Data file path
-const DATA_FILE = path.join(__dirname, 'recent-checks.json');
-const MAX_ENTRIES = 100;
+const DB_FILE = path.join(__dirname, 'fairscore.db');
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// Load data from file
-function loadData() {
-  try {
-    if (fs.existsSync(DATA_FILE)) {
-      return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
-    }
-  } catch (error) {
-    console.error('Error loading data:', error);
+// Checks live in SQLite - the JSON files of the old storage are imported on first start
+const checkStore = createSqliteStore(DB_FILE, {
+  recentFile: path.join(__dirname, 'recent-checks.json'),
+  historyFile: path.join(__dirname, 'check-history.json')
+});
+setCheckStore(checkStore);
+
+// Webhooks get a signed POST for every finished check and every watchlist change
+const webhookStore = createWebhookStore(DB_FILE);
+const webhooks = createWebhookDispatcher({ store: webhookStore });
+onCheckCompleted(result => webhooks.notifyCheck(result));
+
+// Watched tokens and deployers, re-checked in the background
+let discordBot = null;
+const watchStore = createWatchlistStore(DB_FILE);
+const watchScheduler = createWatchScheduler({
+  watchStore,
+  checkStore,
+  onChanges: (watch, events, snapshot) => {
+    webhooks.notifyWatchChange(watch, events, snapshot)
+      .catch(error => console.error('Webhook dispatch failed:', error));
+    discordBot?.notifyWatchChange(watch, events, snapshot)
+      .catch(error => console.error('Discord notify failed:', error));
   }
-  return [];
-}
+});
 
-// Save data to file
-function saveData(data) {
-  try {
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
-  } catch (error) {
-    console.error('Error saving data:', error);
-  }
+// Discord bot (/check, /watch) - only when DISCORD_TOKEN is set
+if (process.env.DISCORD_TOKEN) {
+  const { startDiscordBot } = await import('./discord/bot.js');
+  startDiscordBot(process.env.DISCORD_TOKEN, {
+    watchStore,
+    scheduler: watchScheduler,
+    discordStore: createDiscordStore(DB_FILE),
+    checkStore
+  })
+    .then(bot => {
+      discordBot = bot;
+    })
+    .catch(error => console.error('Discord bot failed to start:', error.message));
 }
 
-// GET /api/recent-checks - Get all recent checks
-app.get('/api/recent-checks', (req, res) => {
-  const data = loadData();
-  res.json(data);
-});
+// Telegram bot (mints posted in chats) - only when TELEGRAM_BOT_TOKEN is set. Checks go through
+// this server's /api/check like the website's, or FAIRSCORE_API_URL's when set.
+const telegramBot = process.env.TELEGRAM_BOT_TOKEN
+  ? createTelegramBot({
+    api: createTelegramApi(process.env.TELEGRAM_BOT_TOKEN),
+    telegramStore: createTelegramStore(DB_FILE),
+    runCheck: createCheckClient(process.env.FAIRSCORE_API_URL || `http://localhost:${PORT}`)
+  })
+  : null;
 
-// POST /api/recent-checks - Add a new check
-app.post('/api/recent-checks', (req, res) => {
-  const entry = req.body;
+// Middleware
+app.use(cors());
+app.use(express.json());
 
-  if (!entry || !entry.tokenAddress) {
-    return res.status(400).json({ error: 'Invalid entry' });
-  }
+// GET /api/recent-checks - Latest check of each token (filters + pagination, see api/recent-checks.js)
+app.get('/api/recent-checks', recentChecksHandler);
 
-  const data = loadData();
+// GET /api/tokens/:mint/history - Every check of a token, oldest first
+app.get('/api/tokens/:mint/history', tokenHistoryHandler);
 
-  // Remove existing entry for same token (update it)
-  const filtered = data.filter(e => e.tokenAddress !== entry.tokenAddress);
+// GET /api/check - Run the full deployer check server-side
+app.get('/api/check', checkHandler);
 
-  // Add new entry at the beginning with server timestamp
-  const newEntry = {
-    ...entry,
-    id: entry.tokenAddress,
-    serverCheckedAt: Date.now()
-  };
+// GET /api/deployers/:wallet - Check a deployer wallet directly, plus the tokens of theirs we've checked
+app.get('/api/deployers/:wallet', deployerHandler);
 
-  const updated = [newEntry, ...filtered].slice(0, MAX_ENTRIES);
-  saveData(updated);
+// /api/watchlist - Watched tokens/deployers and their change events (see watchlist/routes.js)
+app.use('/api/watchlist', createWatchlistRouter(watchStore, watchScheduler));
 
-  res.json(newEntry);
-});
+// /api/webhooks - Webhook registrations and their delivery log (see webhooks/routes.js)
+app.use('/api/webhooks', createWebhookRouter(webhookStore));
+
+// GET /api/tier-policy - Tier thresholds, labels, colors, emojis and roast tone
+app.get('/api/tier-policy', tierPolicyHandler);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -78,4 +112,7 @@ app.get('/api/health', (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  watchScheduler.start();
+  webhooks.resumePending();
+  telegramBot?.start().catch(error => console.error('Telegram bot failed to start:', error.message));
 });
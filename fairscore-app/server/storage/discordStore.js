@@ -0,0 +1,41 @@
+import Database from 'better-sqlite3';
+
+// Discord channels that asked (/watch) to hear about a watch's changes
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS discord_watch_channels (
+    watch_id INTEGER NOT NULL REFERENCES watches (id) ON DELETE CASCADE,
+    channel_id TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (watch_id, channel_id)
+  );
+`;
+
+/**
+ * Which Discord channels follow which watches. Lives in the same SQLite file as the watchlist (own connection),
+ * so removing a watch drops its channels too.
+ * @param {string} filename - Database file (created if missing)
+ */
+export function createDiscordStore(filename) {
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+
+  const statements = {
+    subscribe: db.prepare(`
+      INSERT OR IGNORE INTO discord_watch_channels (watch_id, channel_id, created_at) VALUES (?, ?, ?)
+    `),
+    channels: db.prepare('SELECT channel_id FROM discord_watch_channels WHERE watch_id = ? ORDER BY created_at')
+  };
+
+  return {
+    // Post the watch's changes to this channel (no-op if it already does)
+    async subscribeChannel(watchId, channelId) {
+      statements.subscribe.run(watchId, channelId, Date.now());
+    },
+
+    async listChannels(watchId) {
+      return statements.channels.all(watchId).map(row => row.channel_id);
+    }
+  };
+}
@@ -0,0 +1,188 @@
+import fs from 'fs';
+import Database from 'better-sqlite3';
+import { collectLegacyChecks, decodeCursor, encodeCursor, toStoredEntry } from '../../api/_lib/storage/checkStore.js';
+
+// checks keeps every saved check; latest_checks points at the newest one per token
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS checks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    token_address TEXT NOT NULL,
+    deployer_wallet TEXT,
+    tier TEXT,
+    score INTEGER,
+    checked_at INTEGER NOT NULL,
+    entry TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS checks_by_time ON checks (checked_at DESC, id DESC);
+  CREATE INDEX IF NOT EXISTS checks_by_token ON checks (token_address, checked_at DESC, id DESC);
+  CREATE INDEX IF NOT EXISTS checks_by_deployer ON checks (deployer_wallet, checked_at DESC, id DESC);
+  CREATE INDEX IF NOT EXISTS checks_by_tier ON checks (tier, checked_at DESC, id DESC);
+
+  CREATE TABLE IF NOT EXISTS latest_checks (
+    token_address TEXT PRIMARY KEY,
+    check_id INTEGER NOT NULL REFERENCES checks (id),
+    deployer_wallet TEXT,
+    tier TEXT,
+    checked_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS latest_by_time ON latest_checks (checked_at DESC, check_id DESC);
+  CREATE INDEX IF NOT EXISTS latest_by_deployer ON latest_checks (deployer_wallet, checked_at DESC, check_id DESC);
+  CREATE INDEX IF NOT EXISTS latest_by_tier ON latest_checks (tier, checked_at DESC, check_id DESC);
+`;
+
+// Older checks (e.g. legacy imports) don't replace the latest one
+const UPSERT_LATEST = `
+  INSERT INTO latest_checks (token_address, check_id, deployer_wallet, tier, checked_at)
+  VALUES (@tokenAddress, @checkId, @deployerWallet, @tier, @checkedAt)
+  ON CONFLICT (token_address) DO UPDATE SET
+    check_id = excluded.check_id,
+    deployer_wallet = excluded.deployer_wallet,
+    tier = excluded.tier,
+    checked_at = excluded.checked_at
+  WHERE excluded.checked_at >= latest_checks.checked_at
+`;
+
+// Read a JSON file written by the old storage, or the fallback if there isn't one
+function readLegacyFile(file, fallback) {
+  try {
+    if (file && fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+  } catch (error) {
+    console.warn('Could not read', file, '-', error.message);
+  }
+  return fallback;
+}
+
+/**
+ * Check store in a SQLite file - see api/_lib/storage/checkStore.js for the contract
+ * @param {string} filename - Database file (created if missing)
+ * @param {Object} [legacy] - JSON files of the old storage, imported into an empty database
+ * @param {string} [legacy.recentFile] - recent-checks.json
+ * @param {string} [legacy.historyFile] - check-history.json
+ * @returns {import('../../api/_lib/storage/checkStore.js').CheckStore}
+ */
+export function createSqliteStore(filename, { recentFile, historyFile } = {}) {
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const insertCheck = db.prepare(`
+    INSERT INTO checks (token_address, deployer_wallet, tier, score, checked_at, entry)
+    VALUES (@tokenAddress, @deployerWallet, @tier, @score, @checkedAt, @entry)
+  `);
+  const upsertLatest = db.prepare(UPSERT_LATEST);
+
+  const save = db.transaction((entry, options) => {
+    const stored = toStoredEntry(entry, options);
+    const row = {
+      tokenAddress: stored.tokenAddress,
+      deployerWallet: stored.deployerWallet ?? null,
+      tier: stored.tier ?? null,
+      checkedAt: stored.checkedAt
+    };
+    const { lastInsertRowid } = insertCheck.run({
+      ...row,
+      score: stored.score ?? stored.fairScore ?? null,
+      entry: JSON.stringify(stored)
+    });
+    upsertLatest.run({ ...row, checkId: lastInsertRowid });
+    return stored;
+  });
+
+  // Statements are built per filter combination - cache them
+  const statements = new Map();
+  const prepare = (sql) => {
+    if (!statements.has(sql)) {
+      statements.set(sql, db.prepare(sql));
+    }
+    return statements.get(sql);
+  };
+
+  /**
+   * One page, newest first. Keyset pagination on (checked_at, id) so pages stay
+   * stable while new checks come in.
+   * @param {'checks'|'latest'} table
+   * @param {Object} where - Exact-match columns (token_address / deployer_wallet / tier)
+   * @param {import('../../api/_lib/storage/checkStore.js').CheckQuery} query
+   */
+  function readPage(table, where, query) {
+    const latest = table === 'latest';
+    const t = latest ? 'l' : 'c';
+    const idColumn = latest ? 'l.check_id' : 'c.id';
+
+    const conditions = [];
+    const params = { limit: query.limit + 1 };
+    for (const [column, value] of Object.entries(where)) {
+      if (value == null) continue;
+      conditions.push(`${t}.${column} = @${column}`);
+      params[column] = value;
+    }
+    if (query.since != null) {
+      conditions.push(`${t}.checked_at >= @since`);
+      params.since = query.since;
+    }
+    if (query.until != null) {
+      conditions.push(`${t}.checked_at <= @until`);
+      params.until = query.until;
+    }
+    const cursor = decodeCursor(query.cursor);
+    if (cursor) {
+      conditions.push(`(${t}.checked_at < @cursorAt OR (${t}.checked_at = @cursorAt AND ${idColumn} < @cursorId))`);
+      params.cursorAt = cursor.checkedAt;
+      params.cursorId = Number(cursor.id);
+    }
+
+    const sql = [
+      latest
+        ? 'SELECT c.id, c.checked_at, c.entry FROM latest_checks l JOIN checks c ON c.id = l.check_id'
+        : 'SELECT c.id, c.checked_at, c.entry FROM checks c',
+      conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      `ORDER BY ${t}.checked_at DESC, ${idColumn} DESC LIMIT @limit`
+    ].join(' ');
+
+    const rows = prepare(sql).all(params);
+    const page = rows.slice(0, query.limit);
+    const last = page[page.length - 1];
+    return {
+      items: page.map(row => JSON.parse(row.entry)),
+      nextCursor: rows.length > query.limit ? encodeCursor(last.checked_at, last.id) : null
+    };
+  }
+
+  // First start after the switch from the JSON files: copy them over
+  const ready = (async () => {
+    if (db.prepare('SELECT COUNT(*) AS count FROM checks').get().count > 0) return;
+    const recent = readLegacyFile(recentFile, []);
+    const history = readLegacyFile(historyFile, {});
+    const checks = await collectLegacyChecks(recent, async (mint) => history[mint] || []);
+    db.transaction(() => checks.forEach(check => save(check, { imported: true })))();
+    if (checks.length > 0) {
+      console.log(`Imported ${checks.length} checks from ${recentFile} and ${historyFile}`);
+    }
+  })().catch(error => {
+    console.warn('Legacy check import failed:', error.message);
+  });
+
+  return {
+    async saveCheck(entry) {
+      await ready;
+      return save(entry);
+    },
+
+    async listRecentChecks(query) {
+      await ready;
+      return readPage('latest', { deployer_wallet: query.deployer, tier: query.tier }, query);
+    },
+
+    async listTokenChecks(tokenAddress, query) {
+      await ready;
+      return readPage('checks', { token_address: tokenAddress, deployer_wallet: query.deployer, tier: query.tier }, query);
+    },
+
+    async listDeployerChecks(deployerWallet, query) {
+      await ready;
+      return readPage('checks', { deployer_wallet: deployerWallet, tier: query.tier }, query);
+    }
+  };
+}
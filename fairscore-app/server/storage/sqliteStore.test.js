@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createSqliteStore } from './sqliteStore.js';
+
+const DEV_A = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+const DEV_B = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+const MINTS = [
+  'So11111111111111111111111111111111111111112',
+  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+  'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263',
+  'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN',
+  '4k3Dyjzvzp8eMZWUXbBCjEvwSkkk59S5iCNLY3QrkX6R'
+];
+
+// Fresh directory for the database (and legacy files), removed after the test
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fairscore-checks-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Saved checks get the server's clock - pin it so tests decide checkedAt
+function mockClock(t, start = 1_000) {
+  const clock = { now: start };
+  t.mock.method(Date, 'now', () => clock.now);
+  return clock;
+}
+
+const check = (tokenAddress, overrides = {}) => ({ tokenAddress, deployerWallet: DEV_A, tier: 'MEH', score: 400, ...overrides });
+
+// Every page of a list, following nextCursor
+async function readAll(list, limit) {
+  const pages = [];
+  let cursor;
+  do {
+    const page = await list({ limit, cursor });
+    pages.push(page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return pages;
+}
+
+test('recent checks page through every token once, newest first', async (t) => {
+  const clock = mockClock(t);
+  const store = createSqliteStore(path.join(tempDir(t), 'test.db'));
+  for (const mint of MINTS) {
+    await store.saveCheck(check(mint));
+    clock.now += 1_000;
+  }
+
+  const pages = await readAll(query => store.listRecentChecks(query), 2);
+
+  assert.deepEqual(pages.map(page => page.length), [2, 2, 1]);
+  assert.deepEqual(pages.flat().map(entry => entry.tokenAddress), [...MINTS].reverse());
+});
+
+test('checks saved in the same millisecond are neither skipped nor repeated across pages', async (t) => {
+  mockClock(t);
+  const store = createSqliteStore(path.join(tempDir(t), 'test.db'));
+  for (const mint of MINTS) {
+    await store.saveCheck(check(mint));
+  }
+  for (const score of [100, 200, 300]) {
+    await store.saveCheck(check(MINTS[0], { score }));
+  }
+
+  const recent = (await readAll(query => store.listRecentChecks(query), 2)).flat();
+  assert.equal(recent.length, MINTS.length);
+  assert.equal(new Set(recent.map(entry => entry.tokenAddress)).size, MINTS.length);
+
+  // Same token, same millisecond: the last save counts as the newest
+  const history = (await readAll(query => store.listTokenChecks(MINTS[0], query), 1)).flat();
+  assert.deepEqual(history.map(entry => entry.score), [300, 200, 100, 400]);
+});
+
+test('a newer check replaces the token\'s latest one, in the filtered lists too', async (t) => {
+  const clock = mockClock(t);
+  const store = createSqliteStore(path.join(tempDir(t), 'test.db'));
+  await store.saveCheck(check(MINTS[0], { deployerWallet: DEV_A, tier: 'RISKY' }));
+  clock.now += 1_000;
+  await store.saveCheck(check(MINTS[0], { deployerWallet: DEV_B, tier: 'DANGER' }));
+
+  const { items } = await store.listRecentChecks({ limit: 10 });
+  assert.deepEqual(items.map(entry => [entry.tokenAddress, entry.tier, entry.checkedAt]), [[MINTS[0], 'DANGER', 2_000]]);
+  assert.deepEqual((await store.listRecentChecks({ limit: 10, tier: 'RISKY' })).items, []);
+  assert.deepEqual((await store.listRecentChecks({ limit: 10, deployer: DEV_A })).items, []);
+  assert.equal((await store.listRecentChecks({ limit: 10, deployer: DEV_B })).items.length, 1);
+
+  // The history keeps both
+  assert.deepEqual((await store.listTokenChecks(MINTS[0], { limit: 10 })).items.map(entry => entry.tier), ['DANGER', 'RISKY']);
+  assert.equal((await store.listDeployerChecks(DEV_A, { limit: 10 })).items.length, 1);
+});
+
+test('the old JSON files are imported once, keeping their times', async (t) => {
+  mockClock(t, 10_000);
+  const dir = tempDir(t);
+  const legacy = { recentFile: path.join(dir, 'recent-checks.json'), historyFile: path.join(dir, 'check-history.json') };
+  fs.writeFileSync(legacy.recentFile, JSON.stringify([
+    check(MINTS[0], { tier: 'MEH', checkedAt: 2_000 }),
+    check(MINTS[1], { checkedAt: 1_500 })
+  ]));
+  fs.writeFileSync(legacy.historyFile, JSON.stringify({
+    [MINTS[0]]: [{ score: 200, tier: 'RISKY', checkedAt: 1_000 }, { score: 400, tier: 'MEH', checkedAt: 2_000 }]
+  }));
+
+  const store = createSqliteStore(path.join(dir, 'test.db'), legacy);
+  const recent = (await store.listRecentChecks({ limit: 10 })).items;
+  assert.deepEqual(recent.map(entry => [entry.tokenAddress, entry.tier, entry.checkedAt]), [
+    [MINTS[0], 'MEH', 2_000],
+    [MINTS[1], 'MEH', 1_500]
+  ]);
+  assert.deepEqual((await store.listTokenChecks(MINTS[0], { limit: 10 })).items.map(entry => entry.checkedAt), [2_000, 1_000]);
+
+  // Not imported again on the next start
+  const reopened = createSqliteStore(path.join(dir, 'test.db'), legacy);
+  assert.equal((await reopened.listTokenChecks(MINTS[0], { limit: 10 })).items.length, 2);
+});
@@ -0,0 +1,87 @@
+import Database from 'better-sqlite3';
+
+// Settings of a chat that never changed them. Override the limits with TELEGRAM_REPLIES_PER_HOUR
+// and TELEGRAM_MINT_COOLDOWN_MINUTES.
+export const DEFAULT_CHAT_SETTINGS = {
+  // Reply to mints posted in the chat (commands always work)
+  autoReply: true,
+  // Only auto-reply when the tier is at or below this one (null: every tier)
+  maxTier: null,
+  // Checks the bot answers per chat per hour
+  repliesPerHour: Number(process.env.TELEGRAM_REPLIES_PER_HOUR) || 20,
+  // The same mint isn't checked again in a chat for this long
+  mintCooldownMinutes: Number(process.env.TELEGRAM_MINT_COOLDOWN_MINUTES) || 60
+};
+
+// telegram_chats: per-chat bot settings, only for chats that changed something
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS telegram_chats (
+    chat_id TEXT PRIMARY KEY,
+    auto_reply INTEGER NOT NULL,
+    max_tier TEXT,
+    replies_per_hour INTEGER NOT NULL,
+    mint_cooldown_minutes INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+`;
+
+function toSettings(row) {
+  return {
+    autoReply: row.auto_reply === 1,
+    maxTier: row.max_tier,
+    repliesPerHour: row.replies_per_hour,
+    mintCooldownMinutes: row.mint_cooldown_minutes
+  };
+}
+
+/**
+ * Per-chat settings of the Telegram bot. Lives in the same SQLite file as the checks (own connection).
+ * @param {string} filename - Database file (created if missing)
+ */
+export function createTelegramStore(filename) {
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const statements = {
+    byChat: db.prepare('SELECT * FROM telegram_chats WHERE chat_id = ?'),
+    upsert: db.prepare(`
+      INSERT INTO telegram_chats (chat_id, auto_reply, max_tier, replies_per_hour, mint_cooldown_minutes, updated_at)
+      VALUES (@chatId, @autoReply, @maxTier, @repliesPerHour, @mintCooldownMinutes, @updatedAt)
+      ON CONFLICT (chat_id) DO UPDATE SET
+        auto_reply = excluded.auto_reply,
+        max_tier = excluded.max_tier,
+        replies_per_hour = excluded.replies_per_hour,
+        mint_cooldown_minutes = excluded.mint_cooldown_minutes,
+        updated_at = excluded.updated_at
+    `)
+  };
+
+  async function getChatSettings(chatId) {
+    const row = statements.byChat.get(String(chatId));
+    return row ? toSettings(row) : { ...DEFAULT_CHAT_SETTINGS };
+  }
+
+  return {
+    getChatSettings,
+
+    /**
+     * Change some of a chat's settings
+     * @param {string|number} chatId
+     * @param {Partial<typeof DEFAULT_CHAT_SETTINGS>} changes
+     * @returns {Promise<typeof DEFAULT_CHAT_SETTINGS>} The chat's settings after the change
+     */
+    async updateChatSettings(chatId, changes) {
+      const settings = { ...await getChatSettings(chatId), ...changes };
+      statements.upsert.run({
+        chatId: String(chatId),
+        autoReply: settings.autoReply ? 1 : 0,
+        maxTier: settings.maxTier,
+        repliesPerHour: settings.repliesPerHour,
+        mintCooldownMinutes: settings.mintCooldownMinutes,
+        updatedAt: Date.now()
+      });
+      return settings;
+    }
+  };
+}
@@ -0,0 +1,204 @@
+import Database from 'better-sqlite3';
+import { decodeCursor, encodeCursor } from '../../api/_lib/storage/checkStore.js';
+
+// watches: what the scheduler re-checks; watch_events: what changed between re-checks
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS watches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL CHECK (kind IN ('token', 'deployer')),
+    address TEXT NOT NULL,
+    label TEXT,
+    owner TEXT,
+    created_at INTEGER NOT NULL,
+    last_checked_at INTEGER,
+    last_snapshot TEXT,
+    last_error TEXT,
+    UNIQUE (kind, address)
+  );
+
+  CREATE TABLE IF NOT EXISTS watch_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    watch_id INTEGER NOT NULL REFERENCES watches (id) ON DELETE CASCADE,
+    type TEXT NOT NULL,
+    message TEXT NOT NULL,
+    data TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS watch_events_by_time ON watch_events (created_at DESC, id DESC);
+  CREATE INDEX IF NOT EXISTS watch_events_by_watch ON watch_events (watch_id, created_at DESC, id DESC);
+`;
+
+// Caps on what can be watched - every watch is re-checked in the background, so they bound the RPC load
+const MAX_WATCHES = Number(process.env.WATCHLIST_MAX_WATCHES) || 200;
+const MAX_WATCHES_PER_OWNER = Number(process.env.WATCHLIST_MAX_PER_OWNER) || 20;
+
+/**
+ * Thrown by addWatch when a new watch would go over a cap. The message is user-facing.
+ */
+export class WatchLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WatchLimitError';
+  }
+}
+
+function toWatch(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    address: row.address,
+    label: row.label,
+    createdAt: row.created_at,
+    lastCheckedAt: row.last_checked_at,
+    lastSnapshot: row.last_snapshot ? JSON.parse(row.last_snapshot) : null,
+    lastError: row.last_error
+  };
+}
+
+function toEvent(row) {
+  return {
+    id: row.id,
+    watchId: row.watch_id,
+    kind: row.kind,
+    address: row.address,
+    label: row.label,
+    type: row.type,
+    message: row.message,
+    data: JSON.parse(row.data),
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Watchlist of token mints and deployer wallets, with the change events the scheduler records.
+ * Lives in the same SQLite file as the checks (own connection).
+ * @param {string} filename - Database file (created if missing)
+ * @param {Object} [limits]
+ * @param {number} [limits.maxWatches] - Watches in total (WATCHLIST_MAX_WATCHES)
+ * @param {number} [limits.maxPerOwner] - Watches one owner can add (WATCHLIST_MAX_PER_OWNER)
+ */
+export function createWatchlistStore(filename, { maxWatches = MAX_WATCHES, maxPerOwner = MAX_WATCHES_PER_OWNER } = {}) {
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+  // Databases from before watches had owners
+  if (!db.pragma('table_info(watches)').some(column => column.name === 'owner')) {
+    db.exec('ALTER TABLE watches ADD COLUMN owner TEXT');
+  }
+
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO watches (kind, address, label, owner, created_at) VALUES (@kind, @address, @label, @owner, @createdAt)
+      ON CONFLICT (kind, address) DO UPDATE SET label = COALESCE(excluded.label, watches.label)
+    `),
+    count: db.prepare('SELECT COUNT(*) AS count FROM watches'),
+    countByOwner: db.prepare('SELECT COUNT(*) AS count FROM watches WHERE owner = ?'),
+    byKey: db.prepare('SELECT * FROM watches WHERE kind = ? AND address = ?'),
+    byId: db.prepare('SELECT * FROM watches WHERE id = ?'),
+    all: db.prepare('SELECT * FROM watches ORDER BY created_at DESC, id DESC'),
+    remove: db.prepare('DELETE FROM watches WHERE id = ?'),
+    checked: db.prepare(`
+      UPDATE watches SET last_checked_at = @checkedAt, last_snapshot = @snapshot, last_error = NULL WHERE id = @id
+    `),
+    failed: db.prepare('UPDATE watches SET last_checked_at = @checkedAt, last_error = @error WHERE id = @id'),
+    insertEvent: db.prepare(`
+      INSERT INTO watch_events (watch_id, type, message, data, created_at) VALUES (@watchId, @type, @message, @data, @createdAt)
+    `)
+  };
+
+  // Snapshot and its events land together - a crash can't record one without the other
+  const recordCheck = db.transaction((id, { snapshot, events, checkedAt }) => {
+    statements.checked.run({ id, checkedAt, snapshot: JSON.stringify(snapshot) });
+    for (const event of events) {
+      statements.insertEvent.run({
+        watchId: id,
+        type: event.type,
+        message: event.message,
+        data: JSON.stringify(event.data || {}),
+        createdAt: checkedAt
+      });
+    }
+  });
+
+  // Caps are checked in the same transaction as the insert. Watching something that's already watched
+  // adds nothing, so it's never over a cap; the watch stays counted against whoever added it first.
+  const addWatch = db.transaction(({ kind, address, label, owner }) => {
+    if (!statements.byKey.get(kind, address)) {
+      if (statements.count.get().count >= maxWatches) {
+        throw new WatchLimitError(`the watchlist is full (${maxWatches} watches)`);
+      }
+      if (statements.countByOwner.get(owner).count >= maxPerOwner) {
+        throw new WatchLimitError(`already at the cap of ${maxPerOwner} watches - unwatch some first`);
+      }
+    }
+    statements.insert.run({ kind, address, label, owner, createdAt: Date.now() });
+    return toWatch(statements.byKey.get(kind, address));
+  });
+
+  return {
+    /**
+     * Watch a token or deployer (watching it again only updates the label).
+     * Throws a WatchLimitError when a new watch would go over the total or the owner's cap.
+     * @param {{kind: 'token'|'deployer', address: string, label?: string|null, owner: string}} watch
+     */
+    async addWatch({ kind, address, label = null, owner }) {
+      return addWatch({ kind, address, label, owner });
+    },
+
+    async getWatch(id) {
+      const row = statements.byId.get(id);
+      return row ? toWatch(row) : null;
+    },
+
+    async listWatches() {
+      return statements.all.all().map(toWatch);
+    },
+
+    // Removes the watch and its events; false if there was no such watch
+    async removeWatch(id) {
+      return statements.remove.run(id).changes > 0;
+    },
+
+    async recordCheck(id, check) {
+      recordCheck(id, check);
+    },
+
+    async recordError(id, error) {
+      statements.failed.run({ id, checkedAt: Date.now(), error });
+    },
+
+    /**
+     * Change events, newest first
+     * @param {{watchId?: number, limit: number, cursor?: string}} query
+     * @returns {Promise<{items: Object[], nextCursor: string|null}>}
+     */
+    async listEvents({ watchId, limit, cursor }) {
+      const conditions = [];
+      const params = { limit: limit + 1 };
+      if (watchId != null) {
+        conditions.push('e.watch_id = @watchId');
+        params.watchId = watchId;
+      }
+      const after = decodeCursor(cursor);
+      if (after) {
+        conditions.push('(e.created_at < @cursorAt OR (e.created_at = @cursorAt AND e.id < @cursorId))');
+        params.cursorAt = after.checkedAt;
+        params.cursorId = Number(after.id);
+      }
+
+      const rows = db.prepare(`
+        SELECT e.*, w.kind, w.address, w.label FROM watch_events e JOIN watches w ON w.id = e.watch_id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY e.created_at DESC, e.id DESC LIMIT @limit
+      `).all(params);
+
+      const page = rows.slice(0, limit);
+      const last = page[page.length - 1];
+      return {
+        items: page.map(toEvent),
+        nextCursor: rows.length > limit ? encodeCursor(last.created_at, last.id) : null
+      };
+    }
+  };
+}
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createWatchlistStore, WatchLimitError } from './watchlistStore.js';
+
+const MINT_A = 'So11111111111111111111111111111111111111112';
+const MINT_B = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const MINT_C = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+
+// Store in a fresh database file, removed after the test
+function createStore(t, limits) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fairscore-watchlist-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return createWatchlistStore(path.join(dir, 'test.db'), limits);
+}
+
+test('an owner over their cap gets a WatchLimitError, other owners can still add', async (t) => {
+  const store = createStore(t, { maxWatches: 10, maxPerOwner: 1 });
+
+  await store.addWatch({ kind: 'token', address: MINT_A, owner: 'discord:1' });
+  await assert.rejects(store.addWatch({ kind: 'token', address: MINT_B, owner: 'discord:1' }), WatchLimitError);
+  await store.addWatch({ kind: 'token', address: MINT_B, owner: 'discord:2' });
+
+  assert.equal((await store.listWatches()).length, 2);
+});
+
+test('the total cap holds across owners', async (t) => {
+  const store = createStore(t, { maxWatches: 2, maxPerOwner: 10 });
+
+  await store.addWatch({ kind: 'token', address: MINT_A, owner: 'api' });
+  await store.addWatch({ kind: 'token', address: MINT_B, owner: 'discord:1' });
+
+  await assert.rejects(store.addWatch({ kind: 'token', address: MINT_C, owner: 'discord:2' }), {
+    name: 'WatchLimitError',
+    message: 'the watchlist is full (2 watches)'
+  });
+});
+
+test('watching something already watched is never over a cap', async (t) => {
+  const store = createStore(t, { maxWatches: 10, maxPerOwner: 1 });
+
+  const first = await store.addWatch({ kind: 'token', address: MINT_A, owner: 'discord:1' });
+  const again = await store.addWatch({ kind: 'token', address: MINT_A, label: 'wif', owner: 'discord:2' });
+
+  assert.equal(again.id, first.id);
+  assert.equal(again.label, 'wif');
+  // It stays counted against whoever added it first
+  await assert.rejects(store.addWatch({ kind: 'token', address: MINT_B, owner: 'discord:1' }), WatchLimitError);
+  await store.addWatch({ kind: 'token', address: MINT_B, owner: 'discord:2' });
+});
@@ -0,0 +1,178 @@
+import crypto from 'crypto';
+import Database from 'better-sqlite3';
+import { decodeCursor, encodeCursor } from '../../api/_lib/storage/checkStore.js';
+
+// webhooks: registered receivers; webhook_deliveries: every payload sent (or being retried) to them
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    events TEXT NOT NULL,
+    filters TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id INTEGER NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+    event_type TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,
+    error TEXT,
+    next_attempt_at INTEGER,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS deliveries_by_webhook ON webhook_deliveries (webhook_id, created_at DESC, id DESC);
+  CREATE INDEX IF NOT EXISTS deliveries_pending ON webhook_deliveries (status, next_attempt_at);
+`;
+
+function toWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    secret: row.secret,
+    events: JSON.parse(row.events),
+    filters: JSON.parse(row.filters),
+    createdAt: row.created_at
+  };
+}
+
+function toDelivery(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    eventType: row.event_type,
+    payload: JSON.parse(row.payload),
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    error: row.error,
+    nextAttemptAt: row.next_attempt_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Registered webhooks and their delivery log. Lives in the same SQLite file as the checks (own connection).
+ * @param {string} filename - Database file (created if missing)
+ */
+export function createWebhookStore(filename) {
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO webhooks (url, secret, events, filters, created_at) VALUES (@url, @secret, @events, @filters, @createdAt)
+    `),
+    byId: db.prepare('SELECT * FROM webhooks WHERE id = ?'),
+    all: db.prepare('SELECT * FROM webhooks ORDER BY id'),
+    remove: db.prepare('DELETE FROM webhooks WHERE id = ?'),
+    insertDelivery: db.prepare(`
+      INSERT INTO webhook_deliveries (webhook_id, event_type, payload, status, next_attempt_at, created_at, updated_at)
+      VALUES (@webhookId, @eventType, @payload, 'pending', @now, @now, @now)
+    `),
+    delivery: db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?'),
+    updateDelivery: db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = @status, attempts = @attempts, response_status = @responseStatus, error = @error,
+          next_attempt_at = @nextAttemptAt, updated_at = @now
+      WHERE id = @id
+    `),
+    pending: db.prepare("SELECT * FROM webhook_deliveries WHERE status = 'pending' ORDER BY next_attempt_at")
+  };
+
+  return {
+    /**
+     * Register a webhook. The signing secret is generated here and returned with it.
+     * @param {{url: string, events: string[], filters: Object}} webhook
+     */
+    async createWebhook({ url, events, filters }) {
+      const { lastInsertRowid } = statements.insert.run({
+        url,
+        secret: crypto.randomBytes(32).toString('hex'),
+        events: JSON.stringify(events),
+        filters: JSON.stringify(filters),
+        createdAt: Date.now()
+      });
+      return toWebhook(statements.byId.get(lastInsertRowid));
+    },
+
+    async getWebhook(id) {
+      const row = statements.byId.get(id);
+      return row ? toWebhook(row) : null;
+    },
+
+    async listWebhooks() {
+      return statements.all.all().map(toWebhook);
+    },
+
+    // Removes the webhook and its delivery log; false if there was no such webhook
+    async removeWebhook(id) {
+      return statements.remove.run(id).changes > 0;
+    },
+
+    async createDelivery(webhookId, eventType, payload) {
+      const { lastInsertRowid } = statements.insertDelivery.run({
+        webhookId,
+        eventType,
+        payload: JSON.stringify(payload),
+        now: Date.now()
+      });
+      return toDelivery(statements.delivery.get(lastInsertRowid));
+    },
+
+    async getDelivery(id) {
+      const row = statements.delivery.get(id);
+      return row ? toDelivery(row) : null;
+    },
+
+    /**
+     * Record an attempt's outcome
+     * @param {number} id
+     * @param {{status: string, attempts: number, responseStatus?: number|null, error?: string|null, nextAttemptAt?: number|null}} update
+     */
+    async updateDelivery(id, { status, attempts, responseStatus = null, error = null, nextAttemptAt = null }) {
+      statements.updateDelivery.run({ id, status, attempts, responseStatus, error, nextAttemptAt, now: Date.now() });
+    },
+
+    // Deliveries still waiting for a (re)try, soonest first
+    async listPendingDeliveries() {
+      return statements.pending.all().map(toDelivery);
+    },
+
+    /**
+     * Delivery log of a webhook, newest first
+     * @param {{webhookId: number, limit: number, cursor?: string}} query
+     * @returns {Promise<{items: Object[], nextCursor: string|null}>}
+     */
+    async listDeliveries({ webhookId, limit, cursor }) {
+      const params = { webhookId, limit: limit + 1 };
+      let keyset = '';
+      const after = decodeCursor(cursor);
+      if (after) {
+        keyset = 'AND (created_at < @cursorAt OR (created_at = @cursorAt AND id < @cursorId))';
+        params.cursorAt = after.checkedAt;
+        params.cursorId = Number(after.id);
+      }
+
+      const rows = db.prepare(`
+        SELECT * FROM webhook_deliveries WHERE webhook_id = @webhookId ${keyset}
+        ORDER BY created_at DESC, id DESC LIMIT @limit
+      `).all(params);
+
+      const page = rows.slice(0, limit);
+      const last = page[page.length - 1];
+      return {
+        items: page.map(toDelivery),
+        nextCursor: rows.length > limit ? encodeCursor(last.created_at, last.id) : null
+      };
+    }
+  };
+}
@@ -0,0 +1,54 @@
+import { AnalysisError } from '../../src/services/analysisError.js';
+
+// Long polls wait up to this many seconds for updates; requests get a little longer before they're aborted
+export const POLL_TIMEOUT_SECONDS = 30;
+const REQUEST_TIMEOUT_MS = (POLL_TIMEOUT_SECONDS + 10) * 1000;
+
+/**
+ * Minimal Telegram Bot API client. The bot only needs call(), so tests can pass a fake transport instead.
+ * @param {string} token - TELEGRAM_BOT_TOKEN
+ * @param {Object} [options]
+ * @param {typeof fetch} [options.fetchImpl] - For tests
+ * @returns {{call: (method: string, params?: Object) => Promise<any>}}
+ */
+export function createTelegramApi(token, { fetchImpl = fetch } = {}) {
+  return {
+    // Resolves with the method's result, throws with Telegram's description when it answers ok: false
+    async call(method, params = {}) {
+      const response = await fetchImpl(`https://api.telegram.org/bot${token}/${method}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(params),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      const body = await response.json().catch(() => null);
+      if (!body?.ok) {
+        throw new Error(`Telegram ${method} failed: ${body?.description || `HTTP ${response.status}`}`);
+      }
+      return body.result;
+    }
+  };
+}
+
+/**
+ * Runs checks through the server's /api/check (the same path as the website), which also saves them
+ * @param {string} apiUrl - Where the server answers, e.g. http://localhost:3001
+ * @param {Object} [options]
+ * @param {typeof fetch} [options.fetchImpl] - For tests
+ * @returns {(mint: string) => Promise<Object>} Resolves with the check result
+ */
+export function createCheckClient(apiUrl, { fetchImpl = fetch } = {}) {
+  return async function runCheck(mint) {
+    const response = await fetchImpl(`${apiUrl}/api/check?mint=${encodeURIComponent(mint)}`);
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      // Same split as the website: coded errors are written for users
+      if (body.code && body.code !== 'INTERNAL') {
+        throw new AnalysisError(body.code, body.error);
+      }
+      throw new Error(body.error || `Check failed (HTTP ${response.status})`);
+    }
+
+    return body;
+  };
+}
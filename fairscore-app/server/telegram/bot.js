@@ -0,0 +1,254 @@
+import { backoffDelay } from '../../src/services/rpc.js';
+import { TIER_POLICY_SOURCE } from '../../src/services/serverConfig.js';
+import { getTierPolicy, isTierAtOrBelow, loadTierPolicy } from '../../src/services/tierPolicy.js';
+import { isValidSolanaAddress } from '../../src/utils/storage.js';
+import { POLL_TIMEOUT_SECONDS } from './api.js';
+import { formatCheckSummary } from './summary.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Base58 runs of mint length that aren't part of a longer run
+const MINT_PATTERN = /(?<![1-9A-HJ-NP-Za-km-z])[1-9A-HJ-NP-Za-km-z]{32,44}(?![1-9A-HJ-NP-Za-km-z])/g;
+
+const HELP = [
+  'Post a token CA and I check its deployer.',
+  '/check &lt;mint&gt; - check a token',
+  '/settings - this chat\'s settings',
+  'Admins: /autoreply on|off, /threshold &lt;tier&gt;|all, /ratelimit &lt;checks per hour&gt;, /cooldown &lt;minutes&gt;'
+].join('\n');
+
+/**
+ * Solana mints in a message, first one first
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function findMints(text) {
+  return [...new Set(String(text || '').match(MINT_PATTERN) || [])].filter(isValidSolanaAddress);
+}
+
+// "/check@fairscore_bot abc" -> { command: 'check', mention: 'fairscore_bot', args: ['abc'] }
+function parseCommand(text) {
+  const match = /^\/([a-z_]+)(?:@(\w+))?\s*(.*)$/is.exec(text?.trim() || '');
+  if (!match) return null;
+  return { command: match[1].toLowerCase(), mention: match[2] || null, args: match[3].split(/\s+/).filter(Boolean) };
+}
+
+function formatSettings(settings) {
+  return [
+    `auto-reply: ${settings.autoReply ? 'on' : 'off'}`,
+    `threshold: ${settings.maxTier ? `${settings.maxTier} or worse` : 'every tier'}`,
+    `rate limit: ${settings.repliesPerHour} checks per hour`,
+    `cooldown: ${settings.mintCooldownMinutes} min per mint`
+  ].join('\n');
+}
+
+/**
+ * Telegram bot that answers mints posted in a chat with a compact check summary.
+ * Checks go through the server's /api/check (runCheck), one at a time; each chat has its own
+ * settings (telegramStore) and rate limits (in memory).
+ * @param {Object} options
+ * @param {{call: Function}} options.api - createTelegramApi() result, or a fake transport
+ * @param {Object} options.telegramStore - createTelegramStore() result
+ * @param {(mint: string) => Promise<Object>} options.runCheck - createCheckClient() result
+ */
+export function createTelegramBot({ api, telegramStore, runCheck }) {
+  let username = null;
+  let running = false;
+  let queue = Promise.resolve();
+
+  // chat id -> { checks: timestamps in the last hour, mints: mint -> last checked }
+  const activity = new Map();
+
+  /**
+   * Take a check slot for the chat, or say why not ('rate-limit' / 'cooldown')
+   * @returns {string|null}
+   */
+  function takeSlot(chatId, mint, settings, { ignoreCooldown = false } = {}) {
+    const now = Date.now();
+    const chat = activity.get(chatId) || { checks: [], mints: new Map() };
+    activity.set(chatId, chat);
+
+    chat.checks = chat.checks.filter(at => now - at < HOUR_MS);
+    if (chat.checks.length >= settings.repliesPerHour) return 'rate-limit';
+
+    const lastChecked = chat.mints.get(mint);
+    if (!ignoreCooldown && lastChecked && now - lastChecked < settings.mintCooldownMinutes * 60 * 1000) {
+      return 'cooldown';
+    }
+
+    chat.checks.push(now);
+    chat.mints.set(mint, now);
+    return null;
+  }
+
+  // Checks run one at a time - a busy chat shouldn't stampede the server
+  function enqueueCheck(mint) {
+    const check = queue.then(() => runCheck(mint));
+    queue = check.catch(() => {});
+    return check;
+  }
+
+  function reply(message, text) {
+    return api.call('sendMessage', {
+      chat_id: message.chat.id,
+      text,
+      parse_mode: 'HTML',
+      reply_parameters: { message_id: message.message_id, allow_sending_without_reply: true },
+      link_preview_options: { is_disabled: true }
+    });
+  }
+
+  async function isChatAdmin(message) {
+    if (message.chat.type === 'private') return true;
+    try {
+      const member = await api.call('getChatMember', { chat_id: message.chat.id, user_id: message.from.id });
+      return member.status === 'creator' || member.status === 'administrator';
+    } catch (error) {
+      console.warn('Telegram admin lookup failed:', error.message);
+      return false;
+    }
+  }
+
+  // A mint posted in the chat: check it quietly, reply only if the chat's settings want it
+  async function handleMint(message, mint, settings) {
+    if (takeSlot(message.chat.id, mint, settings)) return;
+
+    let result;
+    try {
+      result = await enqueueCheck(mint);
+    } catch (error) {
+      // Random base58 text often isn't a token at all - stay quiet
+      if (error.name !== 'AnalysisError') {
+        console.warn(`Telegram auto-check of ${mint} failed:`, error.message);
+      }
+      return;
+    }
+
+    if (settings.maxTier && !isTierAtOrBelow(result.tier, settings.maxTier)) return;
+    await reply(message, formatCheckSummary(result));
+  }
+
+  // /check <mint>: always answers, cooldown doesn't apply but the hourly limit does
+  async function handleCheck(message, [mint], settings) {
+    if (!isValidSolanaAddress(mint)) {
+      return reply(message, 'ngmi - invalid address');
+    }
+    if (takeSlot(message.chat.id, mint, settings, { ignoreCooldown: true })) {
+      return reply(message, `slow down - this chat gets ${settings.repliesPerHour} checks per hour`);
+    }
+
+    api.call('sendChatAction', { chat_id: message.chat.id, action: 'typing' }).catch(() => {});
+    try {
+      await reply(message, formatCheckSummary(await enqueueCheck(mint)));
+    } catch (error) {
+      if (error.name !== 'AnalysisError') {
+        console.error(`Telegram /check of ${mint} failed:`, error);
+      }
+      await reply(message, error.name === 'AnalysisError' ? error.message : 'check failed, try again later');
+    }
+  }
+
+  // Setting commands: parse the argument into a settings change, or return an error message
+  const SETTERS = {
+    autoreply: ([value]) => ['on', 'off'].includes(value)
+      ? { autoReply: value === 'on' }
+      : 'usage: /autoreply on|off',
+    // Tier names can have spaces ("KEEP AN EYE")
+    threshold: (args) => {
+      const value = args.join(' ').toLowerCase();
+      if (value === 'all') return { maxTier: null };
+      const tier = getTierPolicy().tiers.find(t => t.name.toLowerCase() === value);
+      return tier
+        ? { maxTier: tier.name }
+        : `usage: /threshold &lt;tier&gt;|all - tiers: ${getTierPolicy().tiers.map(t => t.name).join(', ')}`;
+    },
+    ratelimit: ([value]) => Number.isInteger(Number(value)) && Number(value) > 0
+      ? { repliesPerHour: Number(value) }
+      : 'usage: /ratelimit &lt;checks per hour&gt;',
+    cooldown: ([value]) => Number.isInteger(Number(value)) && Number(value) >= 0
+      ? { mintCooldownMinutes: Number(value) }
+      : 'usage: /cooldown &lt;minutes&gt;'
+  };
+
+  async function handleSetting(message, command, args) {
+    if (!await isChatAdmin(message)) {
+      return reply(message, 'only chat admins can change settings');
+    }
+    const changes = SETTERS[command](args);
+    if (typeof changes === 'string') {
+      return reply(message, changes);
+    }
+    const settings = await telegramStore.updateChatSettings(message.chat.id, changes);
+    await reply(message, formatSettings(settings));
+  }
+
+  /**
+   * One update from getUpdates (only messages are handled)
+   * @param {Object} update - Telegram Update
+   */
+  async function handleUpdate(update) {
+    const message = update.message;
+    if (!message?.text || message.from?.is_bot) return;
+
+    const settings = await telegramStore.getChatSettings(message.chat.id);
+    const parsed = parseCommand(message.text);
+
+    if (parsed) {
+      // In groups, "/check@other_bot" is for another bot
+      if (parsed.mention && username && parsed.mention.toLowerCase() !== username.toLowerCase()) return;
+
+      if (parsed.command === 'check') return handleCheck(message, parsed.args, settings);
+      if (parsed.command === 'settings') return reply(message, formatSettings(settings));
+      if (SETTERS[parsed.command]) return handleSetting(message, parsed.command, parsed.args);
+      if (parsed.command === 'start' || parsed.command === 'help') return reply(message, HELP);
+      return;
+    }
+
+    const [mint] = findMints(message.text);
+    if (mint && settings.autoReply) {
+      await handleMint(message, mint, settings);
+    }
+  }
+
+  // Long poll getUpdates until stop(); failed polls back off
+  async function poll() {
+    let offset = 0;
+    let failures = 0;
+
+    while (running) {
+      let updates;
+      try {
+        updates = await api.call('getUpdates', { offset, timeout: POLL_TIMEOUT_SECONDS, allowed_updates: ['message'] });
+        failures = 0;
+      } catch (error) {
+        console.warn('Telegram poll failed:', error.message);
+        await new Promise(resolve => setTimeout(resolve, backoffDelay(failures++, { baseMs: 1000, maxMs: 60000 })));
+        continue;
+      }
+
+      for (const update of updates) {
+        offset = update.update_id + 1;
+        // Handled concurrently so a slow check doesn't hold up other chats' commands
+        handleUpdate(update).catch(error => console.error('Telegram update failed:', error));
+      }
+    }
+  }
+
+  return {
+    handleUpdate,
+
+    async start() {
+      if (running) return;
+      await loadTierPolicy(TIER_POLICY_SOURCE);
+      const me = await api.call('getMe');
+      username = me.username;
+      running = true;
+      console.log(`Telegram bot running as @${username}`);
+      poll();
+    },
+
+    stop() {
+      running = false;
+    }
+  };
+}
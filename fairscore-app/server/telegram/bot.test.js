@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_CHAT_SETTINGS } from '../storage/telegramStore.js';
+import { createTelegramBot, findMints } from './bot.js';
+import { formatCheckSummary } from './summary.js';
+
+const MINT_A = 'So11111111111111111111111111111111111111112';
+const MINT_B = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const MINT_C = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+
+// Transport stand-in: records every Bot API call, answers getChatMember as an admin
+function fakeApi() {
+  const calls = [];
+  return {
+    calls,
+    sent: () => calls.filter(([method]) => method === 'sendMessage').map(([, params]) => params.text),
+    async call(method, params) {
+      calls.push([method, params]);
+      return method === 'getChatMember' ? { status: 'administrator' } : {};
+    }
+  };
+}
+
+// In-memory telegramStore with the given settings for every chat
+function fakeStore(settings = {}) {
+  let current = { ...DEFAULT_CHAT_SETTINGS, ...settings };
+  return {
+    getChatSettings: async () => current,
+    updateChatSettings: async (chatId, changes) => (current = { ...current, ...changes })
+  };
+}
+
+function createBot({ settings, tiers = {} } = {}) {
+  const api = fakeApi();
+  const checked = [];
+  const bot = createTelegramBot({
+    api,
+    telegramStore: fakeStore(settings),
+    runCheck: async (mint) => {
+      checked.push(mint);
+      return { tokenAddress: mint, tokenSymbol: 'TEST', tier: tiers[mint] || 'DANGER', score: 100 };
+    }
+  });
+  return { api, bot, checked };
+}
+
+let updateId = 0;
+const message = (text, chat = { id: -100, type: 'group' }) => ({
+  update_id: ++updateId,
+  message: { message_id: updateId, text, from: { id: 42 }, chat }
+});
+
+test('findMints picks standalone mints, once each, in order', () => {
+  assert.deepEqual(findMints(`ape ${MINT_B} now, then ${MINT_A} and ${MINT_B} again`), [MINT_B, MINT_A]);
+  // Part of a longer base58 run (a tx signature, say) isn't a mint
+  assert.deepEqual(findMints(`${MINT_A}${MINT_C}`), []);
+  assert.deepEqual(findMints('gm, nothing here'), []);
+  assert.deepEqual(findMints(null), []);
+});
+
+test('a mint posted twice within the cooldown is checked once', async () => {
+  const { api, bot, checked } = createBot({ settings: { mintCooldownMinutes: 60 } });
+
+  await bot.handleUpdate(message(MINT_A));
+  await bot.handleUpdate(message(`again ${MINT_A}`));
+
+  assert.deepEqual(checked, [MINT_A]);
+  assert.equal(api.sent().length, 1);
+});
+
+test('/check ignores the cooldown but not the hourly limit', async () => {
+  const { api, bot, checked } = createBot({ settings: { repliesPerHour: 2 } });
+
+  await bot.handleUpdate(message(MINT_A));
+  await bot.handleUpdate(message(`/check ${MINT_A}`));
+  await bot.handleUpdate(message(`/check ${MINT_B}`));
+
+  assert.deepEqual(checked, [MINT_A, MINT_A]);
+  assert.equal(api.sent().at(-1), 'slow down - this chat gets 2 checks per hour');
+});
+
+test('rate limits are counted per chat', async () => {
+  const { bot, checked } = createBot({ settings: { repliesPerHour: 1 } });
+
+  await bot.handleUpdate(message(MINT_A, { id: 1, type: 'group' }));
+  await bot.handleUpdate(message(MINT_B, { id: 1, type: 'group' }));
+  await bot.handleUpdate(message(MINT_B, { id: 2, type: 'group' }));
+
+  assert.deepEqual(checked, [MINT_A, MINT_B]);
+});
+
+test('auto-replies only for tiers at or below the chat threshold', async () => {
+  const { api, bot, checked } = createBot({
+    settings: { maxTier: 'RISKY' },
+    tiers: { [MINT_A]: 'UNICORN', [MINT_B]: 'RISKY', [MINT_C]: 'DANGER' }
+  });
+
+  for (const mint of [MINT_A, MINT_B, MINT_C]) {
+    await bot.handleUpdate(message(mint));
+  }
+
+  assert.deepEqual(checked, [MINT_A, MINT_B, MINT_C]);
+  const replies = api.sent();
+  assert.equal(replies.length, 2);
+  assert.match(replies[0], /<b>RISKY<\/b>/);
+  assert.match(replies[1], /<b>DANGER<\/b>/);
+});
+
+test('/threshold takes tier names with spaces', async () => {
+  const { api, bot } = createBot();
+
+  await bot.handleUpdate(message('/threshold keep an eye'));
+
+  assert.match(api.sent()[0], /threshold: KEEP AN EYE or worse/);
+});
+
+test('formatCheckSummary escapes HTML in everything that came from the token', () => {
+  const summary = formatCheckSummary({
+    tokenAddress: MINT_A,
+    tokenSymbol: '<script>',
+    tier: 'MEH',
+    score: 300,
+    roast: 'dev said "trust me" & <b>rugged</b>',
+    fundedBy: { address: MINT_B, label: 'a<b>' },
+    deployerAge: 3,
+    trackRecord: { total: 0 }
+  });
+
+  assert.match(summary, /\$&lt;script&gt;/);
+  assert.match(summary, /<i>dev said "trust me" &amp; &lt;b&gt;rugged&lt;\/b&gt;<\/i>/);
+  assert.match(summary, /funded by: a&lt;b&gt;/);
+  assert.doesNotMatch(summary, /<script>|<b>rugged/);
+});
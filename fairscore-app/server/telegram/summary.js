@@ -0,0 +1,34 @@
+import { getTierEmojiSet } from '../../src/services/tierPolicy.js';
+import { truncateAddress } from '../../src/utils/storage.js';
+
+const TIER_DOTS = { good: '🟢', mid: '🟡', bad: '🔴' };
+
+// Telegram HTML parse mode only needs these three escaped
+const escapeHtml = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+function formatRugHistory(result) {
+  const record = result.trackRecord;
+  const history = record?.total > 0
+    ? `${record.rugged} of ${record.total} past launches rugged`
+    : 'no past launches';
+  return result.rugged ? `${history}, this one rugged too` : history;
+}
+
+/**
+ * Compact Telegram reply (HTML parse mode) for a check result: tier, roast, dev age, funder, rug history
+ * @param {Object} result - /api/check result
+ * @returns {string}
+ */
+export function formatCheckSummary(result) {
+  const name = result.tokenSymbol ? `$${result.tokenSymbol}` : truncateAddress(result.tokenAddress);
+  const funder = result.fundedBy
+    ? result.fundedBy.label || truncateAddress(result.fundedBy.address)
+    : 'unknown';
+
+  return [
+    `${TIER_DOTS[getTierEmojiSet(result.tier)] || TIER_DOTS.mid} <b>${escapeHtml(result.tier)}</b> (${result.score}) · ${escapeHtml(name)}`,
+    result.roast ? `<i>${escapeHtml(result.roast)}</i>` : null,
+    `dev age: ${result.deployerAge != null ? `${result.deployerAge}d` : 'unknown'} · funded by: ${escapeHtml(funder)}`,
+    `rug history: ${formatRugHistory(result)}`
+  ].filter(Boolean).join('\n');
+}
@@ -0,0 +1,77 @@
+import express from 'express';
+import { parseCheckQuery } from '../../api/_lib/storage/checkStore.js';
+import { isValidSolanaAddress } from '../../src/utils/storage.js';
+import { requireAdmin } from '../auth.js';
+
+const WATCH_KINDS = ['token', 'deployer'];
+
+// Watches added through the API count against one owner's cap (Discord channels have their own)
+const API_OWNER = 'api';
+
+// Express 4 doesn't catch rejected promises - answer 500 like the api/ handlers do
+const handle = (route) => (req, res) => route(req, res).catch(error => {
+  console.error('Watchlist error:', error);
+  res.status(500).json({ error: 'Internal server error' });
+});
+
+/**
+ * /api/watchlist routes (Express only - the scheduler needs a long-running process).
+ * Reading is public; adding and removing watches is admin only.
+ * @param {Object} watchStore - createWatchlistStore() result
+ * @param {Object} scheduler - createWatchScheduler() result
+ * @param {Object} [options]
+ * @param {string} [options.adminToken] - Bearer token adding and removing need (WATCHLIST_ADMIN_TOKEN)
+ */
+export function createWatchlistRouter(watchStore, scheduler, { adminToken = process.env.WATCHLIST_ADMIN_TOKEN } = {}) {
+  const router = express.Router();
+  const admin = requireAdmin(adminToken, 'Adding watches is disabled - set WATCHLIST_ADMIN_TOKEN');
+
+  // GET /api/watchlist - Everything being watched, newest first
+  router.get('/', handle(async (req, res) => {
+    res.json({ items: await watchStore.listWatches() });
+  }));
+
+  // POST /api/watchlist - Watch a token mint or deployer wallet: { kind, address, label? }
+  router.post('/', admin, handle(async (req, res) => {
+    const { kind, address, label } = req.body || {};
+
+    if (!WATCH_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of ${WATCH_KINDS.join(', ')}` });
+    }
+    if (!isValidSolanaAddress(address)) {
+      return res.status(400).json({ error: 'Invalid address' });
+    }
+
+    let watch;
+    try {
+      watch = await watchStore.addWatch({ kind, address, label: label || null, owner: API_OWNER });
+    } catch (error) {
+      if (error.name !== 'WatchLimitError') throw error;
+      return res.status(409).json({ error: error.message });
+    }
+
+    // Baseline snapshot soon (queued behind running checks), so the first scheduled re-check has something to diff
+    if (!watch.lastCheckedAt) {
+      scheduler.enqueue(watch);
+    }
+    res.json(watch);
+  }));
+
+  // DELETE /api/watchlist/:id - Stop watching (its events go too)
+  router.delete('/:id', admin, handle(async (req, res) => {
+    const removed = await watchStore.removeWatch(Number(req.params.id));
+    if (!removed) {
+      return res.status(404).json({ error: 'Watch not found' });
+    }
+    res.json({ ok: true });
+  }));
+
+  // GET /api/watchlist/events - Change events, newest first (?watchId=&limit=&cursor=)
+  router.get('/events', handle(async (req, res) => {
+    const { limit, cursor } = parseCheckQuery(req.query);
+    const watchId = req.query.watchId ? Number(req.query.watchId) : undefined;
+    res.json(await watchStore.listEvents({ watchId, limit, cursor }));
+  }));
+
+  return router;
+}
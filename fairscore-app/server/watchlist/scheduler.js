@@ -0,0 +1,129 @@
+import { analyzeToken } from '../../src/services/analyzeToken.js';
+import { analyzeDeployer } from '../../src/services/analyzeDeployer.js';
+import { toRecentCheckEntry } from '../../src/services/recentChecks.js';
+import { toWatchSnapshot, diffWatchSnapshots } from '../../src/services/watchDiff.js';
+import { notifyCheckCompleted } from '../../api/_lib/checkEvents.js';
+
+// How often each watch is re-checked. Override with WATCH_INTERVAL_MINUTES.
+const DEFAULT_INTERVAL_MS = (Number(process.env.WATCH_INTERVAL_MINUTES) || 30) * 60 * 1000;
+
+// How often the scheduler looks for watches that are due
+const TICK_MS = 60 * 1000;
+
+/**
+ * Re-runs the analysis of every watched token / deployer on an interval and records what changed.
+ * Watches are checked one at a time so a long watchlist doesn't flood the RPC endpoints.
+ * @param {Object} options
+ * @param {Object} options.watchStore - createWatchlistStore() result
+ * @param {Object} [options.checkStore] - Token re-checks are also saved here (recent checks + history)
+ * @param {number} [options.intervalMs] - Time between re-checks of the same watch
+ * @param {{token: Function, deployer: Function}} [options.analyzers] - Analysis per watch kind
+ * @param {(watch: Object, events: Array, snapshot: Object) => void} [options.onChanges] - Called when a re-check found changes
+ */
+export function createWatchScheduler({
+  watchStore,
+  checkStore = null,
+  intervalMs = DEFAULT_INTERVAL_MS,
+  analyzers = { token: analyzeToken, deployer: analyzeDeployer },
+  onChanges = null
+}) {
+  let timer = null;
+  let running = null;
+  let queue = Promise.resolve();
+
+  const isDue = (watch, now) => !watch.lastCheckedAt || now - watch.lastCheckedAt >= intervalMs;
+
+  // Every analysis goes through here, so checks never overlap (scheduled runs and new watches alike)
+  function serialize(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Re-check one watch. The first check only records the baseline snapshot.
+   * @returns {Promise<Array>} Events recorded by this check
+   */
+  async function runCheck(watch) {
+    try {
+      const result = await analyzers[watch.kind](watch.address);
+      const snapshot = toWatchSnapshot(result);
+      const events = watch.lastSnapshot ? diffWatchSnapshots(watch.lastSnapshot, snapshot) : [];
+      await watchStore.recordCheck(watch.id, { snapshot, events, checkedAt: result.checkedAt });
+
+      // A token re-check is a finished check like any other
+      if (watch.kind === 'token') {
+        if (checkStore) {
+          await checkStore.saveCheck(toRecentCheckEntry(result));
+        }
+        notifyCheckCompleted(result);
+      }
+      if (events.length > 0) {
+        console.log(`Watch ${watch.kind} ${watch.address}: ${events.map(e => e.type).join(', ')}`);
+        onChanges?.(watch, events, snapshot);
+      }
+      return events;
+    } catch (error) {
+      console.warn(`Watch re-check of ${watch.kind} ${watch.address} failed:`, error.message);
+      await watchStore.recordError(watch.id, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Re-check one watch now, after the checks already queued
+   * @returns {Promise<Array>} Events recorded by this check
+   */
+  function checkWatch(watch) {
+    return serialize(() => runCheck(watch));
+  }
+
+  /**
+   * Queue the baseline check of a new watch. Skipped if a scheduled run got to it first.
+   * @returns {Promise<Array>}
+   */
+  function enqueue(watch) {
+    return serialize(async () => {
+      const current = await watchStore.getWatch(watch.id);
+      return current && !current.lastCheckedAt ? runCheck(current) : [];
+    });
+  }
+
+  // Re-check every watch that is due; overlapping calls share the run in progress
+  function runDue() {
+    if (!running) {
+      running = serialize(async () => {
+        const now = Date.now();
+        const due = (await watchStore.listWatches()).filter(watch => isDue(watch, now));
+        for (const watch of due) {
+          await runCheck(watch);
+        }
+      })
+        .catch(error => console.error('Watch scheduler run failed:', error))
+        .finally(() => {
+          running = null;
+        });
+    }
+    return running;
+  }
+
+  return {
+    checkWatch,
+    enqueue,
+    runDue,
+
+    start() {
+      if (timer) return;
+      console.log(`Watch scheduler: re-checking every ${Math.round(intervalMs / 60000)} min`);
+      runDue();
+      timer = setInterval(runDue, Math.min(TICK_MS, intervalMs));
+      // Don't keep the process alive just for the scheduler
+      timer.unref?.();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffWatchSnapshots } from '../../src/services/watchDiff.js';
+
+const DEV = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+const MINT = 'So11111111111111111111111111111111111111112';
+
+// toWatchSnapshot() shape, nothing changed unless overridden
+const snapshot = (overrides = {}) => ({
+  score: 500,
+  tier: 'MEH',
+  deployerWallet: DEV,
+  tokensLaunched: 1,
+  creatorTokens: [],
+  devSoldPct: 0,
+  top10HeldPct: 30,
+  rugged: false,
+  checkedAt: Date.parse('2026-01-01T00:00:00Z'),
+  ...overrides
+});
+
+const types = (events) => events.map(event => event.type);
+
+test('identical snapshots have no events', () => {
+  assert.deepEqual(diffWatchSnapshots(snapshot(), snapshot()), []);
+});
+
+test('dev-sold fires on a sale of at least the step since the last re-check', () => {
+  const [event] = diffWatchSnapshots(snapshot({ devSoldPct: 2 }), snapshot({ devSoldPct: 5.5 }));
+
+  assert.equal(event.type, 'dev-sold');
+  assert.equal(event.message, 'dev sold 3.5% more of the supply (5.5% so far)');
+  assert.deepEqual(event.data, { from: 2, to: 5.5 });
+  assert.deepEqual(diffWatchSnapshots(snapshot({ devSoldPct: 2 }), snapshot({ devSoldPct: 2.5 })), []);
+});
+
+test('dev-sold is skipped when the previous re-check has no figure', () => {
+  // The first figure is a baseline - a dev that sold 40% before the watch started didn't just sell it
+  assert.deepEqual(diffWatchSnapshots(snapshot({ devSoldPct: null }), snapshot({ devSoldPct: 40 })), []);
+  assert.deepEqual(diffWatchSnapshots(snapshot({ devSoldPct: 10 }), snapshot({ devSoldPct: null })), []);
+});
+
+test('tier changes and top 10 jumps', () => {
+  const events = diffWatchSnapshots(
+    snapshot({ tier: 'MEH', score: 500, top10HeldPct: 30 }),
+    snapshot({ tier: 'DANGER', score: 90, top10HeldPct: 45 })
+  );
+
+  assert.deepEqual(types(events), ['tier-change', 'top10-jump']);
+  assert.equal(events[0].message, 'tier MEH → DANGER (score 500 → 90)');
+});
+
+test('new launches only count from the dev\'s own history, after the last re-check', () => {
+  const previous = snapshot();
+  const launched = { mint: MINT, symbol: 'NEW', outcome: null, own: true, createdAt: '2026-01-02T00:00:00Z' };
+
+  assert.deepEqual(types(diffWatchSnapshots(previous, snapshot({ creatorTokens: [launched] }))), ['new-launch']);
+  // Found via the funder, or launched before the last re-check: just newly seen
+  assert.deepEqual(diffWatchSnapshots(previous, snapshot({ creatorTokens: [{ ...launched, own: false }] })), []);
+  assert.deepEqual(diffWatchSnapshots(previous, snapshot({ creatorTokens: [{ ...launched, createdAt: '2025-12-01T00:00:00Z' }] })), []);
+});
+
+test('rugged fires once, for the token and for known dev tokens', () => {
+  const token = { mint: MINT, symbol: 'OLD', outcome: null, own: true, createdAt: null };
+
+  const events = diffWatchSnapshots(
+    snapshot({ creatorTokens: [token] }),
+    snapshot({ rugged: true, creatorTokens: [{ ...token, outcome: 'rugged' }] })
+  );
+  assert.deepEqual(events.map(event => event.message), ['dev\'s token $OLD rugged', 'token flagged as rugged']);
+  assert.deepEqual(diffWatchSnapshots(snapshot({ rugged: true }), snapshot({ rugged: true })), []);
+});
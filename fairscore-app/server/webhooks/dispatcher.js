@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import { backoffDelay } from '../../src/services/rpc.js';
+import { isTierAtOrBelow } from '../../src/services/tierPolicy.js';
+import { toRecentCheckEntry } from '../../src/services/recentChecks.js';
+import { signWebhookPayload } from './signing.js';
+import { findBlockedTarget } from './targets.js';
+
+/**
+ * Payload types
+ * - check.completed: a token check finished (/api/check or a watchlist re-check)
+ * - watch.changed: a watchlist re-check found changes (see WATCH_EVENT_TYPES)
+ */
+export const WEBHOOK_EVENTS = ['check.completed', 'watch.changed'];
+
+// Attempts per delivery, including the first. Override with WEBHOOK_MAX_ATTEMPTS.
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+
+// Receivers get this long to answer
+const TIMEOUT_MS = 10000;
+
+// Backoff between attempts (full jitter, see backoffDelay)
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 10 * 60 * 1000;
+
+const isRetryable = (status) => status === 429 || status >= 500;
+
+/**
+ * Does a payload pass the webhook's filters? Every filter that is set has to match.
+ * @param {{maxTier?: string, deployers?: string[], launchesAbove?: number}} filters
+ * @param {{tier: string, deployerWallet: string|null, tokensLaunched: number|null}} subject
+ */
+export function matchesWebhookFilters(filters, subject) {
+  if (filters.maxTier && !isTierAtOrBelow(subject.tier, filters.maxTier)) {
+    return false;
+  }
+  if (filters.deployers?.length > 0 && !filters.deployers.includes(subject.deployerWallet)) {
+    return false;
+  }
+  if (filters.launchesAbove != null && !((subject.tokensLaunched ?? 0) > filters.launchesAbove)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Sends signed payloads to matching webhooks, retrying with backoff and logging every attempt.
+ * Retries live in timers; deliveries still pending after a restart are picked up by resumePending().
+ * @param {Object} options
+ * @param {Object} options.store - createWebhookStore() result
+ * @param {typeof fetch} [options.fetchImpl] - For tests
+ * @param {(url: string) => Promise<string|null>} [options.checkTarget] - Refuses private targets (for tests)
+ */
+export function createWebhookDispatcher({ store, fetchImpl = fetch, checkTarget = findBlockedTarget }) {
+  const schedule = (deliveryId, delayMs) => {
+    const timer = setTimeout(() => {
+      attempt(deliveryId).catch(error => console.error(`Webhook delivery ${deliveryId} errored:`, error));
+    }, delayMs);
+    timer.unref?.();
+  };
+
+  // One attempt; schedules the next one if it failed and may succeed later
+  async function attempt(deliveryId) {
+    const delivery = await store.getDelivery(deliveryId);
+    const webhook = delivery && await store.getWebhook(delivery.webhookId);
+    if (!webhook || delivery.status !== 'pending') return;
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempts = delivery.attempts + 1;
+
+    let responseStatus = null;
+    let error = null;
+    try {
+      // DNS can change after registration - never send to an internal address (lookup errors are retried)
+      const blocked = await checkTarget(webhook.url);
+      if (blocked) {
+        console.warn(`Webhook ${webhook.id} delivery ${deliveryId} refused: ${blocked}`);
+        await store.updateDelivery(deliveryId, { status: 'failed', attempts, error: blocked });
+        return;
+      }
+      const response = await fetchImpl(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'fairscore-webhooks',
+          'X-Fairscore-Event': delivery.eventType,
+          'X-Fairscore-Delivery': delivery.payload.id,
+          'X-Fairscore-Timestamp': String(timestamp),
+          'X-Fairscore-Signature': `sha256=${signWebhookPayload(webhook.secret, timestamp, body)}`
+        },
+        body,
+        // A redirect could point at an internal address - 3xx counts as a failed delivery
+        redirect: 'manual',
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+      responseStatus = response.status;
+      if (response.ok) {
+        await store.updateDelivery(deliveryId, { status: 'delivered', attempts, responseStatus });
+        return;
+      }
+      error = `HTTP ${response.status}`;
+    } catch (fetchError) {
+      error = fetchError.message;
+    }
+
+    // Network errors, 429 and 5xx are retried; other 4xx mean the receiver won't take it
+    if ((responseStatus == null || isRetryable(responseStatus)) && attempts < MAX_ATTEMPTS) {
+      const delayMs = backoffDelay(attempts - 1, { baseMs: RETRY_BASE_MS, maxMs: RETRY_MAX_MS });
+      await store.updateDelivery(deliveryId, { status: 'pending', attempts, responseStatus, error, nextAttemptAt: Date.now() + delayMs });
+      schedule(deliveryId, delayMs);
+    } else {
+      console.warn(`Webhook ${webhook.id} delivery ${deliveryId} failed after ${attempts} attempts: ${error}`);
+      await store.updateDelivery(deliveryId, { status: 'failed', attempts, responseStatus, error });
+    }
+  }
+
+  /**
+   * Queue a payload for every webhook that wants it
+   * @param {string} type - One of WEBHOOK_EVENTS
+   * @param {Object} data - Payload data
+   * @param {Object} subject - What the filters look at (tier, deployerWallet, tokensLaunched)
+   * @returns {Promise<number>} Deliveries queued
+   */
+  async function dispatch(type, data, subject) {
+    const webhooks = (await store.listWebhooks())
+      .filter(webhook => webhook.events.includes(type) && matchesWebhookFilters(webhook.filters, subject));
+
+    for (const webhook of webhooks) {
+      const payload = { id: crypto.randomUUID(), type, createdAt: Date.now(), data };
+      const delivery = await store.createDelivery(webhook.id, type, payload);
+      schedule(delivery.id, 0);
+    }
+    return webhooks.length;
+  }
+
+  return {
+    dispatch,
+
+    // check.completed with the compact recent-check entry of an analyzeToken result
+    notifyCheck(result) {
+      return dispatch('check.completed', { ...toRecentCheckEntry(result), rugged: result.rugged, roast: result.roast }, {
+        tier: result.tier,
+        deployerWallet: result.deployerWallet,
+        tokensLaunched: result.tokensLaunched
+      });
+    },
+
+    // watch.changed with the events of one re-check (see createWatchScheduler's onChanges)
+    notifyWatchChange(watch, events, snapshot) {
+      const { id, kind, address, label } = watch;
+      return dispatch('watch.changed', { watch: { id, kind, address, label }, events, snapshot }, snapshot);
+    },
+
+    // Pick up retries interrupted by a restart
+    async resumePending() {
+      const now = Date.now();
+      for (const delivery of await store.listPendingDeliveries()) {
+        schedule(delivery.id, Math.max(0, (delivery.nextAttemptAt ?? now) - now));
+      }
+    }
+  };
+}
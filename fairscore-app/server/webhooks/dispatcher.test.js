@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWebhookDispatcher } from './dispatcher.js';
+import { verifyWebhookSignature } from './signing.js';
+
+const SECRET = 'whsec_test';
+
+// In-memory webhookStore; settled() resolves once a delivery leaves 'pending'
+function fakeStore(webhooks) {
+  const deliveries = new Map();
+  const waiting = [];
+  return {
+    deliveries,
+    // The dispatcher's timers are unref'd - keep the process up until the delivery settles
+    settled: () => new Promise(resolve => {
+      const keepAlive = setInterval(() => {}, 1000);
+      waiting.push(delivery => {
+        clearInterval(keepAlive);
+        resolve(delivery);
+      });
+    }),
+    listWebhooks: async () => webhooks,
+    getWebhook: async (id) => webhooks.find(webhook => webhook.id === id) || null,
+    async createDelivery(webhookId, eventType, payload) {
+      const delivery = { id: deliveries.size + 1, webhookId, eventType, payload, status: 'pending', attempts: 0 };
+      deliveries.set(delivery.id, delivery);
+      return delivery;
+    },
+    getDelivery: async (id) => deliveries.get(id) || null,
+    async updateDelivery(id, changes) {
+      Object.assign(deliveries.get(id), changes);
+      if (changes.status !== 'pending') waiting.shift()?.(deliveries.get(id));
+    }
+  };
+}
+
+const webhook = (url) => ({ id: 1, url, secret: SECRET, events: ['check.completed'], filters: {} });
+
+test('deliveries carry a signature the receiver can verify', async () => {
+  const store = fakeStore([webhook('https://hooks.example.com/fairscore')]);
+  const requests = [];
+  const dispatcher = createWebhookDispatcher({
+    store,
+    checkTarget: async () => null,
+    fetchImpl: async (url, init) => {
+      requests.push(init);
+      return new Response('ok', { status: 200 });
+    }
+  });
+
+  const settled = store.settled();
+  await dispatcher.dispatch('check.completed', { tier: 'RISKY' }, { tier: 'RISKY' });
+  assert.equal((await settled).status, 'delivered');
+
+  const { headers, body } = requests[0];
+  assert.match(headers['X-Fairscore-Signature'], /^sha256=[0-9a-f]{64}$/);
+  assert.equal(headers['X-Fairscore-Event'], 'check.completed');
+  assert.equal(headers['X-Fairscore-Delivery'], JSON.parse(body).id);
+  assert.equal(verifyWebhookSignature({
+    secret: SECRET,
+    timestamp: headers['X-Fairscore-Timestamp'],
+    body,
+    signature: headers['X-Fairscore-Signature']
+  }), true);
+});
+
+test('a delivery to a loopback address fails without a request', async () => {
+  const store = fakeStore([webhook('http://127.0.0.1:3001/api/webhooks')]);
+  let fetched = false;
+  const dispatcher = createWebhookDispatcher({
+    store,
+    fetchImpl: async () => {
+      fetched = true;
+      return new Response('ok', { status: 200 });
+    }
+  });
+
+  const settled = store.settled();
+  await dispatcher.dispatch('check.completed', { tier: 'RISKY' }, { tier: 'RISKY' });
+  const delivery = await settled;
+
+  assert.equal(fetched, false);
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.error, 'url must not point at a private, loopback or link-local address');
+});
@@ -0,0 +1,107 @@
+import express from 'express';
+import { parseCheckQuery } from '../../api/_lib/storage/checkStore.js';
+import { getTierPolicy } from '../../src/services/tierPolicy.js';
+import { isValidSolanaAddress } from '../../src/utils/storage.js';
+import { requireAdmin } from '../auth.js';
+import { WEBHOOK_EVENTS } from './dispatcher.js';
+import { findBlockedTarget } from './targets.js';
+
+// Express 4 doesn't catch rejected promises - answer 500 like the api/ handlers do
+const handle = (route) => (req, res) => route(req, res).catch(error => {
+  console.error('Webhooks error:', error);
+  res.status(500).json({ error: 'Internal server error' });
+});
+
+// The secret is only shown once, when the webhook is created
+const withoutSecret = ({ id, url, events, filters, createdAt }) => ({ id, url, events, filters, createdAt });
+
+/**
+ * Check a registration body; returns an error message or the cleaned webhook
+ * @returns {{error: string}|{url: string, events: string[], filters: Object}}
+ */
+async function parseWebhook({ url, events = WEBHOOK_EVENTS, filters = {} } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { error: 'url must be an absolute http(s) URL' };
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return { error: 'url must be an absolute http(s) URL' };
+  }
+  const blocked = await findBlockedTarget(parsed.toString()).catch(() => `can't resolve ${parsed.hostname}`);
+  if (blocked) {
+    return { error: blocked };
+  }
+  if (!Array.isArray(events) || events.length === 0 || events.some(e => !WEBHOOK_EVENTS.includes(e))) {
+    return { error: `events must be a list of ${WEBHOOK_EVENTS.join(', ')}` };
+  }
+
+  const { maxTier, deployers, launchesAbove } = filters;
+  if (maxTier != null && !getTierPolicy().tiers.some(t => t.name === maxTier)) {
+    return { error: `unknown tier ${maxTier}` };
+  }
+  if (deployers != null && (!Array.isArray(deployers) || !deployers.every(isValidSolanaAddress))) {
+    return { error: 'deployers must be a list of wallet addresses' };
+  }
+  if (launchesAbove != null && !(Number.isInteger(launchesAbove) && launchesAbove >= 0)) {
+    return { error: 'launchesAbove must be a non-negative integer' };
+  }
+
+  return {
+    url: parsed.toString(),
+    events,
+    filters: {
+      ...(maxTier != null && { maxTier }),
+      ...(deployers?.length > 0 && { deployers }),
+      ...(launchesAbove != null && { launchesAbove })
+    }
+  };
+}
+
+/**
+ * /api/webhooks routes (Express only - deliveries are retried from a long-running process), admin only
+ * @param {Object} webhookStore - createWebhookStore() result
+ * @param {Object} [options]
+ * @param {string} [options.adminToken] - Bearer token the routes require (WEBHOOK_ADMIN_TOKEN)
+ */
+export function createWebhookRouter(webhookStore, { adminToken = process.env.WEBHOOK_ADMIN_TOKEN } = {}) {
+  const router = express.Router();
+  // Every webhook route is admin only; without WEBHOOK_ADMIN_TOKEN the routes are off
+  router.use(requireAdmin(adminToken, 'Webhooks are disabled - set WEBHOOK_ADMIN_TOKEN'));
+
+  // GET /api/webhooks - Registered webhooks (without secrets)
+  router.get('/', handle(async (req, res) => {
+    res.json({ items: (await webhookStore.listWebhooks()).map(withoutSecret) });
+  }));
+
+  // POST /api/webhooks - Register: { url, events?, filters?: { maxTier?, deployers?, launchesAbove? } }
+  router.post('/', handle(async (req, res) => {
+    const parsed = await parseWebhook(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    res.status(201).json(await webhookStore.createWebhook(parsed));
+  }));
+
+  // DELETE /api/webhooks/:id - Unregister (its delivery log goes too)
+  router.delete('/:id', handle(async (req, res) => {
+    const removed = await webhookStore.removeWebhook(Number(req.params.id));
+    if (!removed) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ ok: true });
+  }));
+
+  // GET /api/webhooks/:id/deliveries - Delivery log, newest first (?limit=&cursor=)
+  router.get('/:id/deliveries', handle(async (req, res) => {
+    const webhookId = Number(req.params.id);
+    if (!await webhookStore.getWebhook(webhookId)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    const { limit, cursor } = parseCheckQuery(req.query);
+    res.json(await webhookStore.listDeliveries({ webhookId, limit, cursor }));
+  }));
+
+  return router;
+}
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createWebhookRouter } from './routes.js';
+
+const TOKEN = 'admin-token';
+
+// The router on a throwaway port, with an in-memory store; closed after the test
+async function startServer(t, adminToken = TOKEN) {
+  const created = [];
+  const store = {
+    async createWebhook(webhook) {
+      created.push(webhook);
+      return { id: created.length, secret: 'whsec_test', ...webhook };
+    }
+  };
+  const app = express();
+  app.use(express.json());
+  app.use('/api/webhooks', createWebhookRouter(store, { adminToken }));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(() => server.close());
+
+  const register = (body, token = TOKEN) => fetch(`http://127.0.0.1:${server.address().port}/api/webhooks`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+    body: JSON.stringify(body)
+  });
+  return { created, register };
+}
+
+test('registering needs the admin token, and is off without one', async (t) => {
+  const { created, register } = await startServer(t);
+  assert.equal((await register({ url: 'https://8.8.8.8/hook' }, null)).status, 401);
+  assert.equal((await register({ url: 'https://8.8.8.8/hook' }, 'wrong-token')).status, 401);
+
+  const disabled = await startServer(t, null);
+  assert.equal((await disabled.register({ url: 'https://8.8.8.8/hook' })).status, 503);
+  assert.equal(created.length, 0);
+});
+
+test('private and loopback targets are refused at registration', async (t) => {
+  const { created, register } = await startServer(t);
+
+  for (const url of ['http://localhost:3001/hook', 'http://127.0.0.1/hook', 'http://[::1]/hook', 'http://192.168.1.10/hook']) {
+    const response = await register({ url });
+    assert.equal(response.status, 400, url);
+    assert.deepEqual(await response.json(), { error: 'url must not point at a private, loopback or link-local address' });
+  }
+  assert.equal(created.length, 0);
+
+  const response = await register({ url: 'https://8.8.8.8/hook', events: ['check.completed'] });
+  assert.equal(response.status, 201);
+  assert.equal((await response.json()).secret, 'whsec_test');
+  assert.deepEqual(created, [{ url: 'https://8.8.8.8/hook', events: ['check.completed'], filters: {} }]);
+});
@@ -0,0 +1,37 @@
+import crypto from 'crypto';
+
+// Signatures older than this are rejected by verifyWebhookSignature (replay protection)
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret, hex encoded.
+ * Sent as `X-Fairscore-Signature: sha256=<hex>` next to `X-Fairscore-Timestamp: <timestamp>`.
+ * @param {string} secret - Webhook secret (returned when the webhook was created)
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw request body
+ * @returns {string}
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Check a delivery on the receiving end. Use the raw body - re-serialized JSON won't match.
+ * @param {Object} params
+ * @param {string} params.secret - Webhook secret
+ * @param {string|number} params.timestamp - X-Fairscore-Timestamp header
+ * @param {string} params.body - Raw request body
+ * @param {string} params.signature - X-Fairscore-Signature header
+ * @param {number} [params.toleranceSeconds] - Max age of the delivery
+ * @returns {boolean}
+ */
+export function verifyWebhookSignature({ secret, timestamp, body, signature, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS }) {
+  const seconds = Number(timestamp);
+  if (!Number.isFinite(seconds) || Math.abs(Date.now() / 1000 - seconds) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(`sha256=${signWebhookPayload(secret, seconds, body)}`);
+  const received = Buffer.from(String(signature || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
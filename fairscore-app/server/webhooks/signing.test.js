@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { signWebhookPayload, verifyWebhookSignature } from './signing.js';
+
+const SECRET = 'whsec_test';
+const BODY = JSON.stringify({ id: 'delivery-1', type: 'check.completed', data: { tier: 'RISKY' } });
+
+// Pin the clock so the timestamp tolerance is under the test's control
+function mockClock(t, seconds) {
+  t.mock.method(Date, 'now', () => seconds * 1000);
+}
+
+test('the signature is hex HMAC-SHA256 of "<timestamp>.<body>"', () => {
+  const expected = crypto.createHmac('sha256', SECRET).update(`1700000000.${BODY}`).digest('hex');
+
+  assert.equal(signWebhookPayload(SECRET, 1700000000, BODY), expected);
+  assert.match(expected, /^[0-9a-f]{64}$/);
+});
+
+test('verifyWebhookSignature takes the sha256=<hex> header as sent', (t) => {
+  mockClock(t, 1700000030);
+  const signature = `sha256=${signWebhookPayload(SECRET, 1700000000, BODY)}`;
+
+  assert.equal(verifyWebhookSignature({ secret: SECRET, timestamp: '1700000000', body: BODY, signature }), true);
+  // Without the prefix, with another secret, or over another body it doesn't match
+  assert.equal(verifyWebhookSignature({ secret: SECRET, timestamp: '1700000000', body: BODY, signature: signature.slice(7) }), false);
+  assert.equal(verifyWebhookSignature({ secret: 'other', timestamp: '1700000000', body: BODY, signature }), false);
+  assert.equal(verifyWebhookSignature({ secret: SECRET, timestamp: '1700000000', body: `${BODY} `, signature }), false);
+  assert.equal(verifyWebhookSignature({ secret: SECRET, timestamp: '1700000000', body: BODY, signature: undefined }), false);
+});
+
+test('verifyWebhookSignature rejects old or garbled timestamps', (t) => {
+  mockClock(t, 1700000000 + 301);
+  const signature = `sha256=${signWebhookPayload(SECRET, 1700000000, BODY)}`;
+
+  assert.equal(verifyWebhookSignature({ secret: SECRET, timestamp: 1700000000, body: BODY, signature }), false);
+  assert.equal(verifyWebhookSignature({ secret: SECRET, timestamp: 1700000000, body: BODY, signature, toleranceSeconds: 600 }), true);
+  assert.equal(verifyWebhookSignature({ secret: SECRET, timestamp: 'soon', body: BODY, signature }), false);
+});
@@ -0,0 +1,46 @@
+import dns from 'dns/promises';
+import net from 'net';
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges - webhooks never go there
+const BLOCKED = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * True for addresses a webhook must not reach (IPv4-mapped IPv6 is checked as IPv4)
+ * @param {string} address - IP address
+ */
+export function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED.check(mapped[1], 'ipv4');
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Why a webhook URL can't be delivered to, or null if it can. Resolves the host, so a public name
+ * pointing at an internal address is caught too - run it at registration and before every attempt.
+ * Throws when the host doesn't resolve.
+ * @param {string} url
+ * @returns {Promise<string|null>}
+ */
+export async function findBlockedTarget(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    return 'url must not point at a private, loopback or link-local address';
+  }
+
+  const addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.lookup(hostname, { all: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    return 'url must not point at a private, loopback or link-local address';
+  }
+  return null;
+}
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'node:dns/promises';
+import { findBlockedTarget, isPrivateAddress } from './targets.js';
+
+const BLOCKED = 'url must not point at a private, loopback or link-local address';
+
+test('isPrivateAddress blocks loopback, private, link-local and reserved ranges', () => {
+  for (const address of [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1',
+    '::1', '::', 'fe80::1', 'fc00::1', 'fd12:3456::1', '::ffff:127.0.0.1', '::ffff:a00:1', 'not-an-ip'
+  ]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('findBlockedTarget refuses localhost and private or loopback IP literals', async () => {
+  for (const url of [
+    'http://localhost:3001/hook',
+    'https://api.localhost/hook',
+    'http://127.0.0.1/hook',
+    'http://127.1/hook',
+    'http://2130706433/hook',
+    'http://10.0.0.5:8080/hook',
+    'http://[::1]/hook',
+    'http://[::ffff:192.168.0.1]/hook',
+    'http://169.254.169.254/latest/meta-data'
+  ]) {
+    assert.equal(await findBlockedTarget(url), BLOCKED, url);
+  }
+  assert.equal(await findBlockedTarget('https://8.8.8.8/hook'), null);
+});
+
+test('findBlockedTarget refuses a public name that resolves to a private address', async (t) => {
+  const answers = {
+    'hooks.example.com': [{ address: '93.184.216.34', family: 4 }],
+    'internal.example.com': [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.7', family: 4 }],
+    'nothing.example.com': []
+  };
+  t.mock.method(dns, 'lookup', async (hostname) => answers[hostname]);
+
+  assert.equal(await findBlockedTarget('https://hooks.example.com/hook'), null);
+  assert.equal(await findBlockedTarget('https://internal.example.com/hook'), BLOCKED);
+  assert.equal(await findBlockedTarget('https://nothing.example.com/hook'), BLOCKED);
+});
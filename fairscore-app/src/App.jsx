@@ -1,11 +1,17 @@
 import { useState, useEffect } from 'react';
-import { getFairScore, getTierFromScore } from './services/fairscale';
-import { getTokenReport } from './services/rugcheck';
-import { generateRoast } from './services/grok';
-import { getDeployerInfo, findRealDeployer, getDeployerCreatedTokens } from './services/solscan';
-import { getDeployerWalletInfo } from './services/birdeye';
-import { loadLeaderboard, saveToLeaderboard, isValidSolanaAddress, cleanTwitterHandle } from './utils/storage';
-import { fetchRecentChecks, saveRecentCheck } from './services/recentChecks';
+import { requestCheck, requestDeployerCheck } from './services/check';
+import { AnalysisError } from './services/analysisError';
+import { LABEL_CATEGORIES } from './services/labels';
+import { getTierColor, getTierGlow, getTierLabel, getTierEmojiSet } from './services/tierPolicy';
+import FundingGraph from './components/FundingGraph';
+import EarlyBuyers from './components/EarlyBuyers';
+import DevHoldingsChart from './components/DevHoldingsChart';
+import ReputationFactors from './components/ReputationFactors';
+import ScoreHistoryChart from './components/ScoreHistoryChart';
+import Watchlist from './components/Watchlist';
+import WatchButton from './components/WatchButton';
+import { loadLeaderboard, saveToLeaderboard, isValidSolanaAddress } from './utils/storage';
+import { fetchRecentChecks, toRecentCheckEntry, fetchTokenHistory } from './services/recentChecks';
 
 // Custom emoji paths
 const EMOJIS = {
@@ -20,26 +26,21 @@ const getRandomEmoji = (category) => {
   return emojis[Math.floor(Math.random() * emojis.length)];
 };
 
-const getTierEmoji = (tier) => {
-  if (tier === 'UNICORN' || tier === 'KEEP AN EYE') return getRandomEmoji('good');
-  if (tier === 'POTENTIAL' || tier === 'MEH+' || tier === 'MEH') return getRandomEmoji('mid');
-  return getRandomEmoji('bad');
-};
-
-// Clean roast text - remove any quotes
-const cleanRoast = (roast) => {
-  if (!roast) return '';
-  return roast.replace(/^["']+|["']+$/g, '').trim();
-};
+const getTierEmoji = (tier) => getRandomEmoji(getTierEmojiSet(tier));
 
 function App() {
   const [screen, setScreen] = useState('landing');
+  const [lookupMode, setLookupMode] = useState('token');
   const [tokenCA, setTokenCA] = useState('');
+  const [walletAddress, setWalletAddress] = useState('');
   const [devTwitter, setDevTwitter] = useState('');
   const [currentResult, setCurrentResult] = useState(null);
+  const [deployerProfile, setDeployerProfile] = useState(null);
   const [leaderboard, setLeaderboard] = useState([]);
   const [error, setError] = useState(null);
   const [loadingEmoji, setLoadingEmoji] = useState(getRandomEmoji('check'));
+  const [progress, setProgress] = useState(null);
+  const [history, setHistory] = useState([]);
 
   useEffect(() => {
     // Load from server first, fallback to local storage
@@ -66,7 +67,6 @@ function App() {
     // Use override values if provided (for clicking past searches), otherwise use state
     const tokenToCheck = overrideTokenCA || tokenCA;
     const twitterToCheck = overrideTwitter !== null ? overrideTwitter : devTwitter;
-    const cleanedTwitter = cleanTwitterHandle(twitterToCheck);
 
     if (!isValidSolanaAddress(tokenToCheck)) {
       setError('ngmi - invalid address');
@@ -74,207 +74,63 @@ function App() {
     }
 
     setError(null);
+    setProgress(null);
+    setHistory([]);
     setScreen('loading');
 
     try {
-      const tokenReport = await getTokenReport(tokenToCheck);
-
-      if (!tokenReport) {
-        setError('token not found ser');
-        setScreen('landing');
-        return;
-      }
-
-      const reportedCreator = tokenReport.creator;
-      if (!reportedCreator) {
-        setError('no deployer found');
-        setScreen('landing');
-        return;
-      }
-
-      // Find the real deployer (handles pump.fun tokens where creator is mint authority)
-      const deployerWallet = await findRealDeployer(tokenToCheck, reportedCreator);
-      console.log('Real deployer:', deployerWallet, '(reported:', reportedCreator, ')');
-
-      // Get creator tokens from rugcheck initially (will be augmented after we get funder info)
-      let rugcheckCreatorTokens = tokenReport.creatorTokens || [];
-      console.log('Rugcheck creatorTokens:', rugcheckCreatorTokens);
-
-      // tokensLaunched will be recalculated after we fetch from both deployer and funder
-      let allCreatorTokens = rugcheckCreatorTokens;
-
-      let currentMarketCap = null;
-      if (tokenReport.price != null && tokenReport.token?.supply != null) {
-        const decimals = tokenReport.token.decimals || 6;
-        const supply = tokenReport.token.supply / Math.pow(10, decimals);
-        currentMarketCap = tokenReport.price * supply;
-      }
-
-      const topMarketCap = allCreatorTokens.length > 0
-        ? Math.max(...allCreatorTokens.map(t => t.marketCap || 0))
-        : null;
-
-      let top10HeldPct = null;
-      if (tokenReport.topHolders && tokenReport.topHolders.length > 0) {
-        const top10 = tokenReport.topHolders.slice(0, 10);
-        top10HeldPct = top10.reduce((sum, holder) => sum + (holder.pct || 0), 0);
-      }
-
-      const totalHolders = tokenReport.totalHolders || null;
-
-      // Calculate deployer age from token creation dates (more accurate than RPC)
-      // Use the oldest token creation date from creatorTokens, or current token's detectedAt
-      let tokenBasedAge = null;
-      const allTokenDates = [];
-
-      // Add current token's creation date if available
-      if (tokenReport.detectedAt) {
-        allTokenDates.push(new Date(tokenReport.detectedAt).getTime());
-      }
-
-      // Add all creator tokens' creation dates
-      for (const t of allCreatorTokens) {
-        if (t.createdAt) {
-          allTokenDates.push(new Date(t.createdAt).getTime());
-        }
-      }
-
-      if (allTokenDates.length > 0) {
-        const oldestDate = Math.min(...allTokenDates);
-        tokenBasedAge = Math.floor((Date.now() - oldestDate) / (1000 * 60 * 60 * 24));
-      }
-
-      // Fetch deployer info from multiple sources in parallel
-      const [deployerInfo, walletInfo, fairScoreData] = await Promise.all([
-        getDeployerInfo(deployerWallet),
-        getDeployerWalletInfo(deployerWallet),
-        getFairScore(deployerWallet, cleanedTwitter)
-      ]);
-
-      const { deployerAge: rpcDeployerAge, fundedBy, fundingTx } = deployerInfo;
-      console.log('=== FUNDER DEBUG ===');
-      console.log('deployerInfo received:', JSON.stringify(deployerInfo));
-      console.log('fundedBy extracted:', fundedBy);
-      const { netWorth, solBalance, tokenCount } = walletInfo;
-
-      // Now that we have fundedBy, fetch creator tokens from BOTH deployer AND funder
-      if (rugcheckCreatorTokens.length === 0) {
-        // Get tokens from deployer
-        const deployerTokens = await getDeployerCreatedTokens(deployerWallet, tokenToCheck);
-
-        // Get tokens from funder too (if different from deployer)
-        let funderTokens = [];
-        if (fundedBy && fundedBy !== deployerWallet) {
-          funderTokens = await getDeployerCreatedTokens(fundedBy, tokenToCheck);
-        }
-
-        // Merge both (avoid duplicates)
-        const seenMints = new Set(deployerTokens.map(t => t.mint));
-        allCreatorTokens = [...deployerTokens];
-        for (const token of funderTokens) {
-          if (!seenMints.has(token.mint)) {
-            allCreatorTokens.push(token);
-          }
-        }
-      }
-
-      // Recalculate tokensLaunched with the full creator tokens list
-      const tokensLaunched = allCreatorTokens.length + 1;
-      console.log('Final allCreatorTokens:', allCreatorTokens);
-
-      // Prefer token-based age (more accurate), fallback to RPC-based age
-      const deployerAge = tokenBasedAge ?? rpcDeployerAge;
-      const score = fairScoreData?.score ?? 500;
-      const tier = fairScoreData?.tier || getTierFromScore(score);
-
-      let roast;
-      try {
-        const deployerDataForRoast = {
-          tokensLaunched,
-          deployerAge,
-          topMarketCap,
-          currentMarketCap,
-          totalHolders,
-          top10HeldPct,
-          risks: tokenReport.risks || []
-        };
-        roast = await generateRoast(score, tier, deployerDataForRoast);
-      } catch (e) {
-        roast = "this deployer is hiding something";
-      }
-
-      const tokenName = tokenReport.tokenMeta?.name ||
-        tokenReport.token_extensions?.tokenMetadata?.name || null;
-      const tokenSymbol = tokenReport.tokenMeta?.symbol ||
-        tokenReport.token_extensions?.tokenMetadata?.symbol || null;
-
-      console.log('=== SETTING RESULT ===');
-      console.log('fundedBy before result:', fundedBy);
-      const result = {
-        tokenAddress: tokenToCheck,
-        deployerWallet,
-        twitterHandle: cleanedTwitter,
-        fairScore: score,
-        tier,
-        roast: cleanRoast(roast),
-        tokensLaunched,
-        deployerAge,
-        fundedBy,
-        fundingTx,
-        topMarketCap,
-        currentMarketCap,
-        top10HeldPct,
-        totalHolders,
-        tokenName,
-        tokenSymbol,
-        creatorTokens: allCreatorTokens,
-        risks: tokenReport.risks || [],
-        rugged: tokenReport.rugged || false,
-        // Birdeye wallet data
-        deployerNetWorth: netWorth,
-        deployerSolBalance: solBalance,
-        deployerTokenCount: tokenCount,
-        checkedAt: Date.now()
-      };
+      const result = await requestCheck(tokenToCheck, {
+        twitter: twitterToCheck,
+        onProgress: setProgress
+      });
 
       setCurrentResult(result);
 
-      const leaderboardEntry = {
-        id: tokenToCheck,
-        tokenAddress: tokenToCheck,
-        deployerWallet,
-        tokenName: result.tokenName,
-        fairScore: result.fairScore,
-        tier: result.tier,
-        twitterHandle: cleanedTwitter,
-        topMarketCap: result.topMarketCap,
-        currentMarketCap: result.currentMarketCap,
-        top10HeldPct: result.top10HeldPct,
-        totalHolders: result.totalHolders,
-        tokensLaunched: result.tokensLaunched,
-        checkedAt: result.checkedAt
-      };
+      const leaderboardEntry = toRecentCheckEntry(result);
 
       // Save to local storage as fallback
       const updatedLeaderboard = saveToLeaderboard(leaderboardEntry);
       setLeaderboard(updatedLeaderboard);
 
-      // Also save to server for global visibility
-      saveRecentCheck(leaderboardEntry).then(serverEntry => {
-        if (serverEntry) {
-          // Refresh from server to get latest data
-          fetchRecentChecks().then(serverData => {
-            if (serverData && serverData.length > 0) {
-              setLeaderboard(serverData);
-            }
-          });
+      // The server saved the check - its history (this one included) and the global recent checks have it
+      fetchTokenHistory(result.tokenAddress).then(setHistory);
+      fetchRecentChecks().then(serverData => {
+        if (serverData && serverData.length > 0) {
+          setLeaderboard(serverData);
         }
       });
       setScreen('roast');
 
     } catch (err) {
       console.error('Error:', err);
-      setError('something broke lmao');
+      setError(err instanceof AnalysisError ? err.message : 'something broke lmao');
+      setScreen('landing');
+    }
+  };
+
+  // Deployer lookup by wallet - no token, no roast, straight to the profile
+  const checkDeployer = async (overrideWallet = null) => {
+    const walletToCheck = overrideWallet || walletAddress;
+
+    if (!isValidSolanaAddress(walletToCheck)) {
+      setError('ngmi - invalid address');
+      return;
+    }
+
+    setError(null);
+    setProgress(null);
+    setScreen('loading');
+
+    try {
+      const profile = await requestDeployerCheck(walletToCheck, {
+        twitter: overrideWallet ? null : devTwitter,
+        onProgress: setProgress
+      });
+      setDeployerProfile(profile);
+      setScreen('deployer');
+    } catch (err) {
+      console.error('Error:', err);
+      setError(err instanceof AnalysisError ? err.message : 'something broke lmao');
       setScreen('landing');
     }
   };
@@ -282,12 +138,21 @@ function App() {
   const handleBack = () => {
     setScreen('landing');
     setCurrentResult(null);
+    setDeployerProfile(null);
     setTokenCA('');
+    setWalletAddress('');
     setDevTwitter('');
   };
 
+  const handleDeployerClick = (wallet) => {
+    setLookupMode('deployer');
+    setWalletAddress(wallet);
+    checkDeployer(wallet);
+  };
+
   const handleTokenClick = (entry) => {
     // Update state for display
+    setLookupMode('token');
     setTokenCA(entry.tokenAddress);
     setDevTwitter(entry.twitterHandle || '');
     // Pass values directly to checkToken to avoid async state issues
@@ -298,16 +163,21 @@ function App() {
     <div className="min-h-screen bg-[var(--color-bg-primary)] bg-grid bg-noise">
       {screen === 'landing' && (
         <LandingScreen
+          lookupMode={lookupMode}
+          setLookupMode={setLookupMode}
           tokenCA={tokenCA}
           setTokenCA={setTokenCA}
+          walletAddress={walletAddress}
+          setWalletAddress={setWalletAddress}
           devTwitter={devTwitter}
           setDevTwitter={setDevTwitter}
-          onSubmit={checkToken}
+          onSubmit={() => (lookupMode === 'deployer' ? checkDeployer() : checkToken())}
+          onWatchlist={() => setScreen('watchlist')}
           error={error}
         />
       )}
 
-      {screen === 'loading' && <LoadingScreen emoji={loadingEmoji} />}
+      {screen === 'loading' && <LoadingScreen emoji={loadingEmoji} progress={progress} />}
 
       {screen === 'roast' && (
         <RoastScreen
@@ -319,9 +189,28 @@ function App() {
       {screen === 'results' && (
         <ResultsScreen
           result={currentResult}
+          history={history}
           leaderboard={leaderboard}
           onBack={handleBack}
           onTokenClick={handleTokenClick}
+          onDeployerClick={handleDeployerClick}
+        />
+      )}
+
+      {screen === 'deployer' && (
+        <DeployerScreen
+          profile={deployerProfile}
+          onBack={handleBack}
+          onTokenClick={handleTokenClick}
+        />
+      )}
+
+      {screen === 'watchlist' && (
+        <WatchlistScreen
+          onBack={handleBack}
+          onOpen={(watch) => watch.kind === 'deployer'
+            ? handleDeployerClick(watch.address)
+            : handleTokenClick({ tokenAddress: watch.address })}
         />
       )}
     </div>
@@ -331,8 +220,10 @@ function App() {
 // ==============================================
 // LANDING SCREEN
 // ==============================================
-function LandingScreen({ tokenCA, setTokenCA, devTwitter, setDevTwitter, onSubmit, error }) {
+function LandingScreen({ lookupMode, setLookupMode, tokenCA, setTokenCA, walletAddress, setWalletAddress, devTwitter, setDevTwitter, onSubmit, onWatchlist, error }) {
   const [emoji] = useState(getRandomEmoji('check'));
+  const byWallet = lookupMode === 'deployer';
+  const address = byWallet ? walletAddress : tokenCA;
 
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -358,13 +249,23 @@ function LandingScreen({ tokenCA, setTokenCA, devTwitter, setDevTwitter, onSubmi
           {/* Form */}
           <form onSubmit={handleSubmit} className="space-y-[5%]">
             <div>
-              <label className="block text-[var(--color-accent)] text-xs mb-2 uppercase tracking-widest font-bold">
-                token ca
-              </label>
+              {/* Look up by token CA or straight by the dev's wallet */}
+              <div className="flex gap-4 mb-2 text-xs uppercase tracking-widest font-bold">
+                {[['token', 'token ca'], ['deployer', 'dev wallet']].map(([mode, label]) => (
+                  <button
+                    key={mode}
+                    type="button"
+                    onClick={() => setLookupMode(mode)}
+                    className={mode === lookupMode ? 'text-[var(--color-accent)]' : 'text-[var(--color-text-tertiary)] hover:text-[var(--color-text-secondary)]'}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
               <input
                 type="text"
-                value={tokenCA}
-                onChange={(e) => setTokenCA(e.target.value)}
+                value={address}
+                onChange={(e) => (byWallet ? setWalletAddress : setTokenCA)(e.target.value)}
                 placeholder="paste that shit"
                 className="input-funky"
                 autoComplete="off"
@@ -394,7 +295,7 @@ function LandingScreen({ tokenCA, setTokenCA, devTwitter, setDevTwitter, onSubmi
 
             <button
               type="submit"
-              disabled={!tokenCA.trim()}
+              disabled={!address.trim()}
               className="btn-funky w-full mt-[4%]"
             >
               <span>VERIFY!</span>
@@ -416,6 +317,13 @@ function LandingScreen({ tokenCA, setTokenCA, devTwitter, setDevTwitter, onSubmi
           >
             FairScale
           </a>
+          {' · '}
+          <button
+            onClick={onWatchlist}
+            className="text-[var(--color-accent)] hover:underline font-bold"
+          >
+            watchlist
+          </button>
         </p>
       </div>
     </div>
@@ -425,7 +333,7 @@ function LandingScreen({ tokenCA, setTokenCA, devTwitter, setDevTwitter, onSubmi
 // ==============================================
 // LOADING SCREEN
 // ==============================================
-function LoadingScreen({ emoji }) {
+function LoadingScreen({ emoji, progress }) {
   const phrases = [
     "scanning blockchain",
     "interrogating deployer",
@@ -455,7 +363,7 @@ function LoadingScreen({ emoji }) {
           checking
         </p>
         <p className="text-[var(--color-text-secondary)] text-sm mt-[2%]">
-          {phrases[phraseIndex]}
+          {progress?.message || phrases[phraseIndex]}
           <span className="typing-dots" />
         </p>
       </div>
@@ -469,16 +377,6 @@ function LoadingScreen({ emoji }) {
 function RoastScreen({ result, onFindOut }) {
   const [emoji] = useState(getTierEmoji(result.tier));
 
-  const tierColor = {
-    'UNICORN': 'var(--color-elite)',
-    'KEEP AN EYE': 'var(--color-trusted)',
-    'POTENTIAL': 'var(--color-potential)',
-    'MEH+': 'var(--color-neutral)',
-    'MEH': 'var(--color-meh)',
-    'RISKY': 'var(--color-risky)',
-    'DANGER': 'var(--color-danger)'
-  };
-
   return (
     <div className="min-h-screen flex items-center justify-center p-[5%]">
       <div className="w-full max-w-lg animate-bounce-in">
@@ -502,12 +400,12 @@ function RoastScreen({ result, onFindOut }) {
           <div className="mb-[8%]">
             <p
               className="text-xl font-bold leading-relaxed"
-              style={{ color: tierColor[result.tier] }}
+              style={{ color: getTierColor(result.tier) }}
             >
               {result.roast}
             </p>
             <p className="text-[var(--color-text-tertiary)] text-xs mt-[4%] uppercase tracking-wider">
-              — grok
+              {result.dataQuality?.sources.roast === 'fallback' ? '— canned line, grok unavailable' : '— grok'}
             </p>
           </div>
 
@@ -523,7 +421,7 @@ function RoastScreen({ result, onFindOut }) {
 // ==============================================
 // RESULTS SCREEN
 // ==============================================
-function ResultsScreen({ result, leaderboard, onBack, onTokenClick }) {
+function ResultsScreen({ result, history, leaderboard, onBack, onTokenClick, onDeployerClick }) {
   return (
     <div className="h-screen w-screen flex flex-col overflow-hidden">
       {/* Header */}
@@ -542,7 +440,7 @@ function ResultsScreen({ result, leaderboard, onBack, onTokenClick }) {
             <span className="font-bold text-[var(--color-text-primary)] uppercase tracking-wide">why trust dev</span>
           </div>
 
-          <div className="w-24" />
+          <WatchButton kind="token" address={result.tokenAddress} label={result.tokenName} />
         </div>
       </header>
 
@@ -550,7 +448,7 @@ function ResultsScreen({ result, leaderboard, onBack, onTokenClick }) {
       <main className="flex-1 px-[3vw] py-[2vh] overflow-auto">
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-[2vw] h-full">
           <div className="animate-fade-slide-in h-full">
-            <DeployerCard result={result} />
+            <DeployerCard result={result} history={history} onDeployerClick={onDeployerClick} />
           </div>
 
           <div className="animate-fade-slide-in stagger-2 h-full">
@@ -566,10 +464,92 @@ function ResultsScreen({ result, leaderboard, onBack, onTokenClick }) {
   );
 }
 
+// ==============================================
+// DEPLOYER SCREEN
+// ==============================================
+function DeployerScreen({ profile, onBack, onTokenClick }) {
+  return (
+    <div className="h-screen w-screen flex flex-col overflow-hidden">
+      {/* Header */}
+      <header className="border-b-2 border-[var(--color-border)] bg-[var(--color-bg-secondary)] shrink-0">
+        <div className="px-[3vw] py-4 flex items-center justify-between">
+          <button
+            onClick={onBack}
+            className="flex items-center gap-2 text-[var(--color-accent)] hover:text-[var(--color-accent-hover)] transition-colors text-sm font-bold uppercase"
+          >
+            <span>←</span>
+            <span>new check</span>
+          </button>
+
+          <div className="flex items-center gap-3">
+            <img src={getRandomEmoji('check')} alt="" className="w-6 h-6" />
+            <span className="font-bold text-[var(--color-text-primary)] uppercase tracking-wide">dev profile</span>
+          </div>
+
+          <WatchButton kind="deployer" address={profile.deployerWallet} />
+        </div>
+      </header>
+
+      {/* Main content */}
+      <main className="flex-1 px-[3vw] py-[2vh] overflow-auto">
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-[2vw] h-full">
+          <div className="animate-fade-slide-in h-full">
+            <DeployerCard result={profile} history={[]} />
+          </div>
+
+          <div className="animate-fade-slide-in stagger-2 h-full">
+            <RecentChecks
+              leaderboard={profile.checkedTokens || []}
+              onTokenClick={onTokenClick}
+              title="tokens we checked"
+              emptyText="none of their tokens checked yet"
+            />
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
+
+// ==============================================
+// WATCHLIST SCREEN
+// ==============================================
+function WatchlistScreen({ onBack, onOpen }) {
+  return (
+    <div className="h-screen w-screen flex flex-col overflow-hidden">
+      {/* Header */}
+      <header className="border-b-2 border-[var(--color-border)] bg-[var(--color-bg-secondary)] shrink-0">
+        <div className="px-[3vw] py-4 flex items-center justify-between">
+          <button
+            onClick={onBack}
+            className="flex items-center gap-2 text-[var(--color-accent)] hover:text-[var(--color-accent-hover)] transition-colors text-sm font-bold uppercase"
+          >
+            <span>←</span>
+            <span>new check</span>
+          </button>
+
+          <div className="flex items-center gap-3">
+            <img src={getRandomEmoji('check')} alt="" className="w-6 h-6" />
+            <span className="font-bold text-[var(--color-text-primary)] uppercase tracking-wide">watchlist</span>
+          </div>
+
+          <div className="w-24" />
+        </div>
+      </header>
+
+      {/* Main content */}
+      <main className="flex-1 px-[3vw] py-[2vh] overflow-auto">
+        <Watchlist onOpen={onOpen} />
+      </main>
+    </div>
+  );
+}
+
 // ==============================================
 // DEPLOYER CARD
 // ==============================================
-function DeployerCard({ result }) {
+// Token check result, or a deployer profile (no tokenAddress: no roast, holders or launch data)
+function DeployerCard({ result, history, onDeployerClick }) {
   // Get 2 different emojis for top corners (ensure they're different)
   const [cornerEmojis] = useState(() => {
     const emoji1 = getTierEmoji(result.tier);
@@ -581,35 +561,6 @@ function DeployerCard({ result }) {
     return [emoji1, emoji2];
   });
 
-  const tierColor = {
-    'UNICORN': 'var(--color-elite)',
-    'KEEP AN EYE': 'var(--color-trusted)',
-    'POTENTIAL': 'var(--color-potential)',
-    'MEH+': 'var(--color-neutral)',
-    'MEH': 'var(--color-meh)',
-    'RISKY': 'var(--color-risky)',
-    'DANGER': 'var(--color-danger)'
-  };
-
-  const tierGlow = {
-    'UNICORN': 'glow-elite',
-    'KEEP AN EYE': 'glow-trusted',
-    'POTENTIAL': 'glow-potential',
-    'MEH+': 'glow-neutral',
-    'MEH': 'glow-meh',
-    'RISKY': 'glow-risky',
-    'DANGER': 'glow-danger'
-  };
-
-  // Dev trust label based on tier
-  const getTierLabel = (tier) => {
-    if (tier === 'UNICORN') return 'unicorn dev';
-    if (tier === 'KEEP AN EYE') return 'keep an eye';
-    if (tier === 'POTENTIAL') return 'has potential';
-    if (tier === 'MEH+' || tier === 'MEH') return 'meh';
-    return 'dev not trusted';
-  };
-
   const formatMarketCap = (value) => {
     if (value == null) return '-';
     if (value >= 1_000_000_000) return `$${(value / 1_000_000_000).toFixed(2)}B`;
@@ -623,6 +574,14 @@ function DeployerCard({ result }) {
     return `${addr.slice(0, 6)}...${addr.slice(-4)}`;
   };
 
+  // Tooltip listing wallets other strategies pointed at
+  const getDisagreementTitle = (detection) => {
+    if (!detection.disagreements?.length) return undefined;
+    return 'other candidates:\n' + detection.disagreements
+      .map(d => `${truncateAddress(d.address)} - ${d.reason}`)
+      .join('\n');
+  };
+
   return (
     <div
       className="card-funky overflow-hidden h-full flex flex-col relative"
@@ -656,30 +615,33 @@ function DeployerCard({ result }) {
 
         <div className="animate-score-reveal" style={{ marginTop: '4vh', marginBottom: '4vh' }}>
           <span
-            className={`text-8xl font-black ${tierGlow[result.tier]}`}
-            style={{ color: tierColor[result.tier] }}
+            className="text-8xl font-black"
+            style={{ color: getTierColor(result.tier), textShadow: getTierGlow(result.tier) }}
           >
-            {result.fairScore}
+            {result.score}
           </span>
           <span className="text-xl text-[var(--color-text-tertiary)] font-bold">/1000</span>
+          <SourceTag source={result.dataQuality?.sources.score} />
         </div>
 
         <div
           className="text-lg font-black uppercase tracking-widest"
-          style={{ color: tierColor[result.tier], marginTop: '3vh' }}
+          style={{ color: getTierColor(result.tier), marginTop: '3vh' }}
         >
           {getTierLabel(result.tier)}
         </div>
 
         {/* Grok quote - moved here beneath the score */}
-        <div className="px-[10%]" style={{ marginTop: '4vh', marginBottom: '4vh' }}>
-          <p
-            className="text-xl italic leading-relaxed"
-            style={{ color: tierColor[result.tier] }}
-          >
-            {result.roast}
-          </p>
-        </div>
+        {result.roast && (
+          <div className="px-[10%]" style={{ marginTop: '4vh', marginBottom: '4vh' }}>
+            <p
+              className="text-xl italic leading-relaxed"
+              style={{ color: getTierColor(result.tier) }}
+            >
+              {result.roast}
+            </p>
+          </div>
+        )}
 
         {/* Bottom-right: powered by FairScale */}
         <a
@@ -693,6 +655,24 @@ function DeployerCard({ result }) {
         </a>
       </div>
 
+      {/* Anything that isn't live data */}
+      {result.dataQuality?.notes.length > 0 && (
+        <div className="px-[3%] py-[1.5%] border-b-2 border-[var(--color-border)] text-xs text-[var(--color-meh)]">
+          <div className="uppercase tracking-widest font-bold mb-1">not all data is live</div>
+          <ul className="space-y-1">
+            {result.dataQuality.notes.map((note) => (
+              <li key={note}>· {note}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Why the deployer got this score */}
+      <ReputationFactors reputation={result.reputation} />
+
+      {/* Score and token metrics across every check of this token */}
+      <ScoreHistoryChart snapshots={history} />
+
       {/* Risks - moved above deployer info */}
       {result.risks && result.risks.length > 0 && (
         <div className="px-[3%] py-[2.5%] border-b-2 border-[var(--color-border)] bg-[var(--color-danger)]/5">
@@ -715,6 +695,11 @@ function DeployerCard({ result }) {
         <div>
           <div className="text-[var(--color-accent)] text-xs uppercase tracking-widest mb-2 font-bold">
             deployer
+            {result.launchpad && (
+              <span className="text-[var(--color-text-tertiary)] normal-case tracking-normal font-normal">
+                {' '}via {result.launchpad.name}
+              </span>
+            )}
           </div>
           <a
             href={`https://solscan.io/account/${result.deployerWallet}`}
@@ -724,6 +709,23 @@ function DeployerCard({ result }) {
           >
             {truncateAddress(result.deployerWallet)} ↗
           </a>
+          {onDeployerClick && (
+            <button
+              onClick={() => onDeployerClick(result.deployerWallet)}
+              className="block text-[var(--color-accent)] hover:text-[var(--color-accent-hover)] text-[11px] font-bold uppercase mt-1"
+            >
+              dev profile →
+            </button>
+          )}
+          {result.deployerDetection && (
+            <div
+              className="text-[var(--color-text-tertiary)] text-[11px] mt-1"
+              title={getDisagreementTitle(result.deployerDetection)}
+            >
+              {result.deployerDetection.confidenceLabel} confidence, {result.deployerDetection.reason}
+              {result.deployerDetection.disagreements?.length > 0 && ' (disputed)'}
+            </div>
+          )}
         </div>
         <div>
           <div className="text-[var(--color-accent)] text-xs uppercase tracking-widest mb-2 font-bold">
@@ -731,16 +733,22 @@ function DeployerCard({ result }) {
           </div>
           {result.fundedBy ? (
             <a
-              href={`https://solscan.io/account/${result.fundedBy}`}
+              href={`https://solscan.io/account/${result.fundedBy.address}`}
               target="_blank"
               rel="noopener noreferrer"
+              title={result.fundedBy.address}
               className="text-[var(--color-text-primary)] hover:text-[var(--color-accent)] text-sm transition-colors"
             >
-              {truncateAddress(result.fundedBy)} ↗
+              {result.fundedBy.label || truncateAddress(result.fundedBy.address)} ↗
             </a>
           ) : (
             <span className="text-[var(--color-text-tertiary)] text-sm">-</span>
           )}
+          {result.fundedBy?.category && (
+            <div className="text-[var(--color-text-tertiary)] text-[11px] mt-1">
+              {LABEL_CATEGORIES[result.fundedBy.category] || result.fundedBy.category}
+            </div>
+          )}
         </div>
         <div>
           <div className="text-[var(--color-accent)] text-xs uppercase tracking-widest mb-2 font-bold">
@@ -748,40 +756,138 @@ function DeployerCard({ result }) {
           </div>
           <div className="text-[var(--color-text-primary)] text-sm">
             {result.deployerAge != null ? `${result.deployerAge} days` : '-'}
+            <SourceTag source={result.dataQuality?.sources.deployerAge} />
           </div>
         </div>
       </div>
 
+      {/* Dev buy bundled into the pump.fun create tx */}
+      {result.pumpFun?.devInitialBuy && (
+        <div className="px-[3%] py-[1.5%] border-b-2 border-[var(--color-border)] text-xs text-[var(--color-text-secondary)]">
+          dev bought{' '}
+          <span className="text-[var(--color-text-primary)] font-bold">
+            {result.pumpFun.devInitialBuy.supplyPct != null
+              ? `${result.pumpFun.devInitialBuy.supplyPct.toFixed(2)}% of supply`
+              : `${Math.round(result.pumpFun.devInitialBuy.tokenAmount).toLocaleString()} tokens`}
+          </span>
+          {result.pumpFun.devInitialBuy.solAmount != null && ` for ${result.pumpFun.devInitialBuy.solAmount.toFixed(2)} SOL`}
+          {' '}at launch
+        </div>
+      )}
+
       {/* Deployer Wallet Info */}
       <div className="px-[3%] py-[2.5%] border-b-2 border-[var(--color-border)]">
         <div className="text-[var(--color-accent)] text-xs uppercase tracking-widest mb-[3%] font-bold">
           deployer wallet
         </div>
         <div className="grid grid-cols-3 gap-[2%]">
-          <MetricItem label="net worth" value={formatMarketCap(result.deployerNetWorth)} />
+          <MetricItem label="net worth" value={formatMarketCap(result.deployerNetWorth)} source={result.dataQuality?.sources.deployerNetWorth} />
           <MetricItem label="sol balance" value={result.deployerSolBalance != null ? `${result.deployerSolBalance.toFixed(2)} SOL` : '-'} />
           <MetricItem label="tokens launched" value={result.tokensLaunched || '-'} />
         </div>
       </div>
 
+      {/* Sibling wallets seeded by the same funder */}
+      {result.cluster?.siblings.length > 0 && (
+        <div className="px-[3%] py-[1.5%] border-b-2 border-[var(--color-border)] text-xs text-[var(--color-text-secondary)]">
+          funder seeded{' '}
+          <span className="text-[var(--color-text-primary)] font-bold">
+            {result.cluster.siblings.length} other deployer {result.cluster.siblings.length === 1 ? 'wallet' : 'wallets'}
+          </span>
+          : {result.cluster.totalLaunches} launches,{' '}
+          <span className={result.cluster.rugCount > 0 ? 'text-[var(--color-danger)] font-bold' : ''}>
+            {result.cluster.rugCount} rugged
+          </span>
+          , best {formatMarketCap(result.cluster.bestMarketCap)}
+        </div>
+      )}
+
+      {/* Holder concentration: top 10 now vs what snipers grabbed at launch */}
+      {result.tokenAddress && (
+        <div className="px-[3%] py-[2.5%] border-b-2 border-[var(--color-border)]">
+          <div className="text-[var(--color-accent)] text-xs uppercase tracking-widest mb-[3%] font-bold">
+            token holders
+          </div>
+          <div className="grid grid-cols-3 gap-[2%]">
+            <MetricItem label="holders" value={result.totalHolders != null ? result.totalHolders.toLocaleString() : '-'} />
+            <MetricItem label="top 10 hold" value={result.top10HeldPct != null ? `${result.top10HeldPct.toFixed(1)}%` : '-'} />
+            <MetricItem label="early buyers got" value={result.earlyBuyers?.supplyPct != null ? `${result.earlyBuyers.supplyPct.toFixed(1)}%` : '-'} />
+          </div>
+        </div>
+      )}
+
+      <EarlyBuyers earlyBuyers={result.earlyBuyers} />
+
+      <DevHoldingsChart devHoldings={result.devHoldings} checkedAt={result.checkedAt} />
+
+      {/* Funder chain -> deployer -> other launches */}
+      <FundingGraph
+        trace={result.fundingTrace}
+        deployer={result.deployerWallet}
+        tier={result.tier}
+        siblings={(result.cluster?.siblings || []).map(s => ({ address: s.address, tokensLaunched: s.tokens.length }))}
+        tokens={result.creatorTokens || []}
+      />
+
       {/* Creator tokens */}
       {result.creatorTokens && result.creatorTokens.length > 0 && (
-        <CreatorTokensList tokens={result.creatorTokens} />
+        <CreatorTokensList
+          tokens={result.creatorTokens}
+          trackRecord={result.trackRecord}
+          title={result.tokenAddress ? 'other tokens by this dev' : 'tokens by this dev'}
+        />
       )}
     </div>
   );
 }
 
-function MetricItem({ label, value }) {
+function MetricItem({ label, value, source }) {
   return (
     <div className="bg-[var(--color-bg-tertiary)] p-[8%] border border-[var(--color-border)]">
       <div className="text-[var(--color-text-tertiary)] text-xs mb-1 uppercase">{label}</div>
-      <div className="text-[var(--color-text-primary)] text-sm font-bold">{value}</div>
+      <div className="text-[var(--color-text-primary)] text-sm font-bold">
+        {value}
+        <SourceTag source={source} />
+      </div>
     </div>
   );
 }
 
-function CreatorTokensList({ tokens }) {
+// Marks a number that isn't live data (result.dataQuality.sources)
+const SOURCE_TAGS = {
+  cached: 'cached',
+  fallback: 'estimate',
+  mock: 'mock'
+};
+
+function SourceTag({ source }) {
+  if (!SOURCE_TAGS[source]) {
+    return null;
+  }
+
+  return (
+    <span
+      className={`ml-2 align-middle text-[10px] uppercase font-bold px-1 border ${
+        source === 'mock'
+          ? 'text-[var(--color-danger)] border-[var(--color-danger)]'
+          : 'text-[var(--color-meh)] border-[var(--color-meh)]'
+      }`}
+      title={`${source} data, not fetched live for this check`}
+    >
+      {SOURCE_TAGS[source]}
+    </span>
+  );
+}
+
+const OUTCOME_COLORS = {
+  rugged: 'text-[var(--color-danger)]',
+  dead: 'text-[var(--color-risky)]',
+  migrated: 'text-[var(--color-elite)]',
+  alive: 'text-[var(--color-trusted)]',
+  unknown: 'text-[var(--color-text-tertiary)]'
+};
+
+function CreatorTokensList({ tokens, trackRecord, title }) {
   const sortedTokens = [...tokens].sort((a, b) =>
     new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime()
   );
@@ -802,8 +908,17 @@ function CreatorTokensList({ tokens }) {
     <div className="flex-1 overflow-hidden flex flex-col">
       <div className="px-[3%] py-[2%] border-b-2 border-[var(--color-border)]">
         <span className="text-[var(--color-accent)] text-xs uppercase tracking-widest font-bold">
-          other tokens by this dev ({tokens.length})
+          {title} ({tokens.length})
         </span>
+        {trackRecord && (
+          <div className="text-[var(--color-text-tertiary)] text-[11px] mt-1">
+            <span className={trackRecord.rugged > 0 ? 'text-[var(--color-danger)] font-bold' : ''}>
+              {trackRecord.rugged} rugged
+            </span>
+            {' '}· {trackRecord.dead} dead · {trackRecord.migrated} migrated · {trackRecord.alive} alive
+            {trackRecord.medianTimeToDeathHours != null && ` · usually dead in ${trackRecord.medianTimeToDeathHours}h`}
+          </div>
+        )}
       </div>
       <div className="flex-1 overflow-auto">
         {sortedTokens.slice(0, 10).map((token) => (
@@ -812,12 +927,21 @@ function CreatorTokensList({ tokens }) {
             href={`https://solscan.io/token/${token.mint}`}
             target="_blank"
             rel="noopener noreferrer"
-            className="flex items-center justify-between px-[3%] py-3 hover:bg-[var(--color-bg-tertiary)] transition-colors border-b border-[var(--color-border-light)]"
+            className="grid grid-cols-3 gap-[2%] items-center px-[3%] py-3 hover:bg-[var(--color-bg-tertiary)] transition-colors border-b border-[var(--color-border-light)]"
           >
-            <span className="text-[var(--color-text-primary)] text-sm">
-              {truncateAddress(token.mint)}
+            <span className="text-[var(--color-text-primary)] text-sm truncate" title={token.name || token.mint}>
+              {token.symbol ? `$${token.symbol}` : truncateAddress(token.mint)}
             </span>
-            <span className="text-[var(--color-text-secondary)] text-xs">
+            <span className={`${OUTCOME_COLORS[token.outcome] || OUTCOME_COLORS.unknown} text-xs uppercase font-bold`}>
+              {token.outcome || 'unknown'}
+              {token.timeToDeathHours != null && (
+                <span className="text-[var(--color-text-tertiary)] normal-case font-normal"> in {token.timeToDeathHours}h</span>
+              )}
+            </span>
+            <span className="text-[var(--color-text-secondary)] text-xs text-right">
+              {token.peakMarketCap != null && token.peakMarketCap > (token.marketCap || 0) && (
+                <span className="text-[var(--color-text-tertiary)]">{formatMarketCap(token.peakMarketCap)} → </span>
+              )}
               {formatMarketCap(token.marketCap)}
             </span>
           </a>
@@ -830,19 +954,9 @@ function CreatorTokensList({ tokens }) {
 // ==============================================
 // RECENT CHECKS
 // ==============================================
-function RecentChecks({ leaderboard, onTokenClick, currentToken }) {
+function RecentChecks({ leaderboard, onTokenClick, currentToken, title = 'recent checks', emptyText = 'no tokens checked yet' }) {
   const [copiedAddress, setCopiedAddress] = useState(null);
 
-  const tierColor = {
-    'UNICORN': 'var(--color-elite)',
-    'KEEP AN EYE': 'var(--color-trusted)',
-    'POTENTIAL': 'var(--color-potential)',
-    'MEH+': 'var(--color-neutral)',
-    'MEH': 'var(--color-meh)',
-    'RISKY': 'var(--color-risky)',
-    'DANGER': 'var(--color-danger)'
-  };
-
   const truncateAddress = (addr) => {
     if (!addr) return '';
     return `${addr.slice(0, 6)}...${addr.slice(-4)}`;
@@ -861,7 +975,7 @@ function RecentChecks({ leaderboard, onTokenClick, currentToken }) {
     <div className="card-funky h-full flex flex-col">
       <div className="px-[3%] py-[2.5%] border-b-2 border-[var(--color-border)]">
         <h2 className="font-bold text-[var(--color-text-primary)] uppercase tracking-wide">
-          recent checks
+          {title}
         </h2>
       </div>
 
@@ -869,7 +983,7 @@ function RecentChecks({ leaderboard, onTokenClick, currentToken }) {
         {leaderboard.length === 0 ? (
           <div className="p-[5%] text-center text-[var(--color-text-tertiary)]">
             <img src={getRandomEmoji('mid')} alt="" className="w-12 h-12 mx-auto mb-4 opacity-50" />
-            <p className="text-sm uppercase">no tokens checked yet</p>
+            <p className="text-sm uppercase">{emptyText}</p>
           </div>
         ) : (
           <div>
@@ -886,9 +1000,9 @@ function RecentChecks({ leaderboard, onTokenClick, currentToken }) {
                   <div className="flex items-center gap-4">
                     <span
                       className="font-black text-xl"
-                      style={{ color: tierColor[entry.tier] }}
+                      style={{ color: getTierColor(entry.tier) }}
                     >
-                      {entry.fairScore}
+                      {entry.score ?? entry.fairScore}
                     </span>
                     <span className="text-[var(--color-text-primary)] font-medium">
                       {entry.tokenName || truncateAddress(entry.tokenAddress)}
@@ -897,8 +1011,8 @@ function RecentChecks({ leaderboard, onTokenClick, currentToken }) {
                   <span
                     className="text-xs font-black px-2 py-1 uppercase"
                     style={{
-                      color: tierColor[entry.tier],
-                      background: `${tierColor[entry.tier]}20`
+                      color: getTierColor(entry.tier),
+                      background: `${getTierColor(entry.tier)}20`
                     }}
                   >
                     {entry.tier}
@@ -0,0 +1,81 @@
+// Chart size (SVG units - the viewBox scales to the panel width)
+const WIDTH = 600;
+const HEIGHT = 90;
+const PADDING = 8;
+
+const KIND_COLORS = {
+  buy: 'var(--color-elite)',
+  sell: 'var(--color-danger)',
+  'transfer-in': 'var(--color-trusted)',
+  'transfer-out': 'var(--color-risky)'
+};
+
+const formatPct = (value) => value != null ? `${value.toFixed(2)}%` : '-';
+
+/**
+ * Step chart of how much supply the dev (and cluster) held over time (result.devHoldings),
+ * from the first move to when the check ran (result.checkedAt, ms)
+ */
+export default function DevHoldingsChart({ devHoldings, checkedAt }) {
+  if (!devHoldings) {
+    return null;
+  }
+
+  const { timeline, devHoldingPct, devSoldPct, peakHoldingPct, startingPct, complete } = devHoldings;
+  const points = timeline.filter(p => p.timestamp && p.pctAfter != null);
+
+  // Balance before the first move, then after each one, then at check time
+  const now = Math.floor(checkedAt / 1000);
+  const start = points.length > 0 ? points[0].timestamp : now;
+  const startPct = startingPct ?? 0;
+  const maxPct = Math.max(peakHoldingPct || 0, startPct, 0.01);
+
+  const x = (timestamp) => PADDING + ((timestamp - start) / Math.max(now - start, 1)) * (WIDTH - PADDING * 2);
+  const y = (pct) => HEIGHT - PADDING - ((pct || 0) / maxPct) * (HEIGHT - PADDING * 2);
+
+  let path = `M ${x(start)} ${y(startPct)}`;
+  for (const point of points) {
+    path += ` H ${x(point.timestamp)} V ${y(point.pctAfter)}`;
+  }
+  path += ` H ${x(now)}`;
+
+  return (
+    <div className="border-b-2 border-[var(--color-border)]">
+      <div className="px-[3%] py-[2%] border-b-2 border-[var(--color-border)] flex items-center justify-between">
+        <span className="text-[var(--color-accent)] text-xs uppercase tracking-widest font-bold">
+          dev holdings
+        </span>
+        <span className="text-[var(--color-text-tertiary)] text-[11px]">
+          holds <span className="text-[var(--color-text-primary)]">{formatPct(devHoldingPct)}</span>
+          {' '}· sold{' '}
+          <span className={devSoldPct > 0 ? 'text-[var(--color-danger)] font-bold' : 'text-[var(--color-text-primary)]'}>
+            {formatPct(devSoldPct)}
+          </span>
+          {' '}· peak {formatPct(peakHoldingPct)}
+          {!complete && ' (partial history)'}
+        </span>
+      </div>
+
+      {points.length > 0 ? (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full" role="img" aria-label="dev holdings over time">
+          <path d={path} fill="none" stroke="var(--color-accent)" strokeWidth="2" />
+          {points.map(point => (
+            <circle
+              key={`${point.signature}-${point.wallet}`}
+              cx={x(point.timestamp)}
+              cy={y(point.pctAfter)}
+              r="4"
+              fill={KIND_COLORS[point.kind]}
+            >
+              <title>{`${point.kind} ${Math.abs(point.tokenDelta).toLocaleString()} tokens\n${new Date(point.timestamp * 1000).toLocaleString()}\nheld after: ${formatPct(point.pctAfter)}`}</title>
+            </circle>
+          ))}
+        </svg>
+      ) : (
+        <div className="px-[3%] py-[2%] text-[11px] text-[var(--color-text-tertiary)]">
+          no dev moves in this token since launch
+        </div>
+      )}
+    </div>
+  );
+}
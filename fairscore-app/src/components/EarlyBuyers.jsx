@@ -0,0 +1,58 @@
+import { getSolscanWalletUrl } from '../utils/solscanUrls';
+import { truncateAddress } from '../utils/storage';
+
+const MAX_ROWS = 8;
+
+const formatPct = (value) => value != null ? `${value.toFixed(2)}%` : '-';
+
+/**
+ * Table of wallets that bought in the first slots after creation (result.earlyBuyers)
+ */
+export default function EarlyBuyers({ earlyBuyers }) {
+  if (!earlyBuyers?.buyers?.length) {
+    return null;
+  }
+
+  return (
+    <div className="border-b-2 border-[var(--color-border)]">
+      <div className="px-[3%] py-[2%] border-b-2 border-[var(--color-border)] flex items-center justify-between">
+        <span className="text-[var(--color-accent)] text-xs uppercase tracking-widest font-bold">
+          early buyers ({earlyBuyers.buyerCount})
+        </span>
+        <span className="text-[var(--color-text-tertiary)] text-[11px]">
+          first {earlyBuyers.slots} slots
+          {earlyBuyers.connectedCount > 0 && (
+            <span className="text-[var(--color-danger)]">
+              , {earlyBuyers.connectedCount} tied to dev ({formatPct(earlyBuyers.connectedSupplyPct)})
+            </span>
+          )}
+        </span>
+      </div>
+      <div>
+        {earlyBuyers.buyers.slice(0, MAX_ROWS).map((buyer) => (
+          <a
+            key={buyer.address}
+            href={getSolscanWalletUrl(buyer.address)}
+            target="_blank"
+            rel="noopener noreferrer"
+            title={buyer.funder ? `funded by ${buyer.funder.label || buyer.funder.address}` : undefined}
+            className="grid grid-cols-4 gap-[2%] items-center px-[3%] py-2 hover:bg-[var(--color-bg-tertiary)] transition-colors border-b border-[var(--color-border-light)] text-xs"
+          >
+            <span className="text-[var(--color-text-primary)] text-sm">
+              {truncateAddress(buyer.address)}
+            </span>
+            <span className="text-[var(--color-text-tertiary)]">
+              slot +{buyer.slotOffset}{buyer.tipped && ' · jito'}
+            </span>
+            <span className={buyer.connection ? 'text-[var(--color-danger)] font-bold' : 'text-[var(--color-text-tertiary)]'}>
+              {buyer.connection || '-'}
+            </span>
+            <span className="text-[var(--color-text-secondary)] text-right">
+              {formatPct(buyer.supplyPct)}
+            </span>
+          </a>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,256 @@
+import { useState } from 'react';
+import { getSolscanWalletUrl } from '../utils/solscanUrls';
+import { getTierColor } from '../services/tierPolicy';
+import { LABEL_CATEGORIES } from '../services/labels';
+import { truncateAddress, formatMarketCap } from '../utils/storage';
+
+// Layout (SVG units - the viewBox scales to the panel width)
+const WIDTH = 600;
+const PADDING_X = 50;
+const ROW_HEIGHT = 56;
+const NODE_RADIUS = 9;
+const MAX_SIBLINGS = 4;
+const MAX_TOKENS = 6;
+
+const CATEGORY_COLORS = {
+  cex: 'var(--color-trusted)',
+  bridge: 'var(--color-potential)',
+  mixer: 'var(--color-danger)',
+  bot: 'var(--color-neutral)',
+  launchpad: 'var(--color-text-secondary)'
+};
+
+const formatSol = (amount) => amount != null ? `${amount < 1 ? amount.toFixed(3) : amount.toFixed(1)} SOL` : null;
+
+const formatTime = (timestamp) => timestamp ? new Date(timestamp * 1000).toLocaleDateString() : null;
+
+/**
+ * Place nodes in columns: funder chain (oldest hop on the left) -> deployer + siblings -> tokens
+ */
+function buildLayout({ trace, deployer, tier, siblings, tokens }) {
+  const chain = trace?.nodes?.length ? trace.nodes : [{ address: deployer, depth: 0 }];
+  const maxDepth = Math.max(...chain.map(n => n.depth));
+  const shownTokens = tokens.slice(0, MAX_TOKENS);
+  const shownSiblings = siblings.slice(0, MAX_SIBLINGS);
+  const columnCount = maxDepth + 1 + (shownTokens.length > 0 ? 1 : 0);
+  const columnWidth = columnCount > 1 ? (WIDTH - PADDING_X * 2) / (columnCount - 1) : 0;
+
+  const columns = Array.from({ length: columnCount }, () => []);
+
+  for (const node of chain) {
+    const isDeployer = node.depth === 0;
+    columns[maxDepth - node.depth].push({
+      id: node.address,
+      kind: isDeployer ? 'deployer' : 'funder',
+      address: node.address,
+      title: isDeployer ? 'deployer' : node.label || `funder hop ${node.depth}`,
+      text: node.label || truncateAddress(node.address),
+      color: isDeployer
+        ? getTierColor(tier)
+        : CATEGORY_COLORS[node.category] || 'var(--color-text-secondary)',
+      detail: [
+        node.category && (LABEL_CATEGORIES[node.category] || node.category),
+        node.ageDays != null && `${node.ageDays} days old`
+      ].filter(Boolean).join(', '),
+      href: getSolscanWalletUrl(node.address)
+    });
+  }
+
+  for (const sibling of shownSiblings) {
+    columns[maxDepth].push({
+      id: sibling.address,
+      kind: 'sibling',
+      address: sibling.address,
+      title: 'sibling wallet',
+      text: truncateAddress(sibling.address),
+      color: 'var(--color-risky)',
+      detail: sibling.tokensLaunched ? `launched ${sibling.tokensLaunched} tokens` : 'same funder',
+      href: getSolscanWalletUrl(sibling.address)
+    });
+  }
+
+  for (const token of shownTokens) {
+    columns[columnCount - 1].push({
+      id: token.mint,
+      kind: 'token',
+      address: token.mint,
+      title: 'other token',
+      text: truncateAddress(token.mint),
+      color: token.rugged ? 'var(--color-danger)' : 'var(--color-accent)',
+      detail: token.marketCap != null ? `mcap ${formatMarketCap(token.marketCap)}` : '',
+      href: `https://solscan.io/token/${token.mint}`
+    });
+  }
+
+  const rows = Math.max(...columns.map(c => c.length), 1);
+  const height = rows * ROW_HEIGHT + 20;
+  const positions = new Map();
+
+  columns.forEach((column, col) => {
+    const offset = (height - column.length * ROW_HEIGHT) / 2;
+    column.forEach((node, row) => {
+      positions.set(node.id, {
+        ...node,
+        x: columnCount > 1 ? PADDING_X + col * columnWidth : WIDTH / 2,
+        y: offset + row * ROW_HEIGHT + ROW_HEIGHT / 2 - 6
+      });
+    });
+  });
+
+  const edges = (trace?.edges || []).map(edge => ({
+    from: edge.from,
+    to: edge.to,
+    label: formatSol(edge.amount),
+    detail: edge.amount != null || edge.timestamp
+      ? `received ${[formatSol(edge.amount), formatTime(edge.timestamp)].filter(Boolean).join(' on ')}`
+      : null
+  }));
+
+  // Siblings were funded by the deployer's direct funder
+  const directFunder = trace?.edges?.find(edge => edge.to === deployer)?.from;
+  if (directFunder) {
+    for (const sibling of shownSiblings) {
+      edges.push({ from: directFunder, to: sibling.address, label: null, detail: 'funded by the same wallet' });
+    }
+  }
+
+  for (const token of shownTokens) {
+    edges.push({ from: deployer, to: token.mint, label: null, detail: 'launched by the deployer' });
+  }
+
+  return {
+    height,
+    nodes: [...positions.values()],
+    edges: edges.filter(edge => positions.has(edge.from) && positions.has(edge.to)),
+    positions,
+    hidden: (siblings.length - shownSiblings.length) + (tokens.length - shownTokens.length)
+  };
+}
+
+/**
+ * Node-link diagram of where the deployer's money came from and what it launched
+ * @param {Object} props
+ * @param {Object} props.trace - result.fundingTrace ({ nodes, edges, stopReason })
+ * @param {string} props.deployer - Deployer wallet
+ * @param {string} props.tier - Deployer tier (colors the deployer node)
+ * @param {Array<{address: string, tokensLaunched?: number}>} [props.siblings] - Other wallets with the same funder
+ * @param {Array<{mint: string, marketCap?: number, rugged?: boolean}>} [props.tokens] - Other tokens by the deployer
+ */
+export default function FundingGraph({ trace, deployer, tier, siblings = [], tokens = [] }) {
+  const [hovered, setHovered] = useState(null);
+
+  if (!trace?.edges?.length && siblings.length === 0 && tokens.length === 0) {
+    return null;
+  }
+
+  const { height, nodes, edges, positions, hidden } = buildLayout({ trace, deployer, tier, siblings, tokens });
+  const isActive = (edge) => hovered && (edge.from === hovered || edge.to === hovered);
+  const hoveredNode = hovered ? positions.get(hovered) : null;
+  const hoveredEdge = hovered ? edges.find(edge => edge.to === hovered) : null;
+
+  return (
+    <div className="border-b-2 border-[var(--color-border)]">
+      <div className="px-[3%] py-[2%] border-b-2 border-[var(--color-border)] flex items-center justify-between">
+        <span className="text-[var(--color-accent)] text-xs uppercase tracking-widest font-bold">
+          money trail
+        </span>
+        {trace?.stopReason && (
+          <span className="text-[var(--color-text-tertiary)] text-[11px]">
+            {trace.depth} {trace.depth === 1 ? 'hop' : 'hops'}, stopped: {trace.stopReason}
+          </span>
+        )}
+      </div>
+
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full" role="img" aria-label="funding graph">
+        <defs>
+          <marker id="funding-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="var(--color-border)" />
+          </marker>
+        </defs>
+
+        {edges.map(edge => {
+          const from = positions.get(edge.from);
+          const to = positions.get(edge.to);
+          const active = isActive(edge);
+          return (
+            <g key={`${edge.from}-${edge.to}`}>
+              <line
+                x1={from.x + NODE_RADIUS}
+                y1={from.y}
+                x2={to.x - NODE_RADIUS - 2}
+                y2={to.y}
+                stroke={active ? 'var(--color-accent)' : 'var(--color-border)'}
+                strokeWidth={active ? 2 : 1.5}
+                markerEnd="url(#funding-arrow)"
+              />
+              {edge.label && (
+                <text
+                  x={(from.x + to.x) / 2}
+                  y={(from.y + to.y) / 2 - 6}
+                  textAnchor="middle"
+                  fontSize="10"
+                  fill={active ? 'var(--color-text-primary)' : 'var(--color-text-tertiary)'}
+                >
+                  {edge.label}
+                </text>
+              )}
+            </g>
+          );
+        })}
+
+        {nodes.map(node => (
+          <a
+            key={node.id}
+            href={node.href}
+            target="_blank"
+            rel="noopener noreferrer"
+            onMouseEnter={() => setHovered(node.id)}
+            onMouseLeave={() => setHovered(null)}
+          >
+            <title>{`${node.title}\n${node.address}${node.detail ? `\n${node.detail}` : ''}`}</title>
+            {node.kind === 'token' ? (
+              <rect
+                x={node.x - NODE_RADIUS}
+                y={node.y - NODE_RADIUS}
+                width={NODE_RADIUS * 2}
+                height={NODE_RADIUS * 2}
+                fill={node.color}
+                stroke={hovered === node.id ? 'var(--color-text-primary)' : 'none'}
+              />
+            ) : (
+              <circle
+                cx={node.x}
+                cy={node.y}
+                r={node.kind === 'deployer' ? NODE_RADIUS + 3 : NODE_RADIUS}
+                fill={node.color}
+                stroke={hovered === node.id ? 'var(--color-text-primary)' : 'none'}
+                strokeWidth="2"
+              />
+            )}
+            <text
+              x={node.x}
+              y={node.y + NODE_RADIUS + 14}
+              textAnchor="middle"
+              fontSize="10"
+              fill={hovered === node.id ? 'var(--color-text-primary)' : 'var(--color-text-secondary)'}
+            >
+              {node.text}
+            </text>
+          </a>
+        ))}
+      </svg>
+
+      <div className="px-[3%] pb-[2%] text-[11px] text-[var(--color-text-tertiary)] min-h-[1.5em]">
+        {hoveredNode ? (
+          <>
+            <span className="text-[var(--color-text-primary)]">{hoveredNode.title}</span>
+            {hoveredNode.detail && `, ${hoveredNode.detail}`}
+            {hoveredEdge?.detail && ` - ${hoveredEdge.detail}`}
+          </>
+        ) : (
+          <>hover a wallet for details, click to open on Solscan{hidden > 0 && ` (${hidden} more not shown)`}</>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,4 @@
-import { getTierColor } from '../services/fairscale';
+import { getTierColor } from '../services/tierPolicy';
 import { truncateAddress, formatMarketCap } from '../utils/storage';
 
 export default function Leaderboard({ data, onTokenClick, onClear }) {
@@ -0,0 +1,52 @@
+// Bar color by factor score (0-1000)
+const getFactorColor = (score) => {
+  if (score >= 700) return 'var(--color-elite)';
+  if (score >= 400) return 'var(--color-meh)';
+  return 'var(--color-danger)';
+};
+
+/**
+ * Per-factor breakdown of the deployer score (result.reputation): what each factor scored,
+ * how much it counted and why
+ */
+export default function ReputationFactors({ reputation }) {
+  if (!reputation?.factors?.length) {
+    return null;
+  }
+
+  return (
+    <div className="px-[3%] py-[2.5%] border-b-2 border-[var(--color-border)]">
+      <div className="text-[var(--color-accent)] text-xs uppercase tracking-widest mb-3 font-bold">
+        why this score
+      </div>
+      <div className="space-y-2">
+        {reputation.factors.map((factor) => (
+          <div key={factor.key} className="grid grid-cols-[7rem_1fr_3rem] gap-[2%] items-center text-xs">
+            <span className="text-[var(--color-text-secondary)] uppercase">
+              {factor.label}
+              {factor.score != null && (
+                <span className="text-[var(--color-text-tertiary)] normal-case"> {Math.round(factor.weight * 100)}%</span>
+              )}
+            </span>
+            {factor.score != null ? (
+              <div title={factor.detail || undefined}>
+                <div className="h-2 bg-[var(--color-bg-tertiary)]">
+                  <div
+                    className="h-2"
+                    style={{ width: `${factor.score / 10}%`, background: getFactorColor(factor.score) }}
+                  />
+                </div>
+                <div className="text-[var(--color-text-tertiary)] text-[11px] mt-1">{factor.detail}</div>
+              </div>
+            ) : (
+              <span className="text-[var(--color-text-tertiary)] text-[11px]">no data, not counted</span>
+            )}
+            <span className="text-[var(--color-text-primary)] font-bold text-right">
+              {factor.score ?? '-'}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
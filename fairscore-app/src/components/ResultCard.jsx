@@ -73,7 +73,7 @@ export default function ResultCard({ result, isLoading, error }) {
         <div className="text-sm text-[var(--color-text-secondary)] uppercase tracking-wider mb-2">
           Deployer Fair Score
         </div>
-        <ScoreNumber score={result.fairScore} tier={result.tier} />
+        <ScoreNumber score={result.score ?? result.fairScore} tier={result.tier} />
       </div>
 
       <div className="flex justify-center mb-6">
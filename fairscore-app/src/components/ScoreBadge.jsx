@@ -1,8 +1,8 @@
-import { getTierColor, getTierGlowClass } from '../services/fairscale';
+import { getTierColor, getTierGlow } from '../services/tierPolicy';
 
 export default function ScoreBadge({ score, tier, size = 'default' }) {
   const color = getTierColor(tier);
-  const glowClass = getTierGlowClass(tier);
+  const glow = getTierGlow(tier);
 
   const sizeClasses = {
     small: 'text-sm px-2 py-0.5',
@@ -19,7 +19,7 @@ export default function ScoreBadge({ score, tier, size = 'default' }) {
         border: `1px solid ${color}40`
       }}
     >
-      <span className={glowClass}>{tier}</span>
+      <span style={{ textShadow: glow }}>{tier}</span>
       {score !== undefined && (
         <span className="ml-2 font-mono">{score}</span>
       )}
@@ -29,13 +29,13 @@ export default function ScoreBadge({ score, tier, size = 'default' }) {
 
 export function ScoreNumber({ score, tier, animated = true }) {
   const color = getTierColor(tier);
-  const glowClass = getTierGlowClass(tier);
+  const glow = getTierGlow(tier);
 
   return (
     <div className={`text-center ${animated ? 'animate-score-reveal' : ''}`}>
       <div
-        className={`text-7xl font-bold font-mono ${glowClass}`}
-        style={{ color }}
+        className="text-7xl font-bold font-mono"
+        style={{ color, textShadow: glow }}
       >
         {score}
       </div>
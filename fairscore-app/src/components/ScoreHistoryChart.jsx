@@ -0,0 +1,96 @@
+import { useState } from 'react';
+import { getTierColor } from '../services/tierPolicy';
+import { formatMarketCap } from '../utils/storage';
+
+// Chart size (SVG units - the viewBox scales to the panel width)
+const WIDTH = 600;
+const HEIGHT = 110;
+const PADDING = 8;
+
+// Token metric drawn under the score line
+const METRICS = {
+  marketCap: { label: 'mcap', format: formatMarketCap },
+  totalHolders: { label: 'holders', format: (value) => value.toLocaleString() },
+  top10HeldPct: { label: 'top 10', format: (value) => `${value.toFixed(1)}%` }
+};
+
+/**
+ * Deployer score and one token metric over every saved check of the token
+ * (snapshots from /api/tokens/:mint/history, oldest first)
+ */
+export default function ScoreHistoryChart({ snapshots }) {
+  const [metric, setMetric] = useState('marketCap');
+
+  if (!snapshots?.length) {
+    return null;
+  }
+
+  const header = (
+    <div className="px-[3%] py-[2%] border-b-2 border-[var(--color-border)] flex items-center justify-between">
+      <span className="text-[var(--color-accent)] text-xs uppercase tracking-widest font-bold">
+        score history ({snapshots.length} {snapshots.length === 1 ? 'check' : 'checks'})
+      </span>
+      {snapshots.length > 1 && (
+        <span className="flex gap-2 text-[11px]">
+          {Object.entries(METRICS).map(([key, { label }]) => (
+            <button
+              key={key}
+              onClick={() => setMetric(key)}
+              className={key === metric ? 'text-[var(--color-text-primary)] font-bold' : 'text-[var(--color-text-tertiary)] hover:text-[var(--color-text-secondary)]'}
+            >
+              {label}
+            </button>
+          ))}
+        </span>
+      )}
+    </div>
+  );
+
+  if (snapshots.length === 1) {
+    return (
+      <div className="border-b-2 border-[var(--color-border)]">
+        {header}
+        <div className="px-[3%] py-[2%] text-[11px] text-[var(--color-text-tertiary)]">
+          first check of this token - the history builds up with every check
+        </div>
+      </div>
+    );
+  }
+
+  const start = snapshots[0].checkedAt;
+  const end = snapshots[snapshots.length - 1].checkedAt;
+  const x = (time) => PADDING + ((time - start) / Math.max(end - start, 1)) * (WIDTH - PADDING * 2);
+  const scaleY = (value, max) => HEIGHT - PADDING - (value / Math.max(max, 1)) * (HEIGHT - PADDING * 2);
+
+  const scored = snapshots.filter(s => s.score != null);
+  const scorePath = scored.map((s, i) => `${i === 0 ? 'M' : 'L'} ${x(s.checkedAt)} ${scaleY(s.score, 1000)}`).join(' ');
+
+  const measured = snapshots.filter(s => s[metric] != null);
+  const metricMax = Math.max(...measured.map(s => s[metric]), 0);
+  const metricPath = measured.map((s, i) => `${i === 0 ? 'M' : 'L'} ${x(s.checkedAt)} ${scaleY(s[metric], metricMax)}`).join(' ');
+
+  const { label, format } = METRICS[metric];
+  const first = measured[0];
+  const last = measured[measured.length - 1];
+
+  return (
+    <div className="border-b-2 border-[var(--color-border)]">
+      {header}
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full" role="img" aria-label="score history">
+        {metricPath && (
+          <path d={metricPath} fill="none" stroke="var(--color-text-tertiary)" strokeWidth="1.5" strokeDasharray="4 3" />
+        )}
+        <path d={scorePath} fill="none" stroke="var(--color-accent)" strokeWidth="2" />
+        {scored.map(s => (
+          <circle key={s.checkedAt} cx={x(s.checkedAt)} cy={scaleY(s.score, 1000)} r="4" fill={getTierColor(s.tier)}>
+            <title>{`${new Date(s.checkedAt).toLocaleString()}\nscore ${s.score} (${s.tier})${s[metric] != null ? `\n${label} ${format(s[metric])}` : ''}`}</title>
+          </circle>
+        ))}
+      </svg>
+      <div className="px-[3%] pb-[2%] text-[11px] text-[var(--color-text-tertiary)]">
+        score {scored[0]?.score ?? '-'} → {scored[scored.length - 1]?.score ?? '-'}
+        {first && ` · ${label} ${format(first[metric])} → ${format(last[metric])} (dashed)`}
+      </div>
+    </div>
+  );
+}
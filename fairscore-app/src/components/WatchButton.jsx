@@ -0,0 +1,27 @@
+import { useState } from 'react';
+import { addToWatchlist, ensureWatchlistToken } from '../services/watchlist';
+
+/**
+ * Puts a token or deployer on the server-side watchlist (re-checked in the background)
+ */
+export default function WatchButton({ kind, address, label }) {
+  const [state, setState] = useState('idle');
+
+  const handleClick = async () => {
+    if (!ensureWatchlistToken()) return;
+    setState('saving');
+    const watch = await addToWatchlist(kind, address, label);
+    setState(watch ? 'watching' : 'failed');
+  };
+
+  return (
+    <button
+      onClick={handleClick}
+      disabled={state === 'saving' || state === 'watching'}
+      className="w-24 text-right text-[var(--color-accent)] hover:text-[var(--color-accent-hover)] disabled:text-[var(--color-text-tertiary)] transition-colors text-sm font-bold uppercase"
+      title={state === 'failed' ? 'watchlist needs the Express server and its admin token (or is full)' : `re-check this ${kind} in the background`}
+    >
+      {state === 'watching' ? 'watching ✓' : state === 'failed' ? 'failed' : '+ watch'}
+    </button>
+  );
+}
@@ -0,0 +1,135 @@
+import { useState, useEffect } from 'react';
+import { ensureWatchlistToken, fetchWatchlist, fetchWatchEvents, removeFromWatchlist } from '../services/watchlist';
+
+// Event type -> color (see WATCH_EVENT_TYPES in services/watchDiff.js)
+const EVENT_COLORS = {
+  'tier-change': 'var(--color-meh)',
+  'new-launch': 'var(--color-accent)',
+  'dev-sold': 'var(--color-risky)',
+  'top10-jump': 'var(--color-risky)',
+  rugged: 'var(--color-danger)'
+};
+
+const truncateAddress = (addr) => {
+  if (!addr) return '';
+  return `${addr.slice(0, 6)}...${addr.slice(-4)}`;
+};
+
+/**
+ * Watched tokens / deployers and the changes the background re-checks found
+ */
+export default function Watchlist({ onOpen }) {
+  const [watches, setWatches] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+
+  useEffect(() => {
+    fetchWatchlist().then(setWatches);
+    fetchWatchEvents().then(page => {
+      setEvents(page.items);
+      setNextCursor(page.nextCursor);
+    });
+  }, []);
+
+  const loadMore = async () => {
+    const page = await fetchWatchEvents({ cursor: nextCursor });
+    setEvents(current => [...current, ...page.items]);
+    setNextCursor(page.nextCursor);
+  };
+
+  const handleRemove = async (watch) => {
+    if (!ensureWatchlistToken()) return;
+    if (await removeFromWatchlist(watch.id)) {
+      setWatches(current => current.filter(w => w.id !== watch.id));
+      setEvents(current => current.filter(e => e.watchId !== watch.id));
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-[2vw] h-full">
+      {/* Watched tokens and deployers */}
+      <div className="card-funky h-full flex flex-col animate-fade-slide-in">
+        <div className="px-[3%] py-[2.5%] border-b-2 border-[var(--color-border)]">
+          <h2 className="font-bold text-[var(--color-text-primary)] uppercase tracking-wide">
+            watching {watches ? `(${watches.length})` : ''}
+          </h2>
+        </div>
+        <div className="flex-1 overflow-auto">
+          {watches?.length === 0 && (
+            <div className="p-[5%] text-center text-[var(--color-text-tertiary)] text-sm uppercase">
+              nothing watched yet - hit "+ watch" on a result
+            </div>
+          )}
+          {watches?.map((watch) => (
+            <div
+              key={watch.id}
+              onClick={() => onOpen(watch)}
+              className="px-[3%] py-[3%] border-b-2 border-[var(--color-border)] hover:bg-[var(--color-bg-tertiary)] cursor-pointer transition-colors"
+            >
+              <div className="flex items-center justify-between">
+                <span className="text-[var(--color-text-primary)] font-medium">
+                  <span className="text-[var(--color-accent)] text-xs uppercase font-bold mr-2">{watch.kind === 'deployer' ? 'dev' : 'token'}</span>
+                  {watch.label || truncateAddress(watch.address)}
+                </span>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleRemove(watch);
+                  }}
+                  className="text-[var(--color-text-tertiary)] hover:text-[var(--color-danger)] text-xs font-bold uppercase"
+                >
+                  unwatch
+                </button>
+              </div>
+              <div className="text-[11px] text-[var(--color-text-tertiary)] mt-1">
+                {watch.lastSnapshot && (
+                  <span>{watch.lastSnapshot.tier} ({watch.lastSnapshot.score}) · </span>
+                )}
+                {watch.lastCheckedAt ? `checked ${new Date(watch.lastCheckedAt).toLocaleString()}` : 'first check running'}
+                {watch.lastError && <span className="text-[var(--color-danger)]"> · last re-check failed: {watch.lastError}</span>}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* What changed */}
+      <div className="card-funky h-full flex flex-col animate-fade-slide-in stagger-2">
+        <div className="px-[3%] py-[2.5%] border-b-2 border-[var(--color-border)]">
+          <h2 className="font-bold text-[var(--color-text-primary)] uppercase tracking-wide">
+            changes
+          </h2>
+        </div>
+        <div className="flex-1 overflow-auto">
+          {events.length === 0 && (
+            <div className="p-[5%] text-center text-[var(--color-text-tertiary)] text-sm uppercase">
+              no changes since watching started
+            </div>
+          )}
+          {events.map((event) => (
+            <div key={event.id} className="px-[3%] py-[2.5%] border-b border-[var(--color-border-light)] text-sm">
+              <div className="flex items-center justify-between text-[11px] mb-1">
+                <span className="uppercase font-bold" style={{ color: EVENT_COLORS[event.type] }}>
+                  {event.type}
+                </span>
+                <span className="text-[var(--color-text-tertiary)]">{new Date(event.createdAt).toLocaleString()}</span>
+              </div>
+              <span className="text-[var(--color-text-secondary)]">
+                {event.label || truncateAddress(event.address)}:
+              </span>{' '}
+              <span className="text-[var(--color-text-primary)]">{event.message}</span>
+            </div>
+          ))}
+          {nextCursor && (
+            <button
+              onClick={loadMore}
+              className="w-full py-3 text-[var(--color-accent)] hover:text-[var(--color-accent-hover)] text-xs font-bold uppercase"
+            >
+              older changes
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+// Known Solana addresses, labeled the way Solscan labels them.
+// Keep entries verified against Solscan/Arkham before adding; one address per line.
+// category: cex | bridge | mixer | bot | launchpad
+
+export const ADDRESS_LABELS = [
+  // Centralized exchange hot wallets
+  { address: '5tzFkiKscXHK5ZXCGbXZxdw7gTjjD1mBwuoFbhUvuAi9', label: 'Binance 2', category: 'cex' },
+  { address: '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM', label: 'Binance 3', category: 'cex' },
+  { address: 'H8sMJSCQxfKiFTCfDR3DUMLPwcRbM61LGFJ8N4dK3WjS', label: 'Coinbase 1', category: 'cex' },
+  { address: '2AQdpHJ2JpcEgPiATUXjQxA8QmafFegfQwSLWSprPicm', label: 'Coinbase 2', category: 'cex' },
+  { address: 'GJRs4FwHtemZ5ZE9x3FNvJ8TMwitKTh21yxdRPqn7npE', label: 'Coinbase Hot Wallet', category: 'cex' },
+  { address: '5VCwKtCXgCJ6kit5FybXjvriW3xELsFDhYrPSqtJNmcD', label: 'OKX', category: 'cex' },
+  { address: 'AC5RDfQFmDS1deWZos921JfqscXdByf8BKHs5ACWjtW2', label: 'Bybit', category: 'cex' },
+  { address: 'FWznbcNXWQuHTawe9RxvQ2LdCENssh12dsznf4RiouN5', label: 'Kraken', category: 'cex' },
+  { address: 'BmFdpraQhkiDQE6SnfG5omcA1VwzqfXrwtNYBwWTymy6', label: 'KuCoin', category: 'cex' },
+  { address: 'u6PJ8DtQuPFnfmwHbGFULQ4u4EgjDiyYKjVEsynXq2w', label: 'Gate.io', category: 'cex' },
+  { address: 'ASTyfSima4LLAdDgoFGkgqoKowG1LZFDr9fAQrg7iaJZ', label: 'MEXC', category: 'cex' },
+  { address: 'A77HErqtfN1hLLpvZ9pCtu66FEtM8BveoaKbbMoZ4RiR', label: 'Bitget', category: 'cex' },
+
+  // Bridges
+  { address: 'wormDTUJ6AWPNvk59vGQbDvGJmqbDTdgWgAqcLBCgUb', label: 'Wormhole Token Bridge', category: 'bridge' },
+  { address: 'worm2ZoG2kUd4vFXhvjh93UUH596ayRfgQ2MgjNMTth', label: 'Wormhole Core', category: 'bridge' },
+  { address: 'src5qyZHqTqecJV4aY6Cb6zDZLMDzrDKKezs22MPHr4', label: 'deBridge DLN Source', category: 'bridge' },
+  { address: 'dst5MGcFPoBeREFAA5E3tU5ij8m5uVYwkzkSAbsLbNo', label: 'deBridge DLN Destination', category: 'bridge' },
+
+  // Mixers / privacy pools - none verified yet
+
+  // Trading / launch bots (fee and router wallets)
+  { address: 'AVUCZyuT35YSuj4RH7fwiyPu82Djn2Hfg7y2ND2XcnZH', label: 'Photon', category: 'bot' },
+  { address: 'ZG98FUCjb8mJ824Gbs6RsgVmr1FhXb2oNiJHa2dwmPd', label: 'BonkBot', category: 'bot' },
+  { address: '9yMwSPk9mrXSN7yDHUuZurAh1sjbJsfpUqjZ7SvVtdco', label: 'Trojan', category: 'bot' },
+
+  // Launchpad platform accounts
+  { address: 'CebN5WGQ4jvEPvsVU4EoHEpgzq1VV7AbicfhtW4xC9iM', label: 'pump.fun Fee Account', category: 'launchpad' },
+];
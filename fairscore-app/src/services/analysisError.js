@@ -0,0 +1,11 @@
+/**
+ * Error thrown when a check can't produce a result.
+ * The message is user-facing; `code` is stable for callers that branch on it.
+ */
+export class AnalysisError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AnalysisError';
+    this.code = code;
+  }
+}
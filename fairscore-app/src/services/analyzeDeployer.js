@@ -0,0 +1,147 @@
+import { getFairScore } from './fairscale.js';
+import { getDeployerData } from './rugcheck.js';
+import { getDeployerInfo, getDeployerAndFunderTokens, mergeCreatorTokens } from './solscan.js';
+import { getDeployerWalletInfo } from './birdeye.js';
+import { traceFunding } from './fundingTrace.js';
+import { findDeployerCluster } from './cluster.js';
+import { enrichCreatorTokens, summarizeTrackRecord } from './creatorHistory.js';
+import { computeReputation } from './reputation.js';
+import { loadTierPolicy } from './tierPolicy.js';
+import { TIER_POLICY_SOURCE } from './serverConfig.js';
+import { buildDataQuality, worstSource } from './provenance.js';
+import { AnalysisError } from './analysisError.js';
+import { isValidSolanaAddress, cleanTwitterHandle } from '../utils/storage.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Check a deployer wallet directly, without a token: wallet info, funding, past launches and
+ * the deployer score. Factors that need a token (bundles, dev selling) drop out of the score.
+ * Has no UI dependencies - see analyzeToken for the token check.
+ * @param {string} wallet - The deployer wallet address
+ * @param {Object} [options]
+ * @param {string} [options.twitter] - Dev twitter handle or profile URL (optional)
+ * @param {(event: {stage: string, message: string}) => void} [options.onProgress] - Called as each stage starts
+ * @returns {Promise<Object>} The deployer profile
+ */
+export async function analyzeDeployer(wallet, { twitter = null, onProgress } = {}) {
+  const emit = (stage, message) => {
+    if (onProgress) onProgress({ stage, message });
+  };
+
+  if (!isValidSolanaAddress(wallet)) {
+    throw new AnalysisError('INVALID_ADDRESS', 'ngmi - invalid address');
+  }
+
+  const cleanedTwitter = cleanTwitterHandle(twitter);
+  await loadTierPolicy(TIER_POLICY_SOURCE);
+
+  emit('wallet', 'interrogating deployer');
+  const [deployerInfo, walletInfo, fairScoreData, rugcheckData] = await Promise.all([
+    getDeployerInfo(wallet),
+    getDeployerWalletInfo(wallet),
+    getFairScore(wallet, cleanedTwitter),
+    // Only finds the wallet if one of its tokens is among rugcheck's newest
+    getDeployerData(wallet)
+  ]);
+
+  const { deployerAge: rpcDeployerAge, fundedBy, fundingTx, fundingTime } = deployerInfo;
+  const { netWorth, netWorthSource, solBalance, tokenCount } = walletInfo;
+
+  emit('funding', 'following the money');
+  let fundingTrace = null;
+  try {
+    fundingTrace = await traceFunding(wallet, { startInfo: deployerInfo });
+  } catch (error) {
+    console.warn('Funding trace failed:', error.message);
+  }
+
+  emit('creator-tokens', 'digging up past launches');
+  // Full history of the wallet (and its funder), plus whatever rugcheck lists for it
+  let creatorTokens = mergeCreatorTokens([
+    await getDeployerAndFunderTokens(wallet, fundedBy, null),
+    (rugcheckData?.creatorTokens || []).map(token => ({ ...token, createdBy: wallet, foundVia: 'rugcheck' }))
+  ]);
+
+  if (creatorTokens.length > 0) {
+    emit('creator-history', 'grading past launches');
+    creatorTokens = await enrichCreatorTokens(creatorTokens);
+  }
+  const trackRecord = summarizeTrackRecord(creatorTokens);
+
+  emit('cluster', 'checking sibling wallets');
+  const cluster = await findDeployerCluster({
+    deployer: wallet,
+    funder: fundedBy,
+    fundingTime,
+    deployerTokens: creatorTokens
+  });
+
+  // Days since the oldest known launch, like analyzeToken - fallback to RPC-based age
+  const launchDates = [rugcheckData?.detectedAt, ...creatorTokens.map(t => t.createdAt)]
+    .filter(Boolean)
+    .map(date => new Date(date).getTime());
+  const launchBasedAge = launchDates.length > 0
+    ? Math.floor((Date.now() - Math.min(...launchDates)) / DAY_MS)
+    : null;
+  const deployerAge = launchBasedAge ?? rpcDeployerAge;
+
+  const reputation = computeReputation({
+    fairScore: fairScoreData?.score ?? null,
+    trackRecord,
+    deployerAge,
+    fundedBy,
+    fundingTrace,
+    cluster,
+    bundle: null,
+    devHoldings: null
+  });
+  const { score, tier } = reputation;
+
+  const fairScoreSource = fairScoreData?.source ?? null;
+  const dataQuality = buildDataQuality({
+    score: {
+      source: worstSource(fairScoreSource),
+      note: `score includes a ${fairScoreSource} FairScale score`
+    },
+    fairScore: {
+      source: fairScoreSource,
+      note: fairScoreSource === 'mock' ? 'FairScale score is mock data (ENABLE_MOCKS)' : 'FairScale returned no score, 500 used'
+    },
+    deployerAge: {
+      source: deployerAge == null ? null : launchBasedAge != null ? 'live' : deployerInfo.source,
+      note: 'wallet age is from an earlier scan of this wallet'
+    },
+    deployerNetWorth: {
+      source: netWorth == null ? null : netWorthSource,
+      note: 'net worth is an estimate - fallback SOL price (Birdeye unavailable) or token holdings left out (Helius unavailable)'
+    }
+  });
+  if (dataQuality.missing.includes('fairScore')) {
+    dataQuality.notes.push('FairScale unavailable, score leaves it out');
+  }
+
+  emit('done', 'done');
+  return {
+    deployerWallet: wallet,
+    twitterHandle: cleanedTwitter,
+    score,
+    tier,
+    reputation,
+    fairScore: fairScoreData?.score ?? null,
+    tokensLaunched: creatorTokens.length,
+    deployerAge,
+    fundedBy,
+    fundingTx,
+    fundingTrace,
+    cluster,
+    topMarketCap: trackRecord.bestPeakMarketCap,
+    creatorTokens,
+    trackRecord,
+    deployerNetWorth: netWorth,
+    deployerSolBalance: solBalance,
+    deployerTokenCount: tokenCount,
+    dataQuality,
+    checkedAt: Date.now()
+  };
+}
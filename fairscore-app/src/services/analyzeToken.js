@@ -0,0 +1,317 @@
+import { getFairScore } from './fairscale.js';
+import { getTokenReport, getReportSupply, getReportMarketCap } from './rugcheck.js';
+import { generateRoast } from './grok.js';
+import { getDeployerInfo, findRealDeployer, getDeployerAndFunderTokens, mergeCreatorTokens } from './solscan.js';
+import { getDeployerWalletInfo } from './birdeye.js';
+import { traceFunding } from './fundingTrace.js';
+import { findDeployerCluster } from './cluster.js';
+import { getEarlyTrades, getFundingConnections } from './earlyTrades.js';
+import { detectBundle } from './bundles.js';
+import { analyzeEarlyBuyers } from './earlyBuyers.js';
+import { getDevHoldings } from './devHoldings.js';
+import { enrichCreatorTokens, summarizeTrackRecord } from './creatorHistory.js';
+import { computeReputation } from './reputation.js';
+import { loadTierPolicy } from './tierPolicy.js';
+import { TIER_POLICY_SOURCE } from './serverConfig.js';
+import { buildDataQuality, worstSource } from './provenance.js';
+import { AnalysisError } from './analysisError.js';
+import { isValidSolanaAddress, cleanTwitterHandle } from '../utils/storage.js';
+
+export { AnalysisError };
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Clean roast text - remove any quotes
+export function cleanRoast(roast) {
+  if (!roast) return '';
+  return roast.replace(/^["']+|["']+$/g, '').trim();
+}
+
+/**
+ * Run the full deployer check for a token mint.
+ * Has no UI dependencies - the same pipeline runs in the browser, on the server or from a script.
+ * @param {string} tokenMint - The token mint address
+ * @param {Object} [options]
+ * @param {string} [options.twitter] - Dev twitter handle or profile URL (optional)
+ * @param {(event: {stage: string, message: string}) => void} [options.onProgress] - Called as each stage starts
+ * @returns {Promise<Object>} The check result
+ */
+export async function analyzeToken(tokenMint, { twitter = null, onProgress } = {}) {
+  const emit = (stage, message) => {
+    if (onProgress) onProgress({ stage, message });
+  };
+
+  if (!isValidSolanaAddress(tokenMint)) {
+    throw new AnalysisError('INVALID_ADDRESS', 'ngmi - invalid address');
+  }
+
+  const cleanedTwitter = cleanTwitterHandle(twitter);
+  await loadTierPolicy(TIER_POLICY_SOURCE);
+
+  emit('report', 'scanning blockchain');
+  const tokenReport = await getTokenReport(tokenMint);
+
+  if (!tokenReport) {
+    throw new AnalysisError('TOKEN_NOT_FOUND', 'token not found ser');
+  }
+
+  const reportedCreator = tokenReport.creator;
+  if (!reportedCreator) {
+    throw new AnalysisError('NO_DEPLOYER', 'no deployer found');
+  }
+
+  // Find the real deployer (handles pump.fun tokens where creator is mint authority)
+  emit('deployer', 'interrogating deployer');
+  const detection = await findRealDeployer(tokenMint, reportedCreator);
+  const deployerWallet = detection.address;
+  console.log('Real deployer:', deployerWallet, '(reported:', reportedCreator, ')');
+
+  // rugcheck's creator tokens belong to the reported creator - merged with the real deployer's history below
+  const rugcheckCreatorTokens = (tokenReport.creatorTokens || [])
+    .map(token => ({ ...token, createdBy: reportedCreator, foundVia: 'rugcheck' }));
+
+  const currentMarketCap = getReportMarketCap(tokenReport);
+
+  let top10HeldPct = null;
+  if (tokenReport.topHolders && tokenReport.topHolders.length > 0) {
+    const top10 = tokenReport.topHolders.slice(0, 10);
+    top10HeldPct = top10.reduce((sum, holder) => sum + (holder.pct || 0), 0);
+  }
+
+  const totalHolders = tokenReport.totalHolders || null;
+
+  // Fetch deployer info from multiple sources in parallel
+  emit('wallet', 'checking for rugs');
+  const [deployerInfo, walletInfo, fairScoreData] = await Promise.all([
+    getDeployerInfo(deployerWallet),
+    getDeployerWalletInfo(deployerWallet),
+    getFairScore(deployerWallet, cleanedTwitter)
+  ]);
+
+  const { deployerAge: rpcDeployerAge, fundedBy, fundingTx, fundingTime } = deployerInfo;
+  const { netWorth, netWorthSource, solBalance, tokenCount } = walletInfo;
+
+  // Follow the money past the first funder (throwaway wallet chains)
+  emit('funding', 'following the money');
+  let fundingTrace = null;
+  try {
+    fundingTrace = await traceFunding(deployerWallet, { startInfo: deployerInfo });
+  } catch (error) {
+    console.warn('Funding trace failed:', error.message);
+  }
+
+  // Now that we have fundedBy, scan the full history of the real deployer AND funder, plus rugcheck's list
+  emit('creator-tokens', 'digging up past launches');
+  let allCreatorTokens = mergeCreatorTokens([
+    await getDeployerAndFunderTokens(deployerWallet, fundedBy, tokenMint),
+    rugcheckCreatorTokens
+  ], tokenMint);
+
+  // Deployer age from token creation dates is more accurate than RPC
+  const tokenBasedAge = getTokenBasedAge(tokenReport, allCreatorTokens);
+
+  // How each past launch ended up: peak/current mcap, migrated, rugged, time to death
+  if (allCreatorTokens.length > 0) {
+    emit('creator-history', 'grading past launches');
+    allCreatorTokens = await enrichCreatorTokens(allCreatorTokens);
+  }
+  const trackRecord = summarizeTrackRecord(allCreatorTokens);
+
+  const tokensLaunched = allCreatorTokens.length + 1;
+  const topMarketCap = trackRecord.bestPeakMarketCap;
+
+  // Other wallets the funder seeded around the same time that also launched tokens
+  emit('cluster', 'checking sibling wallets');
+  const cluster = await findDeployerCluster({
+    deployer: deployerWallet,
+    funder: fundedBy,
+    fundingTime,
+    deployerTokens: allCreatorTokens,
+    currentToken: { mint: tokenMint, marketCap: currentMarketCap, rugged: tokenReport.rugged || false }
+  });
+
+  // Prefer token-based age (more accurate), fallback to RPC-based age
+  const deployerAge = tokenBasedAge ?? rpcDeployerAge;
+
+  // Buys bundled with the create, by the deployer or wallets tied to it
+  emit('bundle', 'sniffing for bundles');
+  const earlyTrades = await getEarlyTrades(tokenMint);
+  const connections = earlyTrades
+    ? await getFundingConnections({ deployer: deployerWallet, fundedBy, cluster, creationTime: earlyTrades.creationTime })
+    : new Map();
+  const bundle = detectBundle({ earlyTrades, connections, supply: getReportSupply(tokenReport) });
+
+  emit('early-buyers', 'counting snipers');
+  const earlyBuyers = await analyzeEarlyBuyers({
+    earlyTrades,
+    connections,
+    supply: getReportSupply(tokenReport),
+    deployer: deployerWallet
+  });
+
+  // Has the dev (or its cluster) dumped?
+  emit('dev-holdings', 'checking if dev dumped');
+  const devHoldings = await getDevHoldings({
+    mint: tokenMint,
+    deployer: deployerWallet,
+    clusterWallets: cluster?.wallets || [],
+    supply: getReportSupply(tokenReport),
+    creationTime: earlyTrades?.creationTime
+      ?? (tokenReport.detectedAt ? Math.floor(new Date(tokenReport.detectedAt).getTime() / 1000) : null)
+  });
+
+  // Our own deployer score: FairScale plus everything found above, with the per-factor breakdown
+  const reputation = computeReputation({
+    fairScore: fairScoreData?.score ?? null,
+    trackRecord,
+    deployerAge,
+    fundedBy,
+    fundingTrace,
+    cluster,
+    bundle,
+    devHoldings
+  });
+  const { score, tier } = reputation;
+
+  const risks = bundle?.risk
+    ? [bundle.risk, ...(tokenReport.risks || [])]
+    : tokenReport.risks || [];
+
+  emit('roast', 'asking grok');
+  let roast;
+  let roastSource = 'live';
+  try {
+    ({ roast, source: roastSource } = await generateRoast(score, tier, {
+      tokensLaunched,
+      fundedBy,
+      deployerAge,
+      topMarketCap,
+      currentMarketCap,
+      totalHolders,
+      top10HeldPct,
+      earlyBuyersPct: earlyBuyers?.supplyPct ?? null,
+      devSoldPct: devHoldings?.devSoldPct ?? null,
+      risks
+    }));
+  } catch {
+    roast = 'this deployer is hiding something';
+    roastSource = 'fallback';
+  }
+
+  // Which numbers are real: every metric that didn't come live from its source is reported
+  const fairScoreSource = fairScoreData?.source ?? null;
+  const dataQuality = buildDataQuality({
+    score: {
+      source: worstSource(fairScoreSource),
+      note: `score includes a ${fairScoreSource} FairScale score`
+    },
+    fairScore: {
+      source: fairScoreSource,
+      note: fairScoreSource === 'mock' ? 'FairScale score is mock data (ENABLE_MOCKS)' : 'FairScale returned no score, 500 used'
+    },
+    deployerAge: {
+      source: deployerAge == null ? null : tokenBasedAge != null ? 'live' : deployerInfo.source,
+      note: 'wallet age is from an earlier scan of this wallet'
+    },
+    deployerNetWorth: {
+      source: netWorth == null ? null : netWorthSource,
+      note: 'net worth is an estimate - fallback SOL price (Birdeye unavailable) or token holdings left out (Helius unavailable)'
+    },
+    roast: {
+      source: roastSource,
+      note: 'roast is a canned line (Groq unavailable)'
+    }
+  });
+  if (dataQuality.missing.includes('fairScore')) {
+    dataQuality.notes.push('FairScale unavailable, score leaves it out');
+  }
+
+  const result = {
+    tokenAddress: tokenMint,
+    deployerWallet,
+    deployerDetection: {
+      confidence: detection.confidence,
+      confidenceLabel: detection.confidenceLabel,
+      strategy: detection.strategy,
+      reason: detection.reason,
+      disagreements: detection.disagreements
+    },
+    launchpad: detection.launchpad,
+    pumpFun: getPumpFunSummary(detection.pumpFun, tokenReport),
+    twitterHandle: cleanedTwitter,
+    score,
+    tier,
+    reputation,
+    fairScore: fairScoreData?.score ?? null,
+    roast: cleanRoast(roast),
+    tokensLaunched,
+    deployerAge,
+    fundedBy,
+    fundingTx,
+    fundingTrace,
+    cluster,
+    bundle,
+    topMarketCap,
+    currentMarketCap,
+    top10HeldPct,
+    earlyBuyers,
+    devHoldingPct: devHoldings?.devHoldingPct ?? null,
+    devSoldPct: devHoldings?.devSoldPct ?? null,
+    devHoldings,
+    totalHolders,
+    tokenName: tokenReport.tokenMeta?.name ||
+      tokenReport.token_extensions?.tokenMetadata?.name || null,
+    tokenSymbol: tokenReport.tokenMeta?.symbol ||
+      tokenReport.token_extensions?.tokenMetadata?.symbol || null,
+    creatorTokens: allCreatorTokens,
+    trackRecord,
+    risks,
+    rugged: tokenReport.rugged || false,
+    // Birdeye wallet data
+    deployerNetWorth: netWorth,
+    deployerSolBalance: solBalance,
+    deployerTokenCount: tokenCount,
+    dataQuality,
+    checkedAt: Date.now()
+  };
+
+  emit('done', 'done');
+  return result;
+}
+
+// Bonding curve accounts and the dev's buy in the create tx, with its share of supply
+function getPumpFunSummary(pumpFun, tokenReport) {
+  if (!pumpFun) return null;
+
+  const supply = getReportSupply(tokenReport);
+  const devInitialBuy = pumpFun.devInitialBuy
+    ? {
+      ...pumpFun.devInitialBuy,
+      supplyPct: supply ? (pumpFun.devInitialBuy.tokenAmount / supply) * 100 : null
+    }
+    : null;
+
+  return {
+    bondingCurve: pumpFun.bondingCurve,
+    associatedBondingCurve: pumpFun.associatedBondingCurve,
+    devInitialBuy
+  };
+}
+
+// Days since the oldest known launch (current token's detectedAt or any creator token)
+function getTokenBasedAge(tokenReport, creatorTokens) {
+  const allTokenDates = [];
+
+  if (tokenReport.detectedAt) {
+    allTokenDates.push(new Date(tokenReport.detectedAt).getTime());
+  }
+
+  for (const t of creatorTokens) {
+    if (t.createdAt) {
+      allTokenDates.push(new Date(t.createdAt).getTime());
+    }
+  }
+
+  if (allTokenDates.length === 0) return null;
+  return Math.floor((Date.now() - Math.min(...allTokenDates)) / DAY_MS);
+}
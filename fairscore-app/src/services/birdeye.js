@@ -1,76 +1,49 @@
+import { getEnv } from '../utils/env.js';
+import { rpcCall, fetchWithRetry } from './rpc.js';
+import { LAMPORTS_PER_SOL } from './constants.js';
+import { HELIUS_API_KEY } from './serverConfig.js';
+import { worstSource } from './provenance.js';
+
 const BIRDEYE_API_URL = 'https://public-api.birdeye.so';
-const BIRDEYE_API_KEY = import.meta.env.VITE_BIRDEYE_API_KEY;
-const HELIUS_API_KEY = import.meta.env.VITE_HELIUS_API_KEY;
+const BIRDEYE_API_KEY = getEnv('BIRDEYE_API_KEY');
 
-// Lamports per SOL
-const LAMPORTS_PER_SOL = 1_000_000_000;
+// Approximate SOL price used when Birdeye can't be reached - anything priced with it is marked 'fallback'
+const FALLBACK_SOL_PRICE = 125;
+const fallbackPrice = () => ({ price: FALLBACK_SOL_PRICE, source: 'fallback' });
 
 /**
- * Get SOL balance from Solana RPC (free, no API key required)
+ * Get SOL balance via the shared RPC client
  * @param {string} walletAddress - The wallet address to check
  * @returns {Promise<number|null>} SOL balance or null
  */
 async function getSolBalanceFromRPC(walletAddress) {
-  // Try multiple RPC endpoints for reliability (browser-compatible, CORS-enabled, truly free)
-  const RPC_ENDPOINTS = [
-    'https://solana-rpc.publicnode.com',
-    'https://go.getblock.io/d7dab8149ec7410aaa0f892c011420c1',
-    'https://api.mainnet-beta.solana.com'
-  ];
-
-  for (const rpcUrl of RPC_ENDPOINTS) {
-    try {
-      const response = await fetch(rpcUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          id: 1,
-          method: 'getBalance',
-          params: [walletAddress]
-        })
-      });
-
-      if (!response.ok) {
-        console.warn(`RPC ${rpcUrl} returned status ${response.status}`);
-        continue;
-      }
-
-      const data = await response.json();
-
-      if (data.error) {
-        console.warn(`RPC ${rpcUrl} error:`, data.error);
-        continue;
-      }
-
-      const lamports = data.result?.value;
+  try {
+    const result = await rpcCall('getBalance', [walletAddress]);
+    const lamports = result?.value;
 
-      if (lamports !== undefined && lamports !== null) {
-        console.log(`Got SOL balance from ${rpcUrl}:`, lamports / LAMPORTS_PER_SOL);
-        return lamports / LAMPORTS_PER_SOL;
-      }
-    } catch (error) {
-      console.warn(`RPC ${rpcUrl} failed:`, error.message);
-      continue;
+    if (lamports !== undefined && lamports !== null) {
+      console.log('Got SOL balance:', lamports / LAMPORTS_PER_SOL);
+      return lamports / LAMPORTS_PER_SOL;
     }
+    return null;
+  } catch (error) {
+    console.error('getBalance failed:', error.message);
+    return null;
   }
-
-  console.error('All RPC endpoints failed for getBalance');
-  return null;
 }
 
 /**
  * Get SOL price in USD from Birdeye (this endpoint works on free tier)
- * @returns {Promise<number|null>} SOL price in USD or null
+ * @returns {Promise<{price: number, source: 'live'|'fallback'}>}
  */
 async function getSolPrice() {
   if (!BIRDEYE_API_KEY) {
     console.warn('Birdeye API key not configured, using fallback price');
-    return 125; // Fallback approximate SOL price
+    return fallbackPrice();
   }
 
   try {
-    const response = await fetch(
+    const response = await fetchWithRetry(
       `${BIRDEYE_API_URL}/defi/price?address=So11111111111111111111111111111111111111112`,
       {
         headers: {
@@ -82,34 +55,37 @@ async function getSolPrice() {
 
     if (!response.ok) {
       console.warn('Birdeye price API failed, using fallback');
-      return 125; // Fallback
+      return fallbackPrice();
     }
 
     const data = await response.json();
     const price = data.success ? data.data?.value : null;
     console.log('SOL price from Birdeye:', price);
-    return price || 125; // Fallback if null
+    return price ? { price, source: 'live' } : fallbackPrice();
   } catch (error) {
     console.error('getSolPrice error:', error);
-    return 125; // Fallback
+    return fallbackPrice();
   }
 }
 
+// Token holdings we couldn't look up - unknown, not worth 0
+const UNKNOWN_HOLDINGS = { tokenValue: null, tokenCount: null };
+
 /**
- * Get token holdings value using Helius DAS API
+ * Get token holdings value using Helius DAS API. Tokens DAS has no price for aren't counted.
  * @param {string} walletAddress - The wallet address
- * @returns {Promise<{tokenValue: number, tokenCount: number}>}
+ * @returns {Promise<{tokenValue: number|null, tokenCount: number|null}>} nulls when the lookup failed or Helius isn't configured
  */
 async function getTokenHoldingsValue(walletAddress) {
   if (!HELIUS_API_KEY) {
-    return { tokenValue: 0, tokenCount: 0 };
+    return UNKNOWN_HOLDINGS;
   }
 
   try {
     const heliusRpc = `https://mainnet.helius-rpc.com/?api-key=${HELIUS_API_KEY}`;
 
     // Get all fungible tokens owned by wallet
-    const response = await fetch(heliusRpc, {
+    const response = await fetchWithRetry(heliusRpc, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -128,11 +104,15 @@ async function getTokenHoldingsValue(walletAddress) {
 
     if (!response.ok) {
       console.warn('Helius searchAssets failed:', response.status);
-      return { tokenValue: 0, tokenCount: 0 };
+      return UNKNOWN_HOLDINGS;
     }
 
     const data = await response.json();
-    const items = data.result?.items || [];
+    if (!data.result) {
+      console.warn('Helius searchAssets failed:', data.error?.message);
+      return UNKNOWN_HOLDINGS;
+    }
+    const items = data.result.items || [];
 
     let totalTokenValue = 0;
     let tokenCount = 0;
@@ -155,34 +135,33 @@ async function getTokenHoldingsValue(walletAddress) {
     return { tokenValue: totalTokenValue, tokenCount };
   } catch (error) {
     console.error('getTokenHoldingsValue error:', error);
-    return { tokenValue: 0, tokenCount: 0 };
+    return UNKNOWN_HOLDINGS;
   }
 }
 
 /**
  * Get wallet net worth and portfolio data
- * Includes SOL balance + all token holdings
+ * Includes SOL balance + all token holdings. Unknown (null, no source) without the SOL balance;
+ * priced at the fallback SOL price or without the token holdings it's marked 'fallback'.
  * @param {string} walletAddress - The wallet address to check
- * @returns {Promise<{netWorth: number|null, solBalance: number|null, tokenCount: number|null}>}
+ * @returns {Promise<{netWorth: number|null, netWorthSource: string|null, solBalance: number|null, tokenCount: number|null}>}
  */
 export async function getWalletNetWorth(walletAddress) {
   try {
     // Get SOL balance, SOL price, and token holdings in parallel
-    const [solBalance, solPrice, tokenData] = await Promise.all([
+    const [solBalance, { price: solPrice, source: solPriceSource }, tokenData] = await Promise.all([
       getSolBalanceFromRPC(walletAddress),
       getSolPrice(),
       getTokenHoldingsValue(walletAddress)
     ]);
 
-    // Calculate total net worth (SOL value + token holdings value)
-    let netWorth = null;
-    let solValue = 0;
-
-    if (solBalance !== null && solPrice !== null) {
-      solValue = solBalance * solPrice;
+    if (solBalance === null) {
+      return { netWorth: null, netWorthSource: null, solBalance: null, tokenCount: tokenData.tokenCount };
     }
 
-    netWorth = solValue + (tokenData.tokenValue || 0);
+    // Total net worth: SOL value + token holdings value (left out when the lookup failed)
+    const solValue = solBalance * solPrice;
+    const netWorth = solValue + (tokenData.tokenValue ?? 0);
 
     console.log('Wallet net worth data:', {
       solBalance,
@@ -195,12 +174,14 @@ export async function getWalletNetWorth(walletAddress) {
 
     return {
       netWorth,
+      // SOL priced at the fallback price, or token holdings missing, isn't a real net worth
+      netWorthSource: worstSource(solBalance > 0 ? solPriceSource : 'live', tokenData.tokenValue === null ? 'fallback' : 'live'),
       solBalance,
-      tokenCount: tokenData.tokenCount || null
+      tokenCount: tokenData.tokenCount
     };
   } catch (error) {
     console.error('getWalletNetWorth error:', error);
-    return { netWorth: null, solBalance: null, tokenCount: null };
+    return { netWorth: null, netWorthSource: null, solBalance: null, tokenCount: null };
   }
 }
 
@@ -210,50 +191,50 @@ export async function getWalletNetWorth(walletAddress) {
  * @returns {Promise<{txCount: number|null, lastActiveTime: number|null}>}
  */
 export async function getWalletActivity(walletAddress) {
-  const RPC_ENDPOINTS = [
-    'https://solana-rpc.publicnode.com',
-    'https://go.getblock.io/d7dab8149ec7410aaa0f892c011420c1',
-    'https://api.mainnet-beta.solana.com'
-  ];
-
-  for (const rpcUrl of RPC_ENDPOINTS) {
-    try {
-      const response = await fetch(rpcUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          id: 1,
-          method: 'getSignaturesForAddress',
-          params: [walletAddress, { limit: 1 }]
-        })
-      });
-
-      if (!response.ok) {
-        console.warn(`RPC ${rpcUrl} returned status ${response.status}`);
-        continue;
-      }
+  try {
+    const signatures = await rpcCall('getSignaturesForAddress', [walletAddress, { limit: 1 }]) || [];
+    return {
+      txCount: null,
+      lastActiveTime: signatures.length > 0 ? signatures[0].blockTime : null
+    };
+  } catch (error) {
+    console.error('getWalletActivity failed:', error.message);
+    return { txCount: null, lastActiveTime: null };
+  }
+}
 
-      const data = await response.json();
+/**
+ * Hourly price history of a token from Birdeye
+ * @param {string} tokenAddress - Token mint
+ * @param {number} from - Unix seconds
+ * @param {number} to - Unix seconds
+ * @returns {Promise<Array<{unixTime: number, value: number}>|null>} null when unavailable
+ */
+export async function getPriceHistory(tokenAddress, from, to) {
+  if (!BIRDEYE_API_KEY) return null;
 
-      if (data.error) {
-        console.warn(`RPC ${rpcUrl} error:`, data.error);
-        continue;
+  try {
+    const response = await fetchWithRetry(
+      `${BIRDEYE_API_URL}/defi/history_price?address=${tokenAddress}&address_type=token&type=1H&time_from=${from}&time_to=${to}`,
+      {
+        headers: {
+          'X-API-KEY': BIRDEYE_API_KEY,
+          'x-chain': 'solana'
+        }
       }
+    );
 
-      const signatures = data.result || [];
-      return {
-        txCount: null,
-        lastActiveTime: signatures.length > 0 ? signatures[0].blockTime : null
-      };
-    } catch (error) {
-      console.warn(`RPC ${rpcUrl} failed:`, error.message);
-      continue;
+    if (!response.ok) {
+      console.warn('Birdeye price history failed for', tokenAddress, response.status);
+      return null;
     }
-  }
 
-  console.error('All RPC endpoints failed for getWalletActivity');
-  return { txCount: null, lastActiveTime: null };
+    const data = await response.json();
+    return data.success ? data.data?.items || [] : null;
+  } catch (error) {
+    console.error('getPriceHistory error:', error);
+    return null;
+  }
 }
 
 /**
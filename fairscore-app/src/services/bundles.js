@@ -0,0 +1,106 @@
+import { LAMPORTS_PER_SOL } from './constants.js';
+
+// Buys this many slots after the create still count when the wallet is tied to the deployer
+const LINKED_SLOT_WINDOW = 2;
+
+/**
+ * Sum a set of buys per receiving wallet, biggest holder first
+ * @returns {Array<{address: string, tokenAmount: number, slot: number, tipped: boolean, connection: string|null, supplyPct: number|null}>}
+ */
+function toWallets(trades, connections, supply, include) {
+  const byWallet = new Map();
+  for (const trade of trades) {
+    for (const receiver of trade.receivers.filter(include)) {
+      const wallet = byWallet.get(receiver.address) || {
+        address: receiver.address,
+        tokenAmount: 0,
+        slot: trade.slot,
+        tipped: false,
+        connection: connections.get(receiver.address) || null
+      };
+      wallet.tokenAmount += receiver.amount;
+      wallet.tipped = wallet.tipped || trade.tipLamports > 0;
+      byWallet.set(receiver.address, wallet);
+    }
+  }
+
+  return [...byWallet.values()]
+    .map(wallet => ({ ...wallet, supplyPct: supply ? (wallet.tokenAmount / supply) * 100 : null }))
+    .sort((a, b) => b.tokenAmount - a.tokenAmount);
+}
+
+const sumSupplyPct = (wallets, supply) =>
+  supply ? (wallets.reduce((sum, w) => sum + w.tokenAmount, 0) / supply) * 100 : null;
+
+/**
+ * Look for a bundled launch: buys from the deployer or wallets tied to it (its funder, wallets it
+ * funded, the funder's other seeds) that landed in the same slot as the create - atomically through
+ * Jito, or submitted together - or right after it.
+ * Same-slot buyers with no tie to the deployer are snipers as far as we can tell: they're listed
+ * under `unlinked` but don't make it a bundle.
+ * @param {Object} params
+ * @param {{creationSlot: number, trades: Array}|null} params.earlyTrades - getEarlyTrades() result
+ * @param {Map<string, string>} params.connections - getFundingConnections() result
+ * @param {number|null} params.supply - Token supply (whole tokens)
+ * @returns {{detected: boolean, jito: boolean, tipSol: number, slot: number, walletCount: number, connectedCount: number, supplyPct: number|null, wallets: Array, unlinked: {walletCount: number, supplyPct: number|null, wallets: Array}, risk: Object|null}|null}
+ */
+export function detectBundle({ earlyTrades, connections = new Map(), supply }) {
+  if (!earlyTrades?.trades?.length) return null;
+
+  const { creationSlot, trades } = earlyTrades;
+  const [creation, ...rest] = trades;
+
+  const isConnected = receiver => connections.has(receiver.address);
+  const sameSlot = rest.filter(trade => trade.slot === creationSlot);
+  const linkedAfter = rest.filter(trade =>
+    trade.slot > creationSlot &&
+    trade.slot <= creationSlot + LINKED_SLOT_WINDOW &&
+    trade.receivers.some(isConnected)
+  );
+
+  const connectedTrades = [...sameSlot, ...linkedAfter].filter(trade => trade.receivers.some(isConnected));
+  const wallets = toWallets(connectedTrades, connections, supply, isConnected);
+  const unlinkedWallets = toWallets(sameSlot, connections, supply, receiver => !isConnected(receiver));
+
+  // A sniper's own Jito tip says nothing about the deployer
+  const tipLamports = [creation, ...connectedTrades].reduce((sum, trade) => sum + trade.tipLamports, 0);
+  const supplyPct = sumSupplyPct(wallets, supply);
+
+  const bundle = {
+    detected: wallets.length > 0,
+    jito: tipLamports > 0,
+    tipSol: tipLamports / LAMPORTS_PER_SOL,
+    slot: creationSlot,
+    walletCount: wallets.length,
+    connectedCount: wallets.length,
+    supplyPct,
+    wallets,
+    unlinked: {
+      walletCount: unlinkedWallets.length,
+      supplyPct: sumSupplyPct(unlinkedWallets, supply),
+      wallets: unlinkedWallets
+    },
+    risk: null
+  };
+
+  if (bundle.detected) {
+    const share = supplyPct != null ? `, taking ${supplyPct.toFixed(1)}% of supply` : '';
+    const others = unlinkedWallets.length > 0
+      ? ` (plus ${unlinkedWallets.length} unlinked same-slot ${unlinkedWallets.length === 1 ? 'buyer' : 'buyers'})`
+      : '';
+
+    // Same shape as rugcheck's risks so it renders alongside them
+    bundle.risk = {
+      name: bundle.jito ? 'Jito bundled launch' : 'Bundled launch',
+      value: supplyPct != null ? `${supplyPct.toFixed(1)}%` : '',
+      description: `${wallets.length} ${wallets.length === 1 ? 'wallet' : 'wallets'} tied to the deployer bought alongside the create${share}${others}`,
+      score: 5000,
+      level: 'danger'
+    };
+  }
+
+  console.log('Bundle check:', bundle.detected
+    ? `${bundle.walletCount} linked wallets, ${supplyPct?.toFixed(1) ?? '?'}% of supply${bundle.jito ? ' (jito)' : ''}`
+    : `no bundle${unlinkedWallets.length > 0 ? ` (${unlinkedWallets.length} unlinked same-slot buyers)` : ''}`);
+  return bundle;
+}
@@ -0,0 +1,85 @@
+import { AnalysisError } from './analysisError.js';
+
+// API URL - use proxy in dev, configure VITE_API_URL for production
+const API_URL = import.meta.env?.DEV ? '' : (import.meta.env?.VITE_API_URL || '');
+
+/**
+ * Run a deployer check on the server (/api/check) and stream its progress
+ * @param {string} tokenMint - The token mint address
+ * @param {Object} [options]
+ * @param {string} [options.twitter] - Dev twitter handle (optional)
+ * @param {(event: {stage: string, message: string}) => void} [options.onProgress] - Progress callback
+ * @returns {Promise<Object>} The check result
+ */
+export async function requestCheck(tokenMint, { twitter = null, onProgress } = {}) {
+  const params = new URLSearchParams();
+  params.append('mint', tokenMint);
+  if (twitter) {
+    params.append('twitter', twitter);
+  }
+  params.append('stream', '1');
+
+  return readAnalysisStream(await fetch(`${API_URL}/api/check?${params.toString()}`), onProgress);
+}
+
+/**
+ * Check a deployer wallet on the server (/api/deployers/:wallet) and stream its progress
+ * @param {string} wallet - The deployer wallet address
+ * @param {Object} [options]
+ * @param {string} [options.twitter] - Dev twitter handle (optional)
+ * @param {(event: {stage: string, message: string}) => void} [options.onProgress] - Progress callback
+ * @returns {Promise<Object>} The deployer profile, with checkedTokens (saved checks of their tokens)
+ */
+export async function requestDeployerCheck(wallet, { twitter = null, onProgress } = {}) {
+  const params = new URLSearchParams();
+  if (twitter) {
+    params.append('twitter', twitter);
+  }
+  params.append('stream', '1');
+
+  return readAnalysisStream(await fetch(`${API_URL}/api/deployers/${wallet}?${params.toString()}`), onProgress);
+}
+
+// Progress events go to onProgress; resolves with the result event, throws on the error event
+async function readAnalysisStream(response, onProgress) {
+  if (!response.ok || !response.body) {
+    const body = await response.json().catch(() => ({}));
+    throw toError(body);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      const event = JSON.parse(line);
+
+      if (event.type === 'progress' && onProgress) {
+        onProgress({ stage: event.stage, message: event.message });
+      } else if (event.type === 'result') {
+        return event.result;
+      } else if (event.type === 'error') {
+        throw toError(event);
+      }
+    }
+
+    if (done) break;
+  }
+
+  throw new Error('Check stream ended without a result');
+}
+
+function toError(body) {
+  if (body?.code && body.code !== 'INTERNAL') {
+    return new AnalysisError(body.code, body.error);
+  }
+  return new Error(body?.error || 'Check request failed');
+}
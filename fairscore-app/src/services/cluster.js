@@ -0,0 +1,189 @@
+import { getEnv } from '../utils/env.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { fetchWithRetry } from './rpc.js';
+import { LAMPORTS_PER_SOL } from './constants.js';
+import { HELIUS_API_KEY, HELIUS_ENHANCED_API } from './serverConfig.js';
+import { iterateSignatures } from './signatures.js';
+import { getDeployerCreatedTokens } from './solscan.js';
+import { getTokenSummary } from './rugcheck.js';
+import { labelAddress } from './labels.js';
+import { isKnownProgramOrAuthority } from './knownAddresses.js';
+
+// Look this far either side of when the funder seeded the deployer. Override with CLUSTER_WINDOW_HOURS.
+const DEFAULT_WINDOW_HOURS = Number(getEnv('CLUSTER_WINDOW_HOURS')) || 48;
+
+// Helius pages (100 txs each) of funder history to scan, counted from the end of the window
+const MAX_PAGES = 5;
+
+// Transfers smaller than this are fees/dust, not a wallet being seeded
+const MIN_SEED_LAMPORTS = 0.01 * LAMPORTS_PER_SOL;
+
+// Recipients to check for launches, and tokens to look up - each is an API call
+const MAX_RECIPIENTS = 15;
+const MAX_TOKEN_LOOKUPS = 25;
+const CONCURRENCY = 3;
+
+/**
+ * Signature to start a newest-first scan before so it begins at `to` rather than at the wallet's
+ * latest tx. Skips ahead through RPC signature pages (1000 per call, SIGNATURE_MAX_PAGES at most).
+ * @returns {Promise<{reached: boolean, before: string|null}>} reached is false when the page cap ran out first
+ */
+async function findWindowEnd(wallet, to) {
+  let before = null;
+  for await (const page of iterateSignatures(wallet)) {
+    for (const signature of page) {
+      if (signature.blockTime != null && signature.blockTime <= to) {
+        return { reached: true, before };
+      }
+      before = signature.signature;
+    }
+  }
+  return { reached: false, before };
+}
+
+/**
+ * SOL a wallet sent out between `from` and `to` (unix seconds), one entry per recipient (largest transfer kept).
+ * Needs Helius - returns [] without it, or when the window is too far back in the wallet's history to reach.
+ * @returns {Promise<Array<{address: string, lamports: number, timestamp: number, signature: string}>>}
+ */
+export async function getOutgoingTransfers(wallet, from, to) {
+  if (!HELIUS_ENHANCED_API) return [];
+
+  // Busy funders have thousands of txs after the window - skip them instead of paging through
+  const windowEnd = await findWindowEnd(wallet, to);
+  if (!windowEnd.reached) {
+    console.warn('Funding window is too far back in the funder\'s history:', wallet);
+    return [];
+  }
+
+  const byRecipient = new Map();
+  let before = windowEnd.before;
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const url = `${HELIUS_ENHANCED_API}/addresses/${wallet}/transactions?api-key=${HELIUS_API_KEY}&limit=100${before ? `&before=${before}` : ''}`;
+    const response = await fetchWithRetry(url);
+    if (!response.ok) {
+      console.warn('Failed to fetch wallet transactions:', wallet, response.status);
+      break;
+    }
+
+    const transactions = await response.json();
+    if (!transactions.length) break;
+
+    for (const tx of transactions) {
+      if (!tx.timestamp || tx.timestamp > to || tx.timestamp < from) continue;
+
+      for (const transfer of tx.nativeTransfers || []) {
+        if (transfer.fromUserAccount !== wallet || transfer.toUserAccount === wallet) continue;
+        if (transfer.amount < MIN_SEED_LAMPORTS) continue;
+
+        const existing = byRecipient.get(transfer.toUserAccount);
+        if (!existing || transfer.amount > existing.lamports) {
+          byRecipient.set(transfer.toUserAccount, {
+            address: transfer.toUserAccount,
+            lamports: transfer.amount,
+            timestamp: tx.timestamp,
+            signature: tx.signature
+          });
+        }
+      }
+    }
+
+    // Newest first - once a page ends before the window there's nothing older to find
+    const oldest = transactions[transactions.length - 1];
+    if (transactions.length < 100 || (oldest.timestamp && oldest.timestamp < from)) break;
+    before = oldest.signature;
+  }
+
+  return [...byRecipient.values()];
+}
+
+/**
+ * Find the deployer's "cluster": the funder plus other wallets it seeded around the same
+ * time that went on to launch tokens (the usual serial-rugger setup).
+ * Needs Helius - returns null without it, when the funder is a labeled exchange/bridge/bot,
+ * or when the funding time is unknown (there's no window to look in).
+ * @param {Object} params
+ * @param {string} params.deployer - Deployer wallet
+ * @param {{address: string, label: string|null}} params.funder - Deployer's direct funder (result.fundedBy)
+ * @param {number|null} params.fundingTime - When the funder seeded the deployer (unix seconds)
+ * @param {Array<{mint: string}>} params.deployerTokens - Tokens already known for the deployer and funder
+ * @param {{mint: string, marketCap: number|null, rugged: boolean}|null} [params.currentToken] - The token being checked (none for a wallet lookup)
+ * @param {Object} [options]
+ * @param {number} [options.windowHours] - Hours either side of fundingTime to scan
+ * @returns {Promise<{funder: string, windowHours: number, wallets: Array, siblings: Array, fundedWallets: string[], totalLaunches: number, rugCount: number, bestMarketCap: number|null}|null>}
+ */
+export async function findDeployerCluster(
+  { deployer, funder, fundingTime, deployerTokens = [], currentToken = null },
+  { windowHours = DEFAULT_WINDOW_HOURS } = {}
+) {
+  if (!HELIUS_ENHANCED_API || !funder?.address || funder.label || !fundingTime) {
+    return null;
+  }
+
+  console.log('Looking for sibling wallets funded by:', funder.address);
+
+  try {
+    const windowSeconds = windowHours * 60 * 60;
+    const transfers = await getOutgoingTransfers(funder.address, fundingTime - windowSeconds, fundingTime + windowSeconds);
+
+    // Biggest seeds first - those are the wallets worth checking
+    const recipients = transfers
+      .filter(t => t.address !== deployer && !isKnownProgramOrAuthority(t.address) && !labelAddress(t.address).label)
+      .sort((a, b) => b.lamports - a.lamports)
+      .slice(0, MAX_RECIPIENTS);
+
+    const recipientTokens = await mapWithConcurrency(recipients, CONCURRENCY, recipient =>
+      getDeployerCreatedTokens(recipient.address, currentToken?.mint)
+    );
+
+    const siblings = recipients
+      .map((recipient, i) => ({
+        address: recipient.address,
+        amount: recipient.lamports / LAMPORTS_PER_SOL,
+        timestamp: recipient.timestamp,
+        signature: recipient.signature,
+        tokens: recipientTokens[i]
+      }))
+      .filter(sibling => sibling.tokens.length > 0);
+
+    // Every launch in the cluster, once each
+    const tokens = new Map();
+    for (const token of [...deployerTokens, ...siblings.flatMap(s => s.tokens)]) {
+      if (token.mint !== currentToken?.mint && !tokens.has(token.mint)) {
+        tokens.set(token.mint, token);
+      }
+    }
+
+    // Sibling launches only come with a mint - look up mcap and rug status
+    const unknown = [...tokens.values()].filter(t => t.marketCap == null && t.rugged == null).slice(0, MAX_TOKEN_LOOKUPS);
+    const summaries = await mapWithConcurrency(unknown, CONCURRENCY, token => getTokenSummary(token.mint));
+    summaries.forEach((summary, i) => {
+      if (summary) tokens.set(unknown[i].mint, { ...unknown[i], ...summary });
+    });
+
+    const allTokens = currentToken ? [currentToken, ...tokens.values()] : [...tokens.values()];
+    const marketCaps = allTokens.map(t => t.marketCap).filter(mc => mc != null);
+
+    const cluster = {
+      funder: funder.address,
+      windowHours,
+      wallets: [deployer, funder.address, ...siblings.map(s => s.address)],
+      siblings: siblings.map(sibling => ({
+        ...sibling,
+        tokens: sibling.tokens.map(t => tokens.get(t.mint) || t)
+      })),
+      // Everything the funder seeded in the window, launched or not
+      fundedWallets: transfers.map(t => t.address),
+      totalLaunches: allTokens.length,
+      rugCount: allTokens.filter(t => t.rugged).length,
+      bestMarketCap: marketCaps.length > 0 ? Math.max(...marketCaps) : null
+    };
+
+    console.log(`Cluster for ${deployer}: ${siblings.length} sibling deployers, ${cluster.totalLaunches} launches, ${cluster.rugCount} rugged`);
+    return cluster;
+  } catch (error) {
+    console.error('Error finding deployer cluster:', error);
+    return null;
+  }
+}
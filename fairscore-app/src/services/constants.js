@@ -0,0 +1,4 @@
+// Shared by the browser and the server - no env reads here (server settings live in serverConfig.js)
+
+// Lamports in one SOL
+export const LAMPORTS_PER_SOL = 1_000_000_000;
@@ -0,0 +1,137 @@
+import { getEnv } from '../utils/env.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { getTokenSummary } from './rugcheck.js';
+import { getPriceHistory } from './birdeye.js';
+
+// Newest launches enriched per check (each is a rugcheck + Birdeye call). Override with CREATOR_HISTORY_ENRICH.
+const MAX_ENRICHED = Number(getEnv('CREATOR_HISTORY_ENRICH')) || 30;
+const CONCURRENCY = 3;
+
+// Below this market cap a token is dead
+const DEAD_MARKET_CAP = 5000;
+
+// A token is dead once price falls under this share of its peak and never recovers
+const DEATH_DROP = 0.1;
+
+/**
+ * Possible outcomes of a launch, worst first
+ * - rugged: rugcheck flagged it as rugged
+ * - dead: collapsed under DEATH_DROP of peak for good, or market cap under DEAD_MARKET_CAP
+ * - migrated: left the bonding curve for an AMM and is still trading
+ * - alive: still trading on its bonding curve
+ * - unknown: no market data
+ */
+export const TOKEN_OUTCOMES = ['rugged', 'dead', 'migrated', 'alive', 'unknown'];
+
+// Last drop under DEATH_DROP of the peak that price never came back from (unix seconds)
+function findDeathTime(history, peakPrice) {
+  if (!history?.length || !peakPrice) return null;
+
+  const threshold = peakPrice * DEATH_DROP;
+  let diedAt = null;
+  for (const point of history) {
+    if (point.value >= threshold) {
+      diedAt = null;
+    } else if (diedAt == null) {
+      diedAt = point.unixTime;
+    }
+  }
+  return diedAt;
+}
+
+export function classifyOutcome({ rugged, migrated, marketCap, diedAt }) {
+  if (rugged) return 'rugged';
+  if (diedAt || (marketCap != null && marketCap < DEAD_MARKET_CAP)) return 'dead';
+  if (marketCap == null) return 'unknown';
+  return migrated ? 'migrated' : 'alive';
+}
+
+/**
+ * Add current/peak market cap, migration, rug status, time-to-death and outcome to one launch
+ * @param {{mint: string, createdAt?: string, marketCap?: number}} token
+ * @param {number} now - Unix seconds
+ */
+async function enrichCreatorToken(token, now) {
+  const summary = await getTokenSummary(token.mint);
+  const createdAt = token.createdAt || summary?.detectedAt || null;
+  const createdTime = createdAt ? Math.floor(new Date(createdAt).getTime() / 1000) : null;
+
+  const history = createdTime ? await getPriceHistory(token.mint, createdTime, now) : null;
+  const peak = history?.length
+    ? history.reduce((best, point) => point.value > best.value ? point : best, history[0])
+    : null;
+  const supply = summary?.supply ?? null;
+
+  const marketCap = summary?.marketCap ?? token.marketCap ?? null;
+  const peakMarketCap = peak && supply
+    ? Math.max(peak.value * supply, marketCap || 0)
+    : marketCap;
+  // Hourly history lags - a token trading back above the threshold right now isn't dead
+  const recovered = marketCap != null && peakMarketCap && marketCap >= peakMarketCap * DEATH_DROP;
+  const diedAt = recovered ? null : findDeathTime(history, peak?.value);
+
+  const enriched = {
+    ...token,
+    name: summary?.name ?? token.name ?? null,
+    symbol: summary?.symbol ?? token.symbol ?? null,
+    createdAt,
+    marketCap,
+    peakMarketCap,
+    rugged: summary?.rugged ?? token.rugged ?? false,
+    migrated: summary?.migrated ?? false,
+    timeToDeathHours: diedAt && createdTime ? Math.max(0, Math.round((diedAt - createdTime) / 3600)) : null
+  };
+  enriched.outcome = classifyOutcome({ ...enriched, diedAt });
+  return enriched;
+}
+
+/**
+ * Enrich a deployer's launches with how each one ended up.
+ * Only the newest MAX_ENRICHED are looked up; older ones keep what we already knew.
+ * @param {Array<{mint: string, createdAt?: string, marketCap?: number}>} tokens
+ * @returns {Promise<Array>} Newest first
+ */
+export async function enrichCreatorTokens(tokens, { limit = MAX_ENRICHED } = {}) {
+  const sorted = [...tokens].sort((a, b) =>
+    new Date(b.createdAt || 0).getTime() - new Date(a.createdAt || 0).getTime()
+  );
+  const now = Math.floor(Date.now() / 1000);
+
+  const enriched = await mapWithConcurrency(sorted.slice(0, limit), CONCURRENCY, async token => {
+    try {
+      return await enrichCreatorToken(token, now);
+    } catch (error) {
+      console.warn('Could not enrich token', token.mint, error.message);
+      return token;
+    }
+  });
+
+  const rest = sorted.slice(limit).map(token => ({
+    ...token,
+    outcome: classifyOutcome({ rugged: token.rugged, marketCap: token.marketCap ?? null })
+  }));
+
+  console.log(`Enriched ${enriched.length} of ${tokens.length} creator tokens`);
+  return [...enriched, ...rest];
+}
+
+/**
+ * Count outcomes across a deployer's launches
+ * @returns {{total: number, rugged: number, dead: number, migrated: number, alive: number, unknown: number, bestPeakMarketCap: number|null, medianTimeToDeathHours: number|null}}
+ */
+export function summarizeTrackRecord(tokens) {
+  const counts = Object.fromEntries(TOKEN_OUTCOMES.map(outcome => [outcome, 0]));
+  for (const token of tokens) {
+    counts[token.outcome || 'unknown']++;
+  }
+
+  const peaks = tokens.map(t => t.peakMarketCap ?? t.marketCap).filter(mc => mc != null);
+  const deaths = tokens.map(t => t.timeToDeathHours).filter(h => h != null).sort((a, b) => a - b);
+
+  return {
+    total: tokens.length,
+    ...counts,
+    bestPeakMarketCap: peaks.length > 0 ? Math.max(...peaks) : null,
+    medianTimeToDeathHours: deaths.length > 0 ? deaths[Math.floor(deaths.length / 2)] : null
+  };
+}
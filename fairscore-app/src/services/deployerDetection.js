@@ -0,0 +1,217 @@
+import { isKnownProgramOrAuthority } from './knownAddresses.js';
+import { detectLaunchpad } from './launchpads.js';
+
+// Base58 address inside a log line, e.g. "Program log: creator: 7xKX...9fQe"
+const LOG_CREATOR_PATTERN = /creator[\s:=]+([1-9A-HJ-NP-Za-km-z]{32,44})/i;
+
+// Combined confidence needed for each label
+const CONFIDENCE_LABELS = [
+  { min: 0.85, label: 'high' },
+  { min: 0.6, label: 'medium' },
+  { min: 0, label: 'low' }
+];
+
+/**
+ * A deployer strategy looks at the creation tx and proposes who deployed the token.
+ * detect(tx, context) returns { address, confidence (0-1), reason } or null.
+ * `tx` is the jsonParsed creation transaction (null if it couldn't be fetched);
+ * `context` has { mint, reportedCreator, heliusFeePayer }.
+ */
+const strategies = [
+  {
+    // Exact: creator account of a known launchpad's create instruction (pump.fun, LaunchLab, Moonshot, DBC...)
+    name: 'launchpad-create',
+    detect(tx, { mint }) {
+      const detected = tx ? detectLaunchpad(tx, mint) : null;
+      if (!detected?.creator || isKnownProgramOrAuthority(detected.creator)) return null;
+      return {
+        address: detected.creator,
+        confidence: detected.launchpad.custodial ? 0.6 : 0.98,
+        reason: detected.launchpad.custodial
+          ? `${detected.launchpad.name} platform wallet (custodial launch)`
+          : `creator in ${detected.launchpad.name} create ix`
+      };
+    }
+  },
+  {
+    name: 'log-creator',
+    detect(tx) {
+      for (const line of tx?.meta?.logMessages || []) {
+        const match = line.match(LOG_CREATOR_PATTERN);
+        if (match && !isKnownProgramOrAuthority(match[1])) {
+          return { address: match[1], confidence: 0.9, reason: 'creator logged by the launch program' };
+        }
+      }
+      return null;
+    }
+  },
+  {
+    // Strategy A: first signer that isn't a program/authority - usually the fee payer
+    name: 'fee-payer',
+    detect(tx) {
+      const accountKeys = tx?.transaction?.message?.accountKeys || [];
+      const signers = accountKeys
+        .filter(key => typeof key !== 'string' && key.signer)
+        .map(key => key.pubkey);
+
+      const index = signers.findIndex(pubkey => !isKnownProgramOrAuthority(pubkey));
+      if (index === -1) return null;
+
+      return index === 0
+        ? { address: signers[0], confidence: 0.8, reason: 'fee payer of create ix' }
+        : { address: signers[index], confidence: 0.6, reason: 'first non-platform signer of create tx' };
+    }
+  },
+  {
+    // Strategy B: who paid for the mint account / sent SOL inside the creation tx
+    name: 'transfer-source',
+    detect(tx, { mint }) {
+      const transfers = getSystemTransfers(tx)
+        .filter(t => t.source && !isKnownProgramOrAuthority(t.source));
+
+      const mintRent = transfers.find(t => t.type === 'createAccount' && t.destination === mint);
+      if (mintRent) {
+        return { address: mintRent.source, confidence: 0.7, reason: 'paid rent for the mint account' };
+      }
+
+      const largest = transfers.sort((a, b) => b.lamports - a.lamports)[0];
+      return largest
+        ? { address: largest.source, confidence: 0.5, reason: 'largest SOL transfer source in create tx' }
+        : null;
+    }
+  },
+  {
+    // Plain SPL / Token-2022 mints: whoever was set as mint authority at creation
+    name: 'mint-authority',
+    detect(tx, { mint }) {
+      const instructions = [
+        ...(tx?.transaction?.message?.instructions || []),
+        ...(tx?.meta?.innerInstructions || []).flatMap(group => group.instructions || [])
+      ];
+      const init = instructions.find(ix =>
+        ix.parsed?.type?.startsWith('initializeMint') && ix.parsed.info?.mint === mint
+      );
+      const authority = init?.parsed.info.mintAuthority;
+      if (!authority || isKnownProgramOrAuthority(authority)) return null;
+      return { address: authority, confidence: 0.6, reason: 'mint authority set at creation' };
+    }
+  },
+  {
+    // Only used when the creation tx itself couldn't be fetched
+    name: 'helius-fee-payer',
+    detect(tx, { heliusFeePayer }) {
+      if (tx || !heliusFeePayer || isKnownProgramOrAuthority(heliusFeePayer)) return null;
+      return { address: heliusFeePayer, confidence: 0.8, reason: 'fee payer of first tx (Helius)' };
+    }
+  },
+  {
+    name: 'reported-creator',
+    detect(tx, { reportedCreator }) {
+      if (!reportedCreator || isKnownProgramOrAuthority(reportedCreator)) return null;
+      return { address: reportedCreator, confidence: 0.5, reason: 'creator reported by rugcheck' };
+    }
+  }
+];
+
+/**
+ * Add a deployer strategy
+ * @param {{name: string, detect: Function}} strategy
+ * @param {{first?: boolean}} [options] - Put it ahead of the built-ins (wins confidence ties)
+ */
+export function registerDeployerStrategy(strategy, { first = false } = {}) {
+  const existing = strategies.findIndex(s => s.name === strategy.name);
+  if (existing !== -1) strategies.splice(existing, 1);
+
+  if (first) {
+    strategies.unshift(strategy);
+  } else {
+    strategies.push(strategy);
+  }
+}
+
+export function getDeployerStrategies() {
+  return strategies.map(s => s.name);
+}
+
+/**
+ * Run every strategy over the creation tx and pick the best-supported deployer.
+ * Strategies that agree on an address reinforce each other: combined = 1 - Π(1 - confidence).
+ * @param {Object|null} tx - jsonParsed creation transaction
+ * @param {{mint: string, reportedCreator?: string, heliusFeePayer?: string}} context
+ * @returns {{address: string, confidence: number, confidenceLabel: string, strategy: string, reason: string, candidates: Array, disagreements: Array}}
+ */
+export function detectDeployer(tx, context) {
+  const candidates = [];
+
+  for (const strategy of strategies) {
+    try {
+      const candidate = strategy.detect(tx, context);
+      if (candidate?.address) {
+        candidates.push({ strategy: strategy.name, ...candidate });
+      }
+    } catch (error) {
+      console.warn(`Deployer strategy ${strategy.name} failed:`, error.message);
+    }
+  }
+
+  if (candidates.length === 0) {
+    return {
+      address: context.reportedCreator,
+      confidence: 0.1,
+      confidenceLabel: 'low',
+      strategy: 'fallback',
+      reason: 'no strategy found a wallet, using reported creator',
+      candidates,
+      disagreements: []
+    };
+  }
+
+  // Group by address, keeping strategy order for tie-breaks
+  const byAddress = new Map();
+  for (const candidate of candidates) {
+    const group = byAddress.get(candidate.address) || { address: candidate.address, doubt: 1, support: [] };
+    group.doubt *= (1 - candidate.confidence);
+    group.support.push(candidate);
+    byAddress.set(candidate.address, group);
+  }
+
+  const ranked = [...byAddress.values()].sort((a, b) => a.doubt - b.doubt);
+  const winner = ranked[0];
+  const best = [...winner.support].sort((a, b) => b.confidence - a.confidence)[0];
+  const confidence = Number((1 - winner.doubt).toFixed(2));
+
+  const result = {
+    address: winner.address,
+    confidence,
+    confidenceLabel: CONFIDENCE_LABELS.find(l => confidence >= l.min).label,
+    strategy: best.strategy,
+    reason: best.reason,
+    candidates,
+    disagreements: candidates.filter(c => c.address !== winner.address)
+  };
+
+  console.log('Deployer detection:', result.address, result.confidenceLabel, `(${result.strategy})`,
+    result.disagreements.length > 0 ? `${result.disagreements.length} disagreeing` : '');
+  return result;
+}
+
+// System program transfers and account creations, top-level and inner
+function getSystemTransfers(tx) {
+  const instructions = [
+    ...(tx?.transaction?.message?.instructions || []),
+    ...(tx?.meta?.innerInstructions || []).flatMap(group => group.instructions || [])
+  ];
+
+  const transfers = [];
+  for (const ix of instructions) {
+    if (ix.program !== 'system' || !ix.parsed) continue;
+    const { type, info = {} } = ix.parsed;
+
+    if (type === 'transfer') {
+      transfers.push({ type, source: info.source, destination: info.destination, lamports: info.lamports || 0 });
+    } else if (type === 'createAccount') {
+      transfers.push({ type, source: info.source, destination: info.newAccount, lamports: info.lamports || 0 });
+    }
+  }
+  return transfers;
+}
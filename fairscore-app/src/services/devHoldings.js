@@ -0,0 +1,218 @@
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { rpcCall, fetchWithRetry } from './rpc.js';
+import { HELIUS_API_KEY, HELIUS_ENHANCED_API } from './serverConfig.js';
+import { iterateSignatures } from './signatures.js';
+
+// Cluster wallets tracked besides the deployer
+const MAX_CLUSTER_WALLETS = 5;
+
+// History scanned per wallet
+const HELIUS_PAGES = 3;
+const MAX_RPC_TRANSACTIONS = 40;
+const CONCURRENCY = 3;
+
+// SOL moving the other way by more than this makes a token move a trade, not a transfer (tx fees are ~0.000005)
+const TRADE_LAMPORTS = 1_000_000;
+
+function classify(tokenDelta, lamportsDelta) {
+  if (tokenDelta > 0) return lamportsDelta < -TRADE_LAMPORTS ? 'buy' : 'transfer-in';
+  return lamportsDelta > TRADE_LAMPORTS ? 'sell' : 'transfer-out';
+}
+
+// Token and SOL change of `wallet` in a Helius enhanced tx
+function eventFromEnhancedTx(tx, wallet, mint) {
+  let tokenDelta = 0;
+  for (const transfer of tx.tokenTransfers || []) {
+    if (transfer.mint !== mint) continue;
+    if (transfer.toUserAccount === wallet) tokenDelta += transfer.tokenAmount;
+    if (transfer.fromUserAccount === wallet) tokenDelta -= transfer.tokenAmount;
+  }
+  if (!tokenDelta) return null;
+
+  const lamportsDelta = (tx.accountData || []).find(a => a.account === wallet)?.nativeBalanceChange || 0;
+  return { signature: tx.signature, timestamp: tx.timestamp, wallet, tokenDelta, kind: classify(tokenDelta, lamportsDelta) };
+}
+
+// Token and SOL change of `wallet` in a jsonParsed tx
+function eventFromParsedTx(tx, signature, wallet, mint) {
+  const balanceOf = (balances) => (balances || [])
+    .filter(b => b.mint === mint && b.owner === wallet)
+    .reduce((sum, b) => sum + (b.uiTokenAmount?.uiAmount || 0), 0);
+
+  const tokenDelta = balanceOf(tx.meta?.postTokenBalances) - balanceOf(tx.meta?.preTokenBalances);
+  if (!tokenDelta) return null;
+
+  const keys = (tx.transaction?.message?.accountKeys || []).map(k => typeof k === 'string' ? k : k.pubkey);
+  const index = keys.indexOf(wallet);
+  const lamportsDelta = index === -1 ? 0 : (tx.meta.postBalances[index] - tx.meta.preBalances[index]);
+  return { signature, timestamp: tx.blockTime, wallet, tokenDelta, kind: classify(tokenDelta, lamportsDelta) };
+}
+
+async function getMintEventsViaHelius(wallet, mint, since) {
+  const events = [];
+  let before = null;
+  let complete = false;
+
+  for (let page = 0; page < HELIUS_PAGES; page++) {
+    const url = `${HELIUS_ENHANCED_API}/addresses/${wallet}/transactions?api-key=${HELIUS_API_KEY}&limit=100${before ? `&before=${before}` : ''}`;
+    const response = await fetchWithRetry(url);
+    if (!response.ok) {
+      throw new Error(`Helius API returned ${response.status}`);
+    }
+
+    const transactions = await response.json();
+    for (const tx of transactions) {
+      if (since && tx.timestamp < since) continue;
+      const event = eventFromEnhancedTx(tx, wallet, mint);
+      if (event) events.push(event);
+    }
+
+    const oldest = transactions[transactions.length - 1];
+    if (transactions.length < 100 || (since && oldest.timestamp < since)) {
+      complete = true;
+      break;
+    }
+    before = oldest.signature;
+  }
+
+  return { events, complete };
+}
+
+async function getMintEventsViaRPC(wallet, mint, since) {
+  const signatures = [];
+  let complete = false;
+
+  for await (const page of iterateSignatures(wallet, { maxPages: 2, pageSize: MAX_RPC_TRANSACTIONS })) {
+    for (const sig of page) {
+      if (since && sig.blockTime && sig.blockTime < since) {
+        complete = true;
+        break;
+      }
+      if (!sig.err) signatures.push(sig.signature);
+    }
+    if (complete || page.length < MAX_RPC_TRANSACTIONS) {
+      complete = true;
+      break;
+    }
+  }
+
+  const transactions = await mapWithConcurrency(signatures.slice(0, MAX_RPC_TRANSACTIONS), CONCURRENCY, signature =>
+    rpcCall('getTransaction', [signature, { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0 }])
+  );
+
+  const events = transactions
+    .map((tx, i) => tx && eventFromParsedTx(tx, signatures[i], wallet, mint))
+    .filter(Boolean);
+  return { events, complete: complete && signatures.length <= MAX_RPC_TRANSACTIONS };
+}
+
+// What the wallet holds of the mint right now
+async function getCurrentBalance(wallet, mint) {
+  const accounts = await rpcCall('getTokenAccountsByOwner', [wallet, { mint }, { encoding: 'jsonParsed' }]);
+  return (accounts?.value || [])
+    .reduce((sum, account) => sum + (account.account?.data?.parsed?.info?.tokenAmount?.uiAmount || 0), 0);
+}
+
+/**
+ * One event per tx for the whole cluster. Moves between cluster wallets cancel out and are dropped.
+ */
+function mergeBySignature(events) {
+  const bySignature = new Map();
+  for (const event of events) {
+    const merged = bySignature.get(event.signature);
+    if (!merged) {
+      bySignature.set(event.signature, { ...event });
+      continue;
+    }
+    // The wallet that moved the most decides what kind of move it was
+    if (Math.abs(event.tokenDelta) > Math.abs(merged.tokenDelta)) {
+      merged.wallet = event.wallet;
+      merged.kind = event.kind;
+    }
+    merged.tokenDelta += event.tokenDelta;
+  }
+
+  return [...bySignature.values()].filter(event => Math.abs(event.tokenDelta) > 1e-9);
+}
+
+async function getWalletHistory(wallet, mint, since) {
+  let history = null;
+  if (HELIUS_ENHANCED_API) {
+    try {
+      history = await getMintEventsViaHelius(wallet, mint, since);
+    } catch (err) {
+      console.warn('Helius holdings history failed, falling back to RPC:', err.message);
+    }
+  }
+  if (!history) {
+    history = await getMintEventsViaRPC(wallet, mint, since);
+  }
+
+  const balance = await getCurrentBalance(wallet, mint);
+  return { wallet, balance, ...history };
+}
+
+/**
+ * Track how much of the token the deployer (and its cluster) held from creation to now.
+ * The timeline is rebuilt backwards from today's balances, so a truncated history still ends
+ * at the right number - `complete` says whether it reaches back to creation.
+ * @param {Object} params
+ * @param {string} params.mint - Token mint
+ * @param {string} params.deployer - Deployer wallet
+ * @param {string[]} [params.clusterWallets] - Other wallets in the deployer's cluster
+ * @param {number|null} params.supply - Token supply (whole tokens)
+ * @param {number|null} params.creationTime - Token creation (unix seconds)
+ * @returns {Promise<{devHoldingPct: number|null, devSoldPct: number|null, peakHoldingPct: number|null, startingPct: number|null, currentTokens: number, soldTokens: number, complete: boolean, wallets: Array, timeline: Array}|null>}
+ */
+export async function getDevHoldings({ mint, deployer, clusterWallets = [], supply, creationTime }) {
+  const wallets = [deployer, ...clusterWallets.filter(w => w !== deployer).slice(0, MAX_CLUSTER_WALLETS)];
+
+  try {
+    const histories = await mapWithConcurrency(wallets, CONCURRENCY, async wallet => {
+      try {
+        return await getWalletHistory(wallet, mint, creationTime);
+      } catch (error) {
+        console.warn('Could not load holdings for', wallet, error.message);
+        return null;
+      }
+    });
+
+    const loaded = histories.filter(Boolean);
+    if (!loaded.find(h => h.wallet === deployer)) return null;
+
+    const pctOf = (amount) => supply ? (amount / supply) * 100 : null;
+    const currentTokens = loaded.reduce((sum, h) => sum + h.balance, 0);
+
+    // Newest first, walking balances back from today
+    const events = mergeBySignature(loaded.flatMap(h => h.events)).sort((a, b) => b.timestamp - a.timestamp);
+    let balance = currentTokens;
+    const timeline = [];
+    for (const event of events) {
+      timeline.push({ ...event, balanceAfter: balance, pctAfter: pctOf(balance) });
+      balance -= event.tokenDelta;
+    }
+    timeline.reverse();
+
+    const soldTokens = events.filter(e => e.kind === 'sell').reduce((sum, e) => sum - e.tokenDelta, 0);
+    const peakTokens = Math.max(currentTokens, balance, ...timeline.map(p => p.balanceAfter));
+
+    const holdings = {
+      devHoldingPct: pctOf(currentTokens),
+      devSoldPct: pctOf(soldTokens),
+      peakHoldingPct: pctOf(peakTokens),
+      // Held before the first move we found (0 when the history reaches creation)
+      startingPct: pctOf(Math.max(balance, 0)),
+      currentTokens,
+      soldTokens,
+      complete: loaded.every(h => h.complete),
+      wallets: loaded.map(h => ({ address: h.wallet, balance: h.balance, holdingPct: pctOf(h.balance) })),
+      timeline
+    };
+
+    console.log(`Dev holdings: ${holdings.devHoldingPct?.toFixed(2) ?? '?'}% held, ${holdings.devSoldPct?.toFixed(2) ?? '?'}% sold over ${timeline.length} moves`);
+    return holdings;
+  } catch (error) {
+    console.error('Error tracking dev holdings:', error);
+    return null;
+  }
+}
@@ -0,0 +1,105 @@
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { getFirstFunder } from './solscan.js';
+import { DEFAULT_EARLY_SLOTS } from './earlyTrades.js';
+
+// Buyers returned in the table, and how many of them get their funder looked up
+const MAX_BUYERS = 20;
+const MAX_FUNDER_LOOKUPS = 10;
+const CONCURRENCY = 3;
+
+// Funder lookups all together get this long; whatever hasn't answered by then stays unknown
+const FUNDER_LOOKUP_BUDGET_MS = 8000;
+
+// A buyer's first funder, or null once the budget's deadline passes
+async function lookUpFunder(address, deadline) {
+  const remainingMs = deadline - Date.now();
+  if (remainingMs <= 0) return null;
+
+  let timer;
+  try {
+    return await Promise.race([
+      getFirstFunder(address),
+      new Promise(resolve => { timer = setTimeout(resolve, remainingMs, null); })
+    ]);
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Who bought in the first slots after creation, how much supply they got, and whether
+ * they're tied to the deployer through funding.
+ * Wallets not already known from getFundingConnections() get their first funder checked
+ * (getFirstFunder, within FUNDER_LOOKUP_BUDGET_MS): funded by the deployer, or by a wallet
+ * tied to it, counts as connected.
+ * @param {Object} params
+ * @param {{creationSlot: number, trades: Array}|null} params.earlyTrades - getEarlyTrades() result
+ * @param {Map<string, string>} params.connections - getFundingConnections() result
+ * @param {number|null} params.supply - Token supply (whole tokens)
+ * @param {string} params.deployer - Deployer wallet
+ * @param {Object} [options]
+ * @param {number} [options.slots] - Slots after creation that count as early
+ * @returns {Promise<{slots: number, buyerCount: number, supplyPct: number|null, connectedCount: number, connectedSupplyPct: number|null, buyers: Array}|null>}
+ */
+export async function analyzeEarlyBuyers({ earlyTrades, connections = new Map(), supply, deployer }, { slots = DEFAULT_EARLY_SLOTS } = {}) {
+  if (!earlyTrades?.trades?.length) return null;
+
+  const { creationSlot, trades } = earlyTrades;
+  const byWallet = new Map();
+
+  for (const trade of trades) {
+    if (trade.slot > creationSlot + slots) continue;
+
+    for (const receiver of trade.receivers) {
+      const buyer = byWallet.get(receiver.address) || {
+        address: receiver.address,
+        tokenAmount: 0,
+        buys: 0,
+        slotOffset: trade.slot - creationSlot,
+        tipped: false,
+        connection: connections.get(receiver.address) || null,
+        funder: null
+      };
+      buyer.tokenAmount += receiver.amount;
+      buyer.buys++;
+      buyer.tipped = buyer.tipped || trade.tipLamports > 0;
+      byWallet.set(receiver.address, buyer);
+    }
+  }
+
+  const buyers = [...byWallet.values()].sort((a, b) => b.tokenAmount - a.tokenAmount);
+
+  // Biggest unexplained buyers: who funded them?
+  const unknown = buyers.filter(b => !b.connection).slice(0, MAX_FUNDER_LOOKUPS);
+  const deadline = Date.now() + FUNDER_LOOKUP_BUDGET_MS;
+  const funders = await mapWithConcurrency(unknown, CONCURRENCY, buyer => lookUpFunder(buyer.address, deadline));
+  unknown.forEach((buyer, i) => {
+    const funder = funders[i];
+    if (!funder?.address) return;
+    buyer.funder = funder;
+    if (funder.address === deployer) {
+      buyer.connection = 'funded by deployer';
+    } else if (connections.has(funder.address)) {
+      buyer.connection = 'funded by linked wallet';
+    }
+  });
+
+  const pctOf = (amount) => supply ? (amount / supply) * 100 : null;
+  const total = buyers.reduce((sum, b) => sum + b.tokenAmount, 0);
+  const connected = buyers.filter(b => b.connection);
+  const connectedTotal = connected.reduce((sum, b) => sum + b.tokenAmount, 0);
+
+  const result = {
+    slots,
+    buyerCount: buyers.length,
+    supplyPct: pctOf(total),
+    connectedCount: connected.length,
+    connectedSupplyPct: pctOf(connectedTotal),
+    buyers: buyers.slice(0, MAX_BUYERS).map(buyer => ({ ...buyer, supplyPct: pctOf(buyer.tokenAmount) }))
+  };
+
+  console.log(`Early buyers: ${result.buyerCount} in ${slots} slots, ${result.supplyPct?.toFixed(1) ?? '?'}% of supply, ${result.connectedCount} tied to deployer`);
+  return result;
+}
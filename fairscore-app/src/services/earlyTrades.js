@@ -0,0 +1,224 @@
+import { getEnv } from '../utils/env.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { rpcCall, fetchWithRetry } from './rpc.js';
+import { HELIUS_API_KEY, HELIUS_ENHANCED_API } from './serverConfig.js';
+import { iterateSignatures } from './signatures.js';
+import { getOutgoingTransfers } from './cluster.js';
+import { isKnownProgramOrAuthority } from './knownAddresses.js';
+
+// Jito tip accounts - a transfer to one of these means the tx landed as (part of) a bundle
+export const JITO_TIP_ACCOUNTS = new Set([
+  '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5',
+  'HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe',
+  'Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY',
+  'ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49',
+  'DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh',
+  'ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt',
+  'DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL',
+  '3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT'
+]);
+
+// Slots after creation to collect trades from (~0.4s each). Override with EARLY_SLOTS.
+export const DEFAULT_EARLY_SLOTS = Number(getEnv('EARLY_SLOTS')) || 10;
+
+// Without Helius every early trade is its own getTransaction call
+const MAX_RPC_TRANSACTIONS = 50;
+const RPC_PAGES = 5;
+const CONCURRENCY = 3;
+
+// How far before creation the deployer may have seeded its buy wallets
+const PRE_LAUNCH_FUNDING_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Net token change per owner for one mint; positive means the owner received tokens
+ */
+function addDelta(deltas, owner, amount) {
+  if (!owner || !amount) return;
+  deltas.set(owner, (deltas.get(owner) || 0) + amount);
+}
+
+function toTrade({ signature, slot, timestamp, signers, deltas, tipLamports }) {
+  return {
+    signature,
+    slot,
+    timestamp,
+    signers,
+    receivers: [...deltas.entries()]
+      .filter(([owner, amount]) => amount > 0 && !isKnownProgramOrAuthority(owner))
+      .map(([address, amount]) => ({ address, amount })),
+    tipLamports
+  };
+}
+
+// Helius Enhanced API transaction -> trade
+function fromEnhancedTx(tx, mint) {
+  const deltas = new Map();
+  for (const transfer of tx.tokenTransfers || []) {
+    if (transfer.mint !== mint) continue;
+    addDelta(deltas, transfer.toUserAccount, transfer.tokenAmount);
+    addDelta(deltas, transfer.fromUserAccount, -transfer.tokenAmount);
+  }
+
+  const tipLamports = (tx.nativeTransfers || [])
+    .filter(t => JITO_TIP_ACCOUNTS.has(t.toUserAccount))
+    .reduce((sum, t) => sum + t.amount, 0);
+
+  return toTrade({
+    signature: tx.signature,
+    slot: tx.slot,
+    timestamp: tx.timestamp ?? null,
+    signers: tx.feePayer ? [tx.feePayer] : [],
+    deltas,
+    tipLamports
+  });
+}
+
+// jsonParsed RPC transaction -> trade
+function fromParsedTx(tx, mint) {
+  const deltas = new Map();
+  for (const balance of tx.meta?.postTokenBalances || []) {
+    if (balance.mint === mint) addDelta(deltas, balance.owner, balance.uiTokenAmount?.uiAmount || 0);
+  }
+  for (const balance of tx.meta?.preTokenBalances || []) {
+    if (balance.mint === mint) addDelta(deltas, balance.owner, -(balance.uiTokenAmount?.uiAmount || 0));
+  }
+
+  const instructions = [
+    ...(tx.transaction?.message?.instructions || []),
+    ...(tx.meta?.innerInstructions || []).flatMap(group => group.instructions || [])
+  ];
+  const tipLamports = instructions
+    .filter(ix => ix.program === 'system' && ix.parsed?.type === 'transfer' && JITO_TIP_ACCOUNTS.has(ix.parsed.info?.destination))
+    .reduce((sum, ix) => sum + (ix.parsed.info.lamports || 0), 0);
+
+  return toTrade({
+    signature: tx.transaction?.signatures?.[0],
+    slot: tx.slot,
+    timestamp: tx.blockTime ?? null,
+    signers: (tx.transaction?.message?.accountKeys || [])
+      .filter(key => typeof key !== 'string' && key.signer)
+      .map(key => key.pubkey),
+    deltas,
+    tipLamports
+  });
+}
+
+async function getEarlyTransactionsViaHelius(mint) {
+  const url = `${HELIUS_ENHANCED_API}/addresses/${mint}/transactions?api-key=${HELIUS_API_KEY}&limit=100&sort-order=asc`;
+  const response = await fetchWithRetry(url);
+  if (!response.ok) {
+    throw new Error(`Helius API returned ${response.status}`);
+  }
+  const transactions = await response.json();
+  return transactions.map(tx => fromEnhancedTx(tx, mint));
+}
+
+async function getEarlyTransactionsViaRPC(mint, slots) {
+  // Signatures come newest first - keep the oldest ones seen until the start of history
+  let oldestPages = [];
+  let pages = 0;
+  let lastPageSize = 0;
+
+  for await (const page of iterateSignatures(mint, { maxPages: RPC_PAGES })) {
+    oldestPages = [...oldestPages, ...page].slice(-MAX_RPC_TRANSACTIONS * 4);
+    pages++;
+    lastPageSize = page.length;
+  }
+
+  // Same rule as findOldestSignature: stopping short of the page cap means we reached the first tx
+  const reachedStart = pages < RPC_PAGES || lastPageSize < 1000;
+  if (!reachedStart || oldestPages.length === 0) {
+    console.warn('Token history too long to find early trades via RPC:', mint);
+    return null;
+  }
+
+  const creationSlot = oldestPages[oldestPages.length - 1].slot;
+  const early = oldestPages
+    .filter(sig => !sig.err && sig.slot <= creationSlot + slots)
+    .reverse()
+    .slice(0, MAX_RPC_TRANSACTIONS);
+
+  const transactions = await mapWithConcurrency(early, CONCURRENCY, sig =>
+    rpcCall('getTransaction', [sig.signature, { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0 }])
+  );
+  return transactions.filter(Boolean).map(tx => fromParsedTx(tx, mint));
+}
+
+/**
+ * Trades in the first slots of a token's life, oldest first. The first trade is the creation tx.
+ * Each trade lists who received the token (net, per owner) and any Jito tip it paid.
+ * The pool / bonding curve that receives the initial supply is left out of receivers.
+ * @param {string} mint - Token mint
+ * @param {Object} [options]
+ * @param {number} [options.slots] - Slots after creation to include
+ * @returns {Promise<{creationSlot: number, creationTime: number|null, trades: Array<{signature: string, slot: number, timestamp: number|null, signers: string[], receivers: Array<{address: string, amount: number}>, tipLamports: number}>}|null>}
+ */
+export async function getEarlyTrades(mint, { slots = DEFAULT_EARLY_SLOTS } = {}) {
+  try {
+    let trades = null;
+
+    if (HELIUS_ENHANCED_API) {
+      try {
+        trades = await getEarlyTransactionsViaHelius(mint);
+      } catch (err) {
+        console.warn('Helius early trades failed, falling back to RPC:', err.message);
+      }
+    }
+
+    if (!trades) {
+      trades = await getEarlyTransactionsViaRPC(mint, slots);
+    }
+
+    if (!trades || trades.length === 0) return null;
+
+    const creation = trades[0];
+    // Whoever received supply in the create tx without signing it is the pool / curve, not a buyer
+    const poolAccounts = new Set(
+      creation.receivers.filter(r => !creation.signers.includes(r.address)).map(r => r.address)
+    );
+
+    const early = trades
+      .filter(trade => trade.slot <= creation.slot + slots)
+      .map(trade => ({ ...trade, receivers: trade.receivers.filter(r => !poolAccounts.has(r.address)) }));
+
+    console.log(`Found ${early.length} trades in the first ${slots} slots of ${mint}`);
+    return { creationSlot: creation.slot, creationTime: creation.timestamp, trades: early };
+  } catch (error) {
+    console.error('Error fetching early trades:', error);
+    return null;
+  }
+}
+
+/**
+ * Wallets tied to the deployer through funding, with how they're tied:
+ * the deployer itself, wallets it seeded before launch, its (unlabeled) funder and the funder's other seeds.
+ * @param {Object} params
+ * @param {string} params.deployer
+ * @param {{address: string, label: string|null}|null} params.fundedBy
+ * @param {{fundedWallets: string[]}|null} params.cluster - findDeployerCluster() result
+ * @param {number|null} params.creationTime - Token creation (unix seconds)
+ * @returns {Promise<Map<string, string>>} address -> relation
+ */
+export async function getFundingConnections({ deployer, fundedBy, cluster, creationTime }) {
+  const connections = new Map();
+
+  for (const address of cluster?.fundedWallets || []) {
+    connections.set(address, 'same funder');
+  }
+  if (fundedBy?.address && !fundedBy.label) {
+    connections.set(fundedBy.address, 'deployer funder');
+  }
+
+  const launchedAt = creationTime || Math.floor(Date.now() / 1000);
+  try {
+    const seeded = await getOutgoingTransfers(deployer, launchedAt - PRE_LAUNCH_FUNDING_SECONDS, launchedAt + 60 * 60);
+    for (const transfer of seeded) {
+      connections.set(transfer.address, 'funded by deployer');
+    }
+  } catch (error) {
+    console.warn('Could not list wallets funded by deployer:', error.message);
+  }
+
+  connections.set(deployer, 'deployer');
+  return connections;
+}
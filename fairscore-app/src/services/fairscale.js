@@ -1,5 +1,11 @@
-// Always use our serverless proxy - API key stays server-side
+import { getEnv, isServer } from '../utils/env.js';
+import { getTierFromScore } from './tierPolicy.js';
+import { mocksEnabled } from './provenance.js';
+
+// Browser goes through our serverless proxy - API key stays server-side
 const FAIRSCALE_PROXY_URL = '/api/fairscale';
+// Server-side checks call FairScale directly with the key from the environment
+const FAIRSCALE_API_URL = 'https://api.fairscale.xyz/score';
 
 export async function getFairScore(walletAddress, twitterHandle = null) {
   try {
@@ -10,9 +16,11 @@ export async function getFairScore(walletAddress, twitterHandle = null) {
       params.append('twitter', twitterHandle);
     }
 
-    const url = `${FAIRSCALE_PROXY_URL}?${params.toString()}`;
-
-    const response = await fetch(url);
+    const response = isServer
+      ? await fetch(`${FAIRSCALE_API_URL}?${params.toString()}`, {
+        headers: { 'fairkey': getEnv('FAIRSCALE_API_KEY') || '' }
+      })
+      : await fetch(`${FAIRSCALE_PROXY_URL}?${params.toString()}`);
 
     if (!response.ok) {
       console.error('FairScale proxy error:', response.status);
@@ -34,16 +42,18 @@ export async function getFairScore(walletAddress, twitterHandle = null) {
       badges: data.badges || [],
       actions: data.actions || [],
       features: data.features || {},
-      timestamp: data.timestamp
+      timestamp: data.timestamp,
+      // A response without a score gets the neutral 500 - not a real score
+      source: data.fairscore != null ? 'live' : 'fallback'
     };
   } catch (error) {
     console.error('FairScale API error:', error);
-    // Fall back to mock data on error
-    return getMockFairScore(walletAddress);
+    // No score rather than a made-up one, unless mocks are explicitly on
+    return mocksEnabled() ? getMockFairScore(walletAddress) : null;
   }
 }
 
-// Mock data generator for development when API key is not available
+// Mock data generator for development (ENABLE_MOCKS=true only)
 function getMockFairScore(walletAddress) {
   // Generate a deterministic score based on wallet address
   const hash = walletAddress.split('').reduce((acc, char) => {
@@ -58,42 +68,7 @@ function getMockFairScore(walletAddress) {
     tier,
     badges: [],
     actions: [],
-    features: {}
-  };
-}
-
-export function getTierFromScore(score) {
-  if (score >= 700) return 'UNICORN';
-  if (score >= 600) return 'KEEP AN EYE';
-  if (score >= 500) return 'POTENTIAL';
-  if (score >= 400) return 'MEH+';
-  if (score >= 300) return 'MEH';
-  if (score >= 200) return 'RISKY';
-  return 'DANGER';
-}
-
-export function getTierColor(tier) {
-  const colors = {
-    'UNICORN': '#00ff88',
-    'KEEP AN EYE': '#4dabf7',
-    'POTENTIAL': '#a855f7',
-    'MEH+': '#ffd93d',
-    'MEH': '#fbbf24',
-    'RISKY': '#ff8c42',
-    'DANGER': '#ff4757'
-  };
-  return colors[tier] || colors.MEH;
-}
-
-export function getTierGlowClass(tier) {
-  const glowClasses = {
-    'UNICORN': 'glow-green',
-    'KEEP AN EYE': 'glow-blue',
-    'POTENTIAL': 'glow-purple',
-    'MEH+': 'glow-yellow',
-    'MEH': 'glow-yellow',
-    'RISKY': 'glow-orange',
-    'DANGER': 'glow-red'
+    features: {},
+    source: 'mock'
   };
-  return glowClasses[tier] || glowClasses.MEH;
 }
@@ -0,0 +1,101 @@
+import { getEnv } from '../utils/env.js';
+import { getDeployerInfo } from './solscan.js';
+
+// How many funder hops to follow back from the deployer. Override with FUNDING_TRACE_DEPTH.
+const DEFAULT_MAX_DEPTH = Number(getEnv('FUNDING_TRACE_DEPTH')) || 5;
+
+// A funder at least this old is treated as a real wallet, not a throwaway hop
+const DEFAULT_OLD_WALLET_DAYS = Number(getEnv('FUNDING_TRACE_OLD_WALLET_DAYS')) || 180;
+
+/**
+ * Why the trace stopped:
+ * - labeled: reached a known exchange, bridge, mixer or bot
+ * - old-wallet: reached a wallet older than oldWalletDays
+ * - depth-limit: followed maxDepth hops
+ * - no-funder: couldn't find who funded the last wallet
+ * - cycle: the chain loops back to a wallet already in the trace
+ */
+export const TRACE_STOP_REASONS = ['labeled', 'old-wallet', 'depth-limit', 'no-funder', 'cycle'];
+
+function toNode(address, depth, info, label = null) {
+  return {
+    address,
+    depth,
+    ageDays: info?.deployerAge ?? null,
+    label: label?.label ?? null,
+    category: label?.category ?? null
+  };
+}
+
+/**
+ * Walk backwards from a wallet through its first funders.
+ * Serial ruggers chain several fresh wallets between an exchange and the deployer,
+ * so one hop of fundedBy usually lands on another throwaway.
+ * @param {string} wallet - Deployer wallet to start from
+ * @param {Object} [options]
+ * @param {number} [options.maxDepth] - Max funder hops to follow
+ * @param {number} [options.oldWalletDays] - Stop at funders at least this many days old
+ * @param {Object} [options.startInfo] - getDeployerInfo() result for `wallet`, if already fetched
+ * @returns {Promise<{root: string, nodes: Array<{address: string, depth: number, ageDays: number|null, label: string|null, category: string|null}>, edges: Array<{from: string, to: string, amount: number|null, timestamp: number|null, signature: string|null}>, stopReason: string, depth: number}>}
+ */
+export async function traceFunding(wallet, {
+  maxDepth = DEFAULT_MAX_DEPTH,
+  oldWalletDays = DEFAULT_OLD_WALLET_DAYS,
+  startInfo = null
+} = {}) {
+  let info = startInfo || await getDeployerInfo(wallet);
+
+  const nodes = new Map([[wallet, toNode(wallet, 0, info)]]);
+  const edges = [];
+  let current = wallet;
+  let stopReason = 'depth-limit';
+
+  for (let depth = 1; depth <= maxDepth; depth++) {
+    const funder = info.fundedBy;
+    if (!funder?.address) {
+      stopReason = 'no-funder';
+      break;
+    }
+
+    edges.push({
+      from: funder.address,
+      to: current,
+      amount: info.fundingAmount ?? null,
+      timestamp: info.fundingTime ?? null,
+      signature: info.fundingTx ?? null
+    });
+
+    if (nodes.has(funder.address)) {
+      stopReason = 'cycle';
+      break;
+    }
+
+    // Exchanges and bridges fund thousands of wallets - nothing useful past them
+    if (funder.label) {
+      nodes.set(funder.address, toNode(funder.address, depth, null, funder));
+      stopReason = 'labeled';
+      break;
+    }
+
+    info = await getDeployerInfo(funder.address);
+    nodes.set(funder.address, toNode(funder.address, depth, info));
+
+    if (info.deployerAge != null && info.deployerAge >= oldWalletDays) {
+      stopReason = 'old-wallet';
+      break;
+    }
+
+    current = funder.address;
+  }
+
+  const trace = {
+    root: wallet,
+    nodes: [...nodes.values()],
+    edges,
+    stopReason,
+    depth: edges.length
+  };
+
+  console.log(`Funding trace for ${wallet}: ${trace.depth} hops, stopped (${stopReason})`);
+  return trace;
+}
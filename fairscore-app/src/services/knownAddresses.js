@@ -0,0 +1,32 @@
+import { LAUNCHPAD_ACCOUNTS } from './launchpads.js';
+
+// Known pump.fun / platform mint authorities (not real deployers)
+export const KNOWN_MINT_AUTHORITIES = [
+  'TSLvdd1pWpHVjahSpsvCXUbgwsL3JAcvokwaKt1eokM', // pump.fun mint authority
+  '39azUYFWPz3VHgKCf3VChUwbpURdCHRxjWVowf5jUJjg', // Another pump.fun authority
+  'Ce6TQqeHC9p8KetsN6JsjHK7UTZk7nasjjnr7XxXp9F1', // pump.fun bundled authority
+];
+
+// Known program IDs to skip when looking for deployer
+export const KNOWN_PROGRAMS = [
+  '11111111111111111111111111111111', // System Program
+  'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA', // Token Program
+  'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL', // Associated Token Program
+  '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P', // Pump.fun program
+  'ComputeBudget111111111111111111111111111111', // Compute Budget
+  'Sysvar1111111111111111111111111111111111111', // Sysvar
+  'SysvarRent111111111111111111111111111111111', // Rent Sysvar
+];
+
+/**
+ * Check if an address is a known program or authority (not a real user wallet)
+ */
+export function isKnownProgramOrAuthority(pubkey) {
+  if (!pubkey) return true;
+  if (KNOWN_MINT_AUTHORITIES.includes(pubkey)) return true;
+  if (KNOWN_PROGRAMS.includes(pubkey)) return true;
+  if (LAUNCHPAD_ACCOUNTS.has(pubkey)) return true;
+  // Check for system program pattern (ends with many 1s)
+  if (pubkey.endsWith('1111111111111111111111')) return true;
+  return false;
+}
@@ -0,0 +1,43 @@
+import { ADDRESS_LABELS } from '../data/addressLabels.js';
+import { LAUNCHPADS } from './launchpads.js';
+
+// What each category means for a funding source
+export const LABEL_CATEGORIES = {
+  cex: 'exchange hot wallet',
+  bridge: 'cross-chain bridge',
+  mixer: 'mixer / privacy pool',
+  bot: 'trading bot',
+  launchpad: 'launchpad platform'
+};
+
+const labels = new Map();
+
+/**
+ * Add or replace address labels (e.g. from a newer dataset)
+ * @param {Array<{address: string, label: string, category: string}>} entries
+ */
+export function registerAddressLabels(entries) {
+  for (const { address, label, category } of entries) {
+    labels.set(address, { label, category });
+  }
+}
+
+registerAddressLabels(ADDRESS_LABELS);
+registerAddressLabels(LAUNCHPADS.flatMap(launchpad =>
+  launchpad.authorities.map(address => ({ address, label: `${launchpad.name} Authority`, category: 'launchpad' }))
+));
+
+/**
+ * Label an address from the dataset
+ * @param {string|null} address
+ * @returns {{address: string, label: string|null, category: string|null}|null} null when no address
+ */
+export function labelAddress(address) {
+  if (!address) return null;
+  const known = labels.get(address);
+  return {
+    address,
+    label: known?.label ?? null,
+    category: known?.category ?? null
+  };
+}
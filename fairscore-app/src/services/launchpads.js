@@ -0,0 +1,205 @@
+import { PUMP_FUN_PROGRAM_ID, decodePumpCreation } from './pumpfun.js';
+import { base58Decode } from '../utils/base58.js';
+
+// LaunchLab initialize, initialize_v2, initialize_with_token_2022 (same leading accounts)
+const LAUNCHLAB_INITIALIZE = [
+  [175, 175, 109, 31, 13, 152, 155, 237],
+  [67, 153, 175, 39, 218, 16, 38, 32],
+  [37, 190, 126, 222, 44, 154, 171, 17]
+];
+
+/**
+ * Solana launchpads we can read the creator from.
+ * - programIds: programs whose create instruction makes the mint
+ * - authorities: platform-owned mint/pool authorities (never the real deployer)
+ * - mintSuffix: vanity suffix the launchpad grinds mints with, if any
+ * - createInstruction: account indexes of the mint and creator in the create instruction, and the
+ *   Anchor discriminators (first 8 bytes of sha256("global:<name>")) of the instructions that create a token
+ * - decodeCreator: exact decoder, used instead of createInstruction when present
+ * - custodial: the on-chain creator is the platform, not the person behind the token
+ */
+export const LAUNCHPADS = [
+  {
+    id: 'pump-fun',
+    name: 'pump.fun',
+    programIds: [PUMP_FUN_PROGRAM_ID],
+    authorities: [
+      'TSLvdd1pWpHVjahSpsvCXUbgwsL3JAcvokwaKt1eokM', // mint authority
+      '39azUYFWPz3VHgKCf3VChUwbpURdCHRxjWVowf5jUJjg',
+      'Ce6TQqeHC9p8KetsN6JsjHK7UTZk7nasjjnr7XxXp9F1', // bundled authority
+    ],
+    mintSuffix: 'pump',
+    createInstruction: {
+      mintIndex: 0,
+      creatorIndex: 7,
+      // create, create_v2 (Token-2022)
+      discriminators: [[24, 30, 200, 40, 5, 28, 7, 119], [214, 144, 76, 236, 95, 139, 49, 180]]
+    },
+    decodeCreator: (tx, mint) => decodePumpCreation(tx, mint)?.creator ?? null
+  },
+  {
+    // LaunchLab `initialize`: payer, creator, global_config, platform_config, authority, pool_state, base_mint
+    id: 'raydium-launchlab',
+    name: 'Raydium LaunchLab',
+    programIds: ['LanMV9sAd7wArD4vJFi2qDdfnVhFxYSUg6eADduJ3uj'],
+    authorities: [],
+    mintSuffix: null,
+    createInstruction: { mintIndex: 6, creatorIndex: 1, discriminators: LAUNCHLAB_INITIALIZE }
+  },
+  {
+    // letsbonk.fun runs on LaunchLab with its own platform config; mints end in "bonk"
+    id: 'bonk-fun',
+    name: 'letsbonk.fun',
+    programIds: ['LanMV9sAd7wArD4vJFi2qDdfnVhFxYSUg6eADduJ3uj'],
+    authorities: [],
+    mintSuffix: 'bonk',
+    createInstruction: { mintIndex: 6, creatorIndex: 1, discriminators: LAUNCHLAB_INITIALIZE }
+  },
+  {
+    // Moonshot `token_mint`: sender, backend_authority, curve_account, mint
+    id: 'moonshot',
+    name: 'Moonshot',
+    programIds: ['MoonCVVNZFSYkqNXP6bxHLPL6QQJiMagDL3qcqUQTrG'],
+    authorities: [],
+    mintSuffix: null,
+    // token_mint
+    createInstruction: { mintIndex: 3, creatorIndex: 0, discriminators: [[3, 44, 164, 184, 123, 13, 245, 179]] }
+  },
+  {
+    // Meteora Dynamic Bonding Curve `initialize_virtual_pool_*`: config, pool_authority, creator, base_mint
+    // Frontends built on DBC aren't told apart - their launches all show as Meteora DBC
+    id: 'meteora-dbc',
+    name: 'Meteora DBC',
+    programIds: ['dbcij3LWUppWqq96dh6gJWwBifmcGfLSB5D4DuSMaqN'],
+    authorities: [],
+    mintSuffix: null,
+    createInstruction: {
+      mintIndex: 3,
+      creatorIndex: 2,
+      // initialize_virtual_pool_with_spl_token, initialize_virtual_pool_with_token2022
+      discriminators: [[140, 85, 215, 176, 102, 54, 104, 79], [169, 118, 51, 78, 145, 110, 220, 155]]
+    }
+  }
+];
+
+// Every launchpad program and authority - none of these are ever a real deployer
+export const LAUNCHPAD_ACCOUNTS = new Set(
+  LAUNCHPADS.flatMap(launchpad => [...launchpad.programIds, ...launchpad.authorities])
+);
+
+function toSummary(launchpad) {
+  return { id: launchpad.id, name: launchpad.name, custodial: Boolean(launchpad.custodial) };
+}
+
+// Prefer the launchpad whose vanity suffix matches (bonk.fun over plain LaunchLab)
+function pickBySuffix(candidates, mint) {
+  const lowerMint = mint?.toLowerCase() || '';
+  return candidates.find(l => l.mintSuffix && lowerMint.endsWith(l.mintSuffix))
+    || candidates.find(l => !l.mintSuffix)
+    || candidates[0]
+    || null;
+}
+
+/**
+ * Guess the launchpad from the mint address alone (vanity suffix)
+ * @param {string} mint
+ * @returns {{id: string, name: string, custodial: boolean}|null}
+ */
+export function identifyLaunchpadByMint(mint) {
+  const lowerMint = mint?.toLowerCase() || '';
+  const launchpad = LAUNCHPADS.find(l => l.mintSuffix && lowerMint.endsWith(l.mintSuffix));
+  return launchpad ? toSummary(launchpad) : null;
+}
+
+// Does base58 instruction data start with one of the discriminators?
+function startsWithDiscriminator(data, discriminators) {
+  let bytes;
+  try {
+    bytes = base58Decode(data || '');
+  } catch {
+    return false;
+  }
+  return bytes.length >= 8 && discriminators.some(d => d.every((byte, i) => bytes[i] === byte));
+}
+
+/**
+ * Tokens a Helius Enhanced API transaction created on a launchpad, found by the launchpad's create
+ * instruction (top-level or inner) - pool creations, swaps and LP mints on the same programs don't match
+ * @param {{instructions: Array<{programId: string, accounts: string[], data: string, innerInstructions?: Array}>}} tx
+ * @returns {Array<{mint: string, launchpad: {id: string, name: string, custodial: boolean}}>}
+ */
+export function findLaunchpadCreations(tx) {
+  const instructions = (tx?.instructions || []).flatMap(ix => [ix, ...(ix.innerInstructions || [])]);
+  const created = [];
+
+  for (const ix of instructions) {
+    const candidates = LAUNCHPADS.filter(l =>
+      l.programIds.includes(ix.programId) && startsWithDiscriminator(ix.data, l.createInstruction.discriminators)
+    );
+    if (candidates.length === 0) continue;
+
+    const mint = ix.accounts?.[candidates[0].createInstruction.mintIndex];
+    const launchpad = pickBySuffix(candidates, mint);
+    if (mint && launchpad) {
+      created.push({ mint, launchpad: toSummary(launchpad) });
+    }
+  }
+  return created;
+}
+
+/**
+ * Find which launchpad created the mint and who the creator was, from the creation tx
+ * @param {Object} tx - jsonParsed creation transaction
+ * @param {string} mint - Token mint
+ * @returns {{launchpad: {id: string, name: string, custodial: boolean}, creator: string|null}|null}
+ */
+export function detectLaunchpad(tx, mint) {
+  const instructions = [
+    ...(tx?.transaction?.message?.instructions || []),
+    ...(tx?.meta?.innerInstructions || []).flatMap(group => group.instructions || [])
+  ];
+
+  for (const ix of instructions) {
+    const candidates = LAUNCHPADS.filter(l => l.programIds.includes(ix.programId));
+    if (candidates.length === 0) continue;
+
+    const launchpad = pickBySuffix(candidates, mint);
+    if (!launchpad) continue;
+
+    const { mintIndex, creatorIndex } = launchpad.createInstruction;
+    const accounts = ix.accounts || [];
+
+    if (launchpad.decodeCreator) {
+      const creator = launchpad.decodeCreator(tx, mint);
+      if (creator) return { launchpad: toSummary(launchpad), creator };
+      continue;
+    }
+
+    // Not the create instruction (or a different mint) - keep looking
+    if (accounts[mintIndex] !== mint) continue;
+
+    return { launchpad: toSummary(launchpad), creator: accounts[creatorIndex] ?? null };
+  }
+
+  return null;
+}
+
+/**
+ * Token program a plain (non-launchpad) mint was initialized with
+ * @returns {{id: string, name: string, custodial: boolean}|null}
+ */
+export function detectTokenProgram(tx, mint) {
+  const instructions = [
+    ...(tx?.transaction?.message?.instructions || []),
+    ...(tx?.meta?.innerInstructions || []).flatMap(group => group.instructions || [])
+  ];
+
+  const init = instructions.find(ix =>
+    ix.parsed?.type?.startsWith('initializeMint') && ix.parsed.info?.mint === mint
+  );
+  if (!init) return null;
+
+  return init.program === 'spl-token-2022'
+    ? { id: 'token-2022', name: 'Token-2022', custodial: false }
+    : { id: 'spl-token', name: 'SPL Token', custodial: false };
+}
@@ -0,0 +1,51 @@
+import { getEnv } from '../utils/env.js';
+
+/**
+ * Where a value came from, most trustworthy first
+ * - live: fetched from its source during this check
+ * - cached: from an earlier lookup in this process
+ * - fallback: a stand-in used because the source failed or isn't configured (e.g. a fixed SOL price)
+ * - mock: made up - only ever returned when ENABLE_MOCKS=true
+ */
+export const PROVENANCE = ['live', 'cached', 'fallback', 'mock'];
+
+// Mock data is for local development only
+export function mocksEnabled() {
+  return getEnv('ENABLE_MOCKS') === 'true';
+}
+
+// Least trustworthy of the given sources (missing ones are skipped)
+export function worstSource(...sources) {
+  return sources
+    .filter(Boolean)
+    .reduce((worst, source) => PROVENANCE.indexOf(source) > PROVENANCE.indexOf(worst) ? source : worst, 'live');
+}
+
+/**
+ * Data-quality report for a check result
+ * @param {Object<string, {source: string|null, note?: string}>} metrics - Keyed by result field; a null source means unavailable (its note is skipped)
+ * @returns {{degraded: boolean, sources: Object<string, string>, missing: string[], notes: string[]}}
+ */
+export function buildDataQuality(metrics) {
+  const sources = {};
+  const missing = [];
+  const notes = [];
+
+  for (const [field, { source, note }] of Object.entries(metrics)) {
+    if (source) {
+      sources[field] = source;
+    } else {
+      missing.push(field);
+    }
+    if (note && source && source !== 'live') {
+      notes.push(note);
+    }
+  }
+
+  return {
+    degraded: missing.length > 0 || Object.values(sources).some(source => source !== 'live'),
+    sources,
+    missing,
+    notes
+  };
+}
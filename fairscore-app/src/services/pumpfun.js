@@ -0,0 +1,265 @@
+import { base58Decode, base58Encode, base64Decode } from '../utils/base58.js';
+import { LAMPORTS_PER_SOL } from './constants.js';
+
+export const PUMP_FUN_PROGRAM_ID = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+
+// pump.fun tokens have 6 decimals, SOL amounts are in lamports
+const TOKEN_DECIMALS = 6;
+
+// Anchor instruction discriminators (first 8 bytes of sha256("global:<name>"))
+const INSTRUCTIONS = {
+  create: [24, 30, 200, 40, 5, 28, 7, 119],
+  buy: [102, 6, 61, 18, 1, 218, 235, 234],
+  sell: [51, 230, 133, 164, 1, 127, 131, 173]
+};
+
+// Anchor event discriminators (first 8 bytes of sha256("event:<Name>"))
+const EVENTS = {
+  create: [27, 114, 169, 77, 222, 235, 99, 118],
+  trade: [189, 219, 127, 211, 78, 230, 97, 238]
+};
+
+// Prefix of events emitted through emit_cpi! (self-invoked inner instruction)
+const EVENT_IX_TAG = [228, 69, 165, 46, 81, 203, 154, 29];
+
+// Account order of each instruction (IDL order)
+const ACCOUNTS = {
+  create: ['mint', 'mintAuthority', 'bondingCurve', 'associatedBondingCurve', 'global', 'mplTokenMetadata', 'metadata', 'user'],
+  buy: ['global', 'feeRecipient', 'mint', 'bondingCurve', 'associatedBondingCurve', 'associatedUser', 'user'],
+  sell: ['global', 'feeRecipient', 'mint', 'bondingCurve', 'associatedBondingCurve', 'associatedUser', 'user']
+};
+
+/**
+ * Sequential reader over Borsh-encoded bytes
+ */
+class BorshReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  get remaining() {
+    return this.bytes.length - this.offset;
+  }
+
+  u8() {
+    return this.view.getUint8(this.offset++);
+  }
+
+  bool() {
+    return this.u8() !== 0;
+  }
+
+  u64() {
+    const value = this.view.getBigUint64(this.offset, true);
+    this.offset += 8;
+    return value;
+  }
+
+  i64() {
+    const value = this.view.getBigInt64(this.offset, true);
+    this.offset += 8;
+    return value;
+  }
+
+  string() {
+    const length = this.view.getUint32(this.offset, true);
+    this.offset += 4;
+    const value = new TextDecoder().decode(this.bytes.subarray(this.offset, this.offset + length));
+    this.offset += length;
+    return value;
+  }
+
+  pubkey() {
+    const value = base58Encode(this.bytes.subarray(this.offset, this.offset + 32));
+    this.offset += 32;
+    return value;
+  }
+}
+
+function startsWith(bytes, prefix) {
+  return prefix.every((byte, i) => bytes[i] === byte);
+}
+
+function nameAccounts(type, accounts) {
+  const named = {};
+  ACCOUNTS[type].forEach((name, i) => {
+    named[name] = accounts[i] ?? null;
+  });
+  return named;
+}
+
+/**
+ * Decode a pump.fun create / buy / sell instruction
+ * @param {{programId: string, accounts: string[], data: string}} ix - Unparsed instruction from a jsonParsed tx
+ * @returns {{type: string, accounts: Object, args: Object}|null}
+ */
+export function decodePumpInstruction(ix) {
+  if (ix?.programId !== PUMP_FUN_PROGRAM_ID || !ix.data) return null;
+
+  let bytes;
+  try {
+    bytes = base58Decode(ix.data);
+  } catch {
+    return null;
+  }
+
+  const type = Object.keys(INSTRUCTIONS).find(name => startsWith(bytes, INSTRUCTIONS[name]));
+  if (!type) return null;
+
+  const reader = new BorshReader(bytes.subarray(8));
+  const accounts = nameAccounts(type, ix.accounts || []);
+
+  try {
+    if (type === 'create') {
+      const args = { name: reader.string(), symbol: reader.string(), uri: reader.string(), creator: null };
+      // Newer program versions pass the creator explicitly
+      if (reader.remaining >= 32) args.creator = reader.pubkey();
+      return { type, accounts, args };
+    }
+
+    if (type === 'buy') {
+      return { type, accounts, args: { amount: reader.u64(), maxSolCost: reader.u64() } };
+    }
+
+    return { type, accounts, args: { amount: reader.u64(), minSolOutput: reader.u64() } };
+  } catch {
+    return { type, accounts, args: {} };
+  }
+}
+
+/**
+ * Decode a pump.fun Anchor event (CreateEvent / TradeEvent)
+ * @param {Uint8Array} bytes - Event bytes starting with the event discriminator
+ * @returns {Object|null}
+ */
+export function decodePumpEvent(bytes) {
+  const type = Object.keys(EVENTS).find(name => startsWith(bytes, EVENTS[name]));
+  if (!type) return null;
+
+  const reader = new BorshReader(bytes.subarray(8));
+
+  try {
+    if (type === 'create') {
+      const event = {
+        type,
+        name: reader.string(),
+        symbol: reader.string(),
+        uri: reader.string(),
+        mint: reader.pubkey(),
+        bondingCurve: reader.pubkey(),
+        user: reader.pubkey(),
+        creator: null
+      };
+      if (reader.remaining >= 32) event.creator = reader.pubkey();
+      return event;
+    }
+
+    return {
+      type,
+      mint: reader.pubkey(),
+      solAmount: reader.u64(),
+      tokenAmount: reader.u64(),
+      isBuy: reader.bool(),
+      user: reader.pubkey(),
+      timestamp: Number(reader.i64())
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * All pump.fun events in a tx, from "Program data:" logs and emit_cpi! inner instructions
+ * @param {Object} tx - jsonParsed transaction
+ * @returns {Array<Object>}
+ */
+export function getPumpEvents(tx) {
+  const events = [];
+
+  for (const line of tx?.meta?.logMessages || []) {
+    if (!line.startsWith('Program data: ')) continue;
+    try {
+      const event = decodePumpEvent(base64Decode(line.slice('Program data: '.length)));
+      if (event) events.push(event);
+    } catch {
+      // Not base64 / not ours
+    }
+  }
+
+  for (const group of tx?.meta?.innerInstructions || []) {
+    for (const ix of group.instructions || []) {
+      if (ix.programId !== PUMP_FUN_PROGRAM_ID || !ix.data) continue;
+      try {
+        const bytes = base58Decode(ix.data);
+        if (!startsWith(bytes, EVENT_IX_TAG)) continue;
+        const event = decodePumpEvent(bytes.subarray(8));
+        if (event) events.push(event);
+      } catch {
+        // Not an event
+      }
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Every pump.fun instruction in a tx (top-level and inner, e.g. when called through a bot)
+ */
+export function getPumpInstructions(tx) {
+  const instructions = [
+    ...(tx?.transaction?.message?.instructions || []),
+    ...(tx?.meta?.innerInstructions || []).flatMap(group => group.instructions || [])
+  ];
+  return instructions.map(decodePumpInstruction).filter(Boolean);
+}
+
+/**
+ * Read creator, bonding curve and dev buy from a pump.fun creation tx
+ * @param {Object} tx - jsonParsed creation transaction
+ * @param {string} mint - Token mint
+ * @returns {{creator: string, user: string, bondingCurve: string|null, associatedBondingCurve: string|null, name: string|null, symbol: string|null, devInitialBuy: {tokenAmount: number, solAmount: number|null}|null}|null}
+ */
+export function decodePumpCreation(tx, mint) {
+  const instructions = getPumpInstructions(tx);
+  const events = getPumpEvents(tx);
+
+  const createIx = instructions.find(ix => ix.type === 'create' && (!mint || ix.accounts.mint === mint));
+  const createEvent = events.find(e => e.type === 'create' && (!mint || e.mint === mint));
+  if (!createIx && !createEvent) return null;
+
+  const user = createEvent?.user || createIx?.accounts.user || null;
+  const creator = createEvent?.creator || createIx?.args.creator || user;
+  if (!creator) return null;
+
+  // Dev buy bundled into the create tx: prefer the exact TradeEvent amounts, fall back to the buy ix args
+  let devInitialBuy = null;
+  const devTrade = events.find(e => e.type === 'trade' && e.isBuy && e.mint === mint && (e.user === user || e.user === creator));
+  if (devTrade) {
+    devInitialBuy = {
+      tokenAmount: Number(devTrade.tokenAmount) / 10 ** TOKEN_DECIMALS,
+      solAmount: Number(devTrade.solAmount) / LAMPORTS_PER_SOL
+    };
+  } else {
+    const buyIx = instructions.find(ix => ix.type === 'buy' && ix.accounts.mint === mint && (ix.accounts.user === user || ix.accounts.user === creator));
+    if (buyIx?.args.amount != null) {
+      devInitialBuy = {
+        tokenAmount: Number(buyIx.args.amount) / 10 ** TOKEN_DECIMALS,
+        // Only the slippage cap is known without the event
+        solAmount: null
+      };
+    }
+  }
+
+  return {
+    creator,
+    user,
+    bondingCurve: createEvent?.bondingCurve || createIx?.accounts.bondingCurve || null,
+    associatedBondingCurve: createIx?.accounts.associatedBondingCurve || null,
+    name: createEvent?.name || createIx?.args.name || null,
+    symbol: createEvent?.symbol || createIx?.args.symbol || null,
+    devInitialBuy
+  };
+}
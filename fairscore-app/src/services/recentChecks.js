@@ -1,17 +1,20 @@
 // API URL - use proxy in dev, configure VITE_API_URL for production
-const API_URL = import.meta.env.DEV ? '' : (import.meta.env.VITE_API_URL || '');
+const API_URL = import.meta.env?.DEV ? '' : (import.meta.env?.VITE_API_URL || '');
 
 /**
- * Fetch all recent checks from the server
+ * Fetch recent checks (latest check of each token, newest first) from the server
+ * @param {Object} [query] - Optional filters: tier, deployer, since, until, limit, cursor
  * @returns {Promise<Array>} Array of recent check entries
  */
-export async function fetchRecentChecks() {
+export async function fetchRecentChecks(query = {}) {
   try {
-    const response = await fetch(`${API_URL}/api/recent-checks`);
+    const params = new URLSearchParams(Object.entries(query).filter(([, value]) => value != null));
+    const response = await fetch(`${API_URL}/api/recent-checks${params.size > 0 ? `?${params}` : ''}`);
     if (!response.ok) {
       throw new Error('Failed to fetch recent checks');
     }
-    return await response.json();
+    const data = await response.json();
+    return data.items || [];
   } catch (error) {
     console.error('Error fetching recent checks:', error);
     return [];
@@ -19,27 +22,61 @@ export async function fetchRecentChecks() {
 }
 
 /**
- * Save a check to the server
- * @param {Object} entry - The check entry to save
- * @returns {Promise<Object|null>} The saved entry or null on error
+ * Fetch every saved check of a token from the server
+ * @param {string} tokenAddress - Token mint
+ * @returns {Promise<Array>} Snapshots, oldest first (see toHistorySnapshot)
  */
-export async function saveRecentCheck(entry) {
+export async function fetchTokenHistory(tokenAddress) {
   try {
-    const response = await fetch(`${API_URL}/api/recent-checks`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(entry)
-    });
-
+    const response = await fetch(`${API_URL}/api/tokens/${tokenAddress}/history`);
     if (!response.ok) {
-      throw new Error('Failed to save check');
+      throw new Error('Failed to fetch token history');
     }
-
-    return await response.json();
+    const data = await response.json();
+    return data.snapshots || [];
   } catch (error) {
-    console.error('Error saving recent check:', error);
-    return null;
+    console.error('Error fetching token history:', error);
+    return [];
   }
 }
+
+/**
+ * Point-in-time snapshot kept in a token's check history (one per check, never overwritten)
+ * @param {Object} entry - Recent check entry (see toRecentCheckEntry)
+ * @returns {{score: number|null, tier: string|null, fairScore: number|null, marketCap: number|null, totalHolders: number|null, top10HeldPct: number|null, checkedAt: number}}
+ */
+export function toHistorySnapshot(entry) {
+  return {
+    score: entry.score ?? entry.fairScore ?? null,
+    tier: entry.tier ?? null,
+    fairScore: entry.fairScore ?? null,
+    marketCap: entry.currentMarketCap ?? null,
+    totalHolders: entry.totalHolders ?? null,
+    top10HeldPct: entry.top10HeldPct ?? null,
+    checkedAt: entry.checkedAt ?? Date.now()
+  };
+}
+
+/**
+ * Build the compact entry stored in recent checks (local storage and server)
+ * @param {Object} result - Result returned by analyzeToken / the check endpoint
+ * @returns {Object}
+ */
+export function toRecentCheckEntry(result) {
+  return {
+    id: result.tokenAddress,
+    tokenAddress: result.tokenAddress,
+    deployerWallet: result.deployerWallet,
+    tokenName: result.tokenName,
+    score: result.score,
+    fairScore: result.fairScore,
+    tier: result.tier,
+    twitterHandle: result.twitterHandle,
+    topMarketCap: result.topMarketCap,
+    currentMarketCap: result.currentMarketCap,
+    top10HeldPct: result.top10HeldPct,
+    totalHolders: result.totalHolders,
+    tokensLaunched: result.tokensLaunched,
+    checkedAt: result.checkedAt
+  };
+}
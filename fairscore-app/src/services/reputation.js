@@ -0,0 +1,181 @@
+import { getTierFromScore } from './tierPolicy.js';
+
+/**
+ * How much each factor counts toward the deployer score (they sum to 1).
+ * Factors we have no data for drop out and the rest are scaled up to fill their share.
+ * - fairScore: FairScale's wallet score (on-chain activity and socials)
+ * - trackRecord: how the deployer's past launches ended - rugs and dead tokens cost, migrations earn
+ * - deployerAge: fresh wallets are cheap to burn, old ones aren't
+ * - fundingOrigin: where the trail of money ends - old wallets and exchanges are fine, mixers are not
+ * - cluster: other deployer wallets seeded by the same funder, and how many of their tokens rugged
+ * - launchBehavior: bundled buys at launch and dev selling in this token
+ */
+export const WEIGHTS = {
+  fairScore: 0.3,
+  trackRecord: 0.25,
+  deployerAge: 0.1,
+  fundingOrigin: 0.1,
+  cluster: 0.1,
+  launchBehavior: 0.15
+};
+
+const FACTOR_LABELS = {
+  fairScore: 'fairscale',
+  trackRecord: 'track record',
+  deployerAge: 'wallet age',
+  fundingOrigin: 'funding origin',
+  cluster: 'wallet cluster',
+  launchBehavior: 'this launch'
+};
+
+// Points (out of 1000) per past launch outcome - see creatorHistory.js
+const OUTCOME_POINTS = {
+  rugged: 0,
+  dead: 200,
+  alive: 600,
+  migrated: 1000
+};
+
+// A wallet this old (or older) gets full marks for age
+const MATURE_WALLET_DAYS = 365;
+
+// Points for where the funding trace ended (fundingTrace.js stop reasons / address label categories)
+const ORIGIN_POINTS = {
+  'old-wallet': 800,
+  cex: 700,
+  bridge: 500,
+  launchpad: 500,
+  'no-funder': 400,
+  bot: 300,
+  'depth-limit': 300,
+  cycle: 200,
+  mixer: 0
+};
+
+function scoreFairScale(fairScore) {
+  if (fairScore == null) return null;
+  return { score: fairScore, detail: `${fairScore}/1000 on FairScale` };
+}
+
+function scoreTrackRecord(trackRecord) {
+  if (!trackRecord) return null;
+  if (trackRecord.total === 0) {
+    return { score: 500, detail: 'first launch, nothing to go on' };
+  }
+
+  const graded = Object.keys(OUTCOME_POINTS).reduce((sum, outcome) => sum + trackRecord[outcome], 0);
+  if (graded === 0) return null;
+
+  const points = Object.entries(OUTCOME_POINTS)
+    .reduce((sum, [outcome, value]) => sum + trackRecord[outcome] * value, 0);
+  return {
+    score: points / graded,
+    detail: `${trackRecord.rugged} rugged, ${trackRecord.dead} dead, ${trackRecord.migrated} migrated of ${trackRecord.total}`
+  };
+}
+
+function scoreDeployerAge(deployerAge) {
+  if (deployerAge == null) return null;
+  return {
+    score: 100 + (Math.min(deployerAge, MATURE_WALLET_DAYS) / MATURE_WALLET_DAYS) * 900,
+    detail: `${deployerAge} days old`
+  };
+}
+
+function scoreFundingOrigin(fundedBy, fundingTrace) {
+  if (fundingTrace) {
+    const origin = fundingTrace.nodes[fundingTrace.nodes.length - 1];
+    const { stopReason, depth } = fundingTrace;
+    const hops = `${depth} ${depth === 1 ? 'hop' : 'hops'}`;
+    const details = {
+      labeled: `traced to ${origin?.label} (${hops})`,
+      'old-wallet': `traced to a ${origin?.ageDays}-day-old wallet (${hops})`,
+      'no-funder': depth === 0 ? 'no funding found' : `trail ends after ${hops}`,
+      'depth-limit': `trail still going after ${hops}`,
+      cycle: 'funds go around in a circle'
+    };
+    return {
+      score: ORIGIN_POINTS[stopReason === 'labeled' ? origin?.category : stopReason] ?? 400,
+      detail: details[stopReason]
+    };
+  }
+  if (!fundedBy) return null;
+  return {
+    score: ORIGIN_POINTS[fundedBy.category] ?? 400,
+    detail: `funded by ${fundedBy.label || 'an unlabeled wallet'}`
+  };
+}
+
+function scoreCluster(cluster) {
+  if (!cluster) return null;
+  if (cluster.siblings.length === 0) {
+    return { score: 1000, detail: 'funder seeded no other deployers' };
+  }
+  return {
+    score: Math.max(0, 600 - cluster.siblings.length * 100 - cluster.rugCount * 150),
+    detail: `${cluster.siblings.length} sibling deployers, ${cluster.rugCount} rugged`
+  };
+}
+
+function scoreLaunchBehavior(bundle, devHoldings) {
+  if (!bundle && !devHoldings) return null;
+
+  let score = 1000;
+  const details = [];
+  // Only bundles with a wallet tied to the deployer - unlinked same-slot snipers aren't its doing
+  if (bundle?.detected) {
+    score -= bundle.jito ? 600 : 400;
+    details.push(bundle.jito ? 'jito bundled' : 'bundled');
+  }
+  if (devHoldings?.devSoldPct > 0) {
+    // Every 1% of supply sold costs 25 points, up to 500
+    score -= Math.min(500, devHoldings.devSoldPct * 25);
+    details.push(`dev sold ${devHoldings.devSoldPct.toFixed(1)}%`);
+  }
+  return {
+    score: Math.max(0, score),
+    detail: details.length > 0 ? details.join(', ') : 'no bundle, dev hasn\'t sold'
+  };
+}
+
+/**
+ * Combine FairScale's score with what we found on-chain into one deployer score.
+ * @param {Object} params
+ * @param {number|null} params.fairScore - FairScale score (0-1000)
+ * @param {Object|null} params.trackRecord - summarizeTrackRecord() result
+ * @param {number|null} params.deployerAge - Deployer wallet age in days
+ * @param {Object|null} params.fundedBy - First funder of the deployer
+ * @param {Object|null} params.fundingTrace - traceFunding() result
+ * @param {Object|null} params.cluster - findDeployerCluster() result
+ * @param {Object|null} params.bundle - detectBundle() result
+ * @param {Object|null} params.devHoldings - getDevHoldings() result
+ * @returns {{score: number, tier: string, factors: Array<{key: string, label: string, weight: number, score: number|null, detail: string|null}>}}
+ */
+export function computeReputation({ fairScore, trackRecord, deployerAge, fundedBy, fundingTrace, cluster, bundle, devHoldings }) {
+  const scored = {
+    fairScore: scoreFairScale(fairScore),
+    trackRecord: scoreTrackRecord(trackRecord),
+    deployerAge: scoreDeployerAge(deployerAge),
+    fundingOrigin: scoreFundingOrigin(fundedBy, fundingTrace),
+    cluster: scoreCluster(cluster),
+    launchBehavior: scoreLaunchBehavior(bundle, devHoldings)
+  };
+
+  const available = Object.keys(WEIGHTS).filter(key => scored[key]);
+  const totalWeight = available.reduce((sum, key) => sum + WEIGHTS[key], 0);
+
+  const factors = Object.keys(WEIGHTS).map(key => ({
+    key,
+    label: FACTOR_LABELS[key],
+    // Share of the final score after missing factors dropped out
+    weight: scored[key] && totalWeight > 0 ? WEIGHTS[key] / totalWeight : 0,
+    score: scored[key] ? Math.round(scored[key].score) : null,
+    detail: scored[key]?.detail ?? null
+  }));
+
+  const score = totalWeight > 0
+    ? Math.round(factors.reduce((sum, factor) => sum + (factor.score ?? 0) * factor.weight, 0))
+    : 500;
+
+  return { score, tier: getTierFromScore(score), factors };
+}
@@ -0,0 +1,278 @@
+import { getEnv } from '../utils/env.js';
+import { HELIUS_API_KEY } from './serverConfig.js';
+
+// Default endpoints, best first. RPC_URLS (comma-separated) overrides the list.
+// Helius RPC is most reliable if API key is set
+const DEFAULT_ENDPOINTS = getEnv('RPC_URLS')
+  ? getEnv('RPC_URLS').split(',').map(url => url.trim()).filter(Boolean)
+  : [
+    ...(HELIUS_API_KEY ? [`https://mainnet.helius-rpc.com/?api-key=${HELIUS_API_KEY}`] : []),
+    'https://solana-rpc.publicnode.com',
+    'https://api.mainnet-beta.solana.com'
+  ];
+
+// HTTP statuses worth retrying (rate limited or upstream trouble)
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+// JSON-RPC error codes providers use for rate limiting / overload
+const RATE_LIMIT_RPC_CODES = new Set([429, -32005, -32429]);
+
+// JSON-RPC errors in the request itself (parse error, invalid request, invalid params) - every
+// endpoint answers these the same way. Anything else (auth, pruned history like -32009/-32011,
+// node trouble) may work on another endpoint.
+const REQUEST_ERROR_RPC_CODES = new Set([-32700, -32600, -32602]);
+
+// Latency assumed for endpoints we haven't measured yet
+const UNKNOWN_LATENCY_MS = 500;
+
+// Smoothing factor for latency and error moving averages
+const EWMA_ALPHA = 0.3;
+
+/**
+ * Failed RPC or HTTP call. `retryable` is false only for errors in the request itself (bad params),
+ * which fail the same way on every endpoint.
+ */
+export class RpcError extends Error {
+  constructor(message, { status = null, code = null, retryAfterMs = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'RpcError';
+    this.status = status;
+    this.code = code;
+    this.retryAfterMs = retryAfterMs;
+    this.retryable = retryable;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Zero-based retry attempt
+ * @returns {number} Delay in ms
+ */
+export function backoffDelay(attempt, { baseMs = 250, maxMs = 8000 } = {}) {
+  const ceiling = Math.min(maxMs, baseMs * Math.pow(2, attempt));
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into ms
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+async function fetchWithTimeout(url, options, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * fetch() with a timeout and retries on network errors, 429 and 5xx.
+ * Honors Retry-After. Non-retryable responses (e.g. 404) are returned as-is.
+ * @param {string} url
+ * @param {RequestInit} [options]
+ * @param {{retries?: number, timeoutMs?: number}} [retryOptions]
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithRetry(url, options = {}, { retries = 3, timeoutMs = 15000 } = {}) {
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    let retryAfterMs = null;
+
+    try {
+      const response = await fetchWithTimeout(url, options, timeoutMs);
+      if (!RETRYABLE_STATUS.has(response.status) || attempt === retries) {
+        return response;
+      }
+      retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+      lastError = new RpcError(`HTTP ${response.status}`, { status: response.status, retryAfterMs, retryable: true });
+    } catch (error) {
+      lastError = error;
+    }
+
+    if (attempt < retries) {
+      await sleep(retryAfterMs ?? backoffDelay(attempt));
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Create a JSON-RPC client over several endpoints.
+ * Endpoints are ranked by measured latency and recent error rate; rate-limited
+ * endpoints are parked until their Retry-After passes. When every endpoint fails
+ * the whole round is retried with exponential backoff.
+ * @param {Object} [options]
+ * @param {string[]} [options.endpoints] - RPC URLs, best first
+ * @param {number} [options.timeoutMs] - Per-request timeout
+ * @param {number} [options.maxRounds] - How many times to go through all endpoints
+ */
+export function createRpcClient({
+  endpoints = DEFAULT_ENDPOINTS,
+  timeoutMs = 15000,
+  maxRounds = 3,
+  baseDelayMs = 250,
+  maxDelayMs = 8000
+} = {}) {
+  const stats = endpoints.map((url, index) => ({
+    url,
+    index,
+    latencyMs: null,
+    errorRate: 0,
+    successes: 0,
+    failures: 0,
+    cooldownUntil: 0
+  }));
+
+  const recordSuccess = (endpoint, latencyMs) => {
+    endpoint.successes++;
+    endpoint.latencyMs = endpoint.latencyMs == null
+      ? latencyMs
+      : endpoint.latencyMs * (1 - EWMA_ALPHA) + latencyMs * EWMA_ALPHA;
+    endpoint.errorRate *= (1 - EWMA_ALPHA);
+  };
+
+  const recordFailure = (endpoint, retryAfterMs = null) => {
+    endpoint.failures++;
+    endpoint.errorRate = endpoint.errorRate * (1 - EWMA_ALPHA) + EWMA_ALPHA;
+    if (retryAfterMs != null) {
+      endpoint.cooldownUntil = Date.now() + retryAfterMs;
+    }
+  };
+
+  // Lower is better: slow or flaky endpoints sink, configured order breaks ties
+  const healthScore = (endpoint) =>
+    (endpoint.latencyMs ?? UNKNOWN_LATENCY_MS) * (1 + 4 * endpoint.errorRate);
+
+  const rankEndpoints = () => {
+    const now = Date.now();
+    return [...stats].sort((a, b) => {
+      const aCooling = a.cooldownUntil > now;
+      const bCooling = b.cooldownUntil > now;
+      if (aCooling !== bCooling) return aCooling ? 1 : -1;
+      return (healthScore(a) - healthScore(b)) || (a.index - b.index);
+    });
+  };
+
+  async function request(endpoint, method, params) {
+    const startedAt = Date.now();
+    const response = await fetchWithTimeout(endpoint.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method,
+        params
+      })
+    }, timeoutMs);
+
+    if (!response.ok) {
+      throw new RpcError(`RPC returned status ${response.status}`, {
+        status: response.status,
+        retryable: true,
+        retryAfterMs: response.status === 429
+          ? (parseRetryAfter(response.headers.get('retry-after')) ?? backoffDelay(1, { baseMs: baseDelayMs, maxMs: maxDelayMs }))
+          : null
+      });
+    }
+
+    const data = await response.json();
+
+    if (data.error) {
+      const rateLimited = RATE_LIMIT_RPC_CODES.has(data.error.code);
+      throw new RpcError(data.error.message || 'RPC error', {
+        code: data.error.code,
+        retryable: !REQUEST_ERROR_RPC_CODES.has(data.error.code),
+        retryAfterMs: rateLimited ? backoffDelay(1, { baseMs: baseDelayMs, maxMs: maxDelayMs }) : null
+      });
+    }
+
+    recordSuccess(endpoint, Date.now() - startedAt);
+    return data.result;
+  }
+
+  /**
+   * Call an RPC method, trying the healthiest endpoint first.
+   * A failing endpoint (network, HTTP status, auth, node-specific RPC error) counts against its
+   * health and the next one is tried; errors in the request itself (e.g. -32602 invalid params)
+   * are thrown right away without penalising the endpoint.
+   * @param {string} method
+   * @param {Array|Object} params
+   */
+  async function call(method, params) {
+    let lastError = null;
+
+    for (let round = 0; round < maxRounds; round++) {
+      for (const endpoint of rankEndpoints()) {
+        try {
+          return await request(endpoint, method, params);
+        } catch (error) {
+          if (error instanceof RpcError && !error.retryable) {
+            throw error;
+          }
+          lastError = error;
+          recordFailure(endpoint, error.retryAfterMs ?? null);
+          console.warn(`RPC ${method} via ${redact(endpoint.url)} failed:`, error.message);
+        }
+      }
+
+      if (round < maxRounds - 1) {
+        // Wait for the first parked endpoint to come back, or back off
+        const now = Date.now();
+        const cooldowns = stats.map(e => e.cooldownUntil - now).filter(ms => ms > 0);
+        const waitMs = cooldowns.length === stats.length
+          ? Math.min(...cooldowns, maxDelayMs)
+          : backoffDelay(round, { baseMs: baseDelayMs, maxMs: maxDelayMs });
+        await sleep(waitMs);
+      }
+    }
+
+    throw new RpcError(`All RPC endpoints failed for ${method}: ${lastError?.message || 'unknown error'}`);
+  }
+
+  /**
+   * Snapshot of per-endpoint health (API keys redacted)
+   */
+  function getStats() {
+    return stats.map(({ url, latencyMs, errorRate, successes, failures, cooldownUntil }) => ({
+      url: redact(url),
+      latencyMs: latencyMs != null ? Math.round(latencyMs) : null,
+      errorRate: Number(errorRate.toFixed(3)),
+      successes,
+      failures,
+      coolingDown: cooldownUntil > Date.now()
+    }));
+  }
+
+  return { call, getStats };
+}
+
+// Keep api keys out of logs
+function redact(url) {
+  return url.replace(/(api-key=)[^&]+/, '$1***');
+}
+
+// Shared client used by all services
+export const rpc = createRpcClient();
+
+/**
+ * Make an RPC call through the shared client
+ * @param {string} method
+ * @param {Array|Object} params
+ */
+export function rpcCall(method, params) {
+  return rpc.call(method, params);
+}
@@ -1,5 +1,8 @@
 const RUGCHECK_API_URL = 'https://api.rugcheck.xyz/v1';
 
+// Rugcheck market types that are still a launchpad bonding curve - any other market means the token migrated
+const BONDING_CURVE_MARKETS = new Set(['pump_fun', 'raydium_launchlab', 'meteora_dbc', 'moonshot']);
+
 export async function getTokenReport(tokenMint) {
   try {
     const response = await fetch(
@@ -17,6 +20,41 @@ export async function getTokenReport(tokenMint) {
   }
 }
 
+// Token supply in whole tokens (report supply is in base units)
+export function getReportSupply(report) {
+  if (report?.token?.supply == null) return null;
+  const decimals = report.token.decimals || 6;
+  return report.token.supply / Math.pow(10, decimals);
+}
+
+export function getReportMarketCap(report) {
+  const supply = getReportSupply(report);
+  if (report?.price == null || supply == null) return null;
+  return report.price * supply;
+}
+
+// Whether the token trades anywhere other than its launchpad's bonding curve (e.g. graduated to an AMM)
+export function hasMigrated(report) {
+  return (report?.markets || []).some(market => market.marketType && !BONDING_CURVE_MARKETS.has(market.marketType));
+}
+
+// Market cap, rug status and migration of a token, for tokens we only know the mint of
+export async function getTokenSummary(tokenMint) {
+  const report = await getTokenReport(tokenMint);
+  if (!report) return null;
+
+  return {
+    mint: tokenMint,
+    name: report.tokenMeta?.name || report.token_extensions?.tokenMetadata?.name || null,
+    symbol: report.tokenMeta?.symbol || report.token_extensions?.tokenMetadata?.symbol || null,
+    marketCap: getReportMarketCap(report),
+    supply: getReportSupply(report),
+    rugged: report.rugged || false,
+    migrated: hasMigrated(report),
+    detectedAt: report.detectedAt || null
+  };
+}
+
 // Get deployer data by checking their most recent token
 // The token report includes creatorTokens array with all tokens by that creator
 export async function getDeployerData(walletAddress) {
@@ -0,0 +1,18 @@
+import { getEnv } from '../utils/env.js';
+import { DEFAULT_POLICY_TTL_MS } from './tierPolicy.js';
+
+// Server-only config read from process.env. The browser build must never import this module
+// (or anything that imports it) - shared modules take these values as arguments instead.
+
+// Helius API key (free tier: 1M credits, 10 RPS) - get yours at https://helius.dev
+export const HELIUS_API_KEY = getEnv('HELIUS_API_KEY');
+
+// Helius Enhanced API base URL (better than raw RPC for historical data), null without a key
+export const HELIUS_ENHANCED_API = HELIUS_API_KEY ? 'https://api.helius.xyz/v0' : null;
+
+// Team-hosted tier policy for the server's loadTierPolicy() calls: TIER_POLICY_URL, re-fetched
+// every TIER_POLICY_TTL_MINUTES (the built-in policy when no URL is set)
+export const TIER_POLICY_SOURCE = {
+  url: getEnv('TIER_POLICY_URL') || null,
+  ttlMs: Number(getEnv('TIER_POLICY_TTL_MINUTES')) * 60 * 1000 || DEFAULT_POLICY_TTL_MS
+};
@@ -0,0 +1,93 @@
+import { getEnv } from '../utils/env.js';
+import { rpcCall } from './rpc.js';
+
+// getSignaturesForAddress max page size
+const PAGE_SIZE = 1000;
+
+// Max pages per scan (20 pages = 20k transactions) to prevent timeout. Override with SIGNATURE_MAX_PAGES.
+const DEFAULT_MAX_PAGES = Number(getEnv('SIGNATURE_MAX_PAGES')) || 20;
+
+// Remember unfinished scans so the next lookup of the same address picks up where the last stopped
+const MAX_SCAN_STATES = 500;
+const scanStates = new Map();
+
+/**
+ * Walk an address's signatures backwards (newest to oldest), one page per iteration
+ * @param {string} address - Account address
+ * @param {Object} [options]
+ * @param {string} [options.before] - Start before this signature (cursor from a previous scan)
+ * @param {number} [options.maxPages] - Stop after this many pages
+ * @param {number} [options.pageSize] - Signatures per page (max 1000)
+ * @yields {Array<{signature: string, slot: number, blockTime: number|null, err: Object|null}>}
+ */
+export async function* iterateSignatures(address, { before = null, maxPages = DEFAULT_MAX_PAGES, pageSize = PAGE_SIZE } = {}) {
+  let cursor = before;
+
+  for (let page = 0; page < maxPages; page++) {
+    const params = { limit: pageSize };
+    if (cursor) params.before = cursor;
+
+    const signatures = await rpcCall('getSignaturesForAddress', [address, params]) || [];
+    if (signatures.length === 0) return;
+
+    yield signatures;
+
+    if (signatures.length < pageSize) return;
+    cursor = signatures[signatures.length - 1].signature;
+  }
+}
+
+/**
+ * Find the oldest signature of an address by paging backwards through its history.
+ * If the page cap is hit before the start of history, `complete` is false and `cursor`
+ * can be passed back in to continue - the next call for the same address does this automatically.
+ * A finished scan is remembered and returned again with `cached: true`.
+ * @param {string} address - Account address
+ * @param {Object} [options]
+ * @param {string} [options.cursor] - Resume from this signature instead of the saved scan state
+ * @param {number} [options.maxPages] - Page cap for this call
+ * @returns {Promise<{oldest: Object|null, cursor: string|null, complete: boolean, scanned: number, cached?: boolean}>}
+ */
+export async function findOldestSignature(address, { cursor = null, maxPages = DEFAULT_MAX_PAGES } = {}) {
+  const saved = scanStates.get(address);
+  if (saved?.complete && !cursor) {
+    return { ...saved, cached: true };
+  }
+
+  const startCursor = cursor ?? saved?.cursor ?? null;
+  let oldest = saved?.oldest ?? null;
+  let scanned = saved?.scanned ?? 0;
+  let lastPageSize = PAGE_SIZE;
+  let pages = 0;
+
+  for await (const page of iterateSignatures(address, { before: startCursor, maxPages })) {
+    oldest = page[page.length - 1];
+    scanned += page.length;
+    lastPageSize = page.length;
+    pages++;
+  }
+
+  // Fewer pages than the cap (or a short last page) means we reached the first transaction
+  const complete = pages < maxPages || lastPageSize < PAGE_SIZE;
+  const state = {
+    oldest,
+    cursor: complete ? null : oldest?.signature ?? null,
+    complete,
+    scanned
+  };
+
+  if (!complete) {
+    console.warn(`Signature scan for ${address} hit the ${maxPages}-page cap after ${scanned} signatures, oldest found may not be the first`);
+  }
+
+  rememberScan(address, state);
+  return state;
+}
+
+function rememberScan(address, state) {
+  scanStates.delete(address);
+  scanStates.set(address, state);
+  if (scanStates.size > MAX_SCAN_STATES) {
+    scanStates.delete(scanStates.keys().next().value);
+  }
+}
@@ -1,117 +1,52 @@
-// Helius API key (free tier: 1M credits, 10 RPS) - get yours at https://helius.dev
-const HELIUS_API_KEY = import.meta.env.VITE_HELIUS_API_KEY;
-
-// Helius Enhanced API base URL (better than raw RPC for historical data)
-const HELIUS_ENHANCED_API = HELIUS_API_KEY
-  ? `https://api.helius.xyz/v0`
-  : null;
-
-// Multiple RPC endpoints for reliability (browser-compatible, CORS-enabled)
-// Helius RPC is most reliable if API key is set
-const RPC_ENDPOINTS = [
-  ...(HELIUS_API_KEY ? [`https://mainnet.helius-rpc.com/?api-key=${HELIUS_API_KEY}`] : []),
-  'https://solana-rpc.publicnode.com'
-];
-
-// Known pump.fun / platform mint authorities (not real deployers)
-const KNOWN_MINT_AUTHORITIES = [
-  'TSLvdd1pWpHVjahSpsvCXUbgwsL3JAcvokwaKt1eokM', // pump.fun mint authority
-  '39azUYFWPz3VHgKCf3VChUwbpURdCHRxjWVowf5jUJjg', // Another pump.fun authority
-  'Ce6TQqeHC9p8KetsN6JsjHK7UTZk7nasjjnr7XxXp9F1', // pump.fun bundled authority
-];
-
-// Known program IDs to skip when looking for deployer
-const KNOWN_PROGRAMS = [
-  '11111111111111111111111111111111', // System Program
-  'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA', // Token Program
-  'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL', // Associated Token Program
-  '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P', // Pump.fun program
-  'ComputeBudget111111111111111111111111111111', // Compute Budget
-  'Sysvar1111111111111111111111111111111111111', // Sysvar
-  'SysvarRent111111111111111111111111111111111', // Rent Sysvar
-];
+import { getEnv } from '../utils/env.js';
+import { rpcCall, fetchWithRetry } from './rpc.js';
+import { LAMPORTS_PER_SOL } from './constants.js';
+import { HELIUS_API_KEY, HELIUS_ENHANCED_API } from './serverConfig.js';
+import { findOldestSignature } from './signatures.js';
+import { isKnownProgramOrAuthority } from './knownAddresses.js';
+import { detectDeployer } from './deployerDetection.js';
+import { decodePumpCreation } from './pumpfun.js';
+import { labelAddress } from './labels.js';
+import { mocksEnabled } from './provenance.js';
+import { detectLaunchpad, detectTokenProgram, identifyLaunchpadByMint, findLaunchpadCreations } from './launchpads.js';
+
+export { getSolscanWalletUrl, getSolscanTxUrl } from '../utils/solscanUrls.js';
+
+// Pages (100 txs each) of deployer history scanned for launches. Override with CREATOR_HISTORY_PAGES.
+const CREATOR_HISTORY_PAGES = Number(getEnv('CREATOR_HISTORY_PAGES')) || 10;
+
+// RPC signature pages (1000 each) a first-funder lookup scans - a fresh wallet fits in one
+const FIRST_FUNDER_MAX_PAGES = 2;
 
 // Legacy Solscan Pro API (requires paid tier for most endpoints)
 const SOLSCAN_API_URL = 'https://pro-api.solscan.io/v2.0';
-const SOLSCAN_API_KEY = import.meta.env.VITE_SOLSCAN_API_KEY;
+const SOLSCAN_API_KEY = getEnv('SOLSCAN_API_KEY');
 
 /**
- * Make an RPC call with fallback to multiple endpoints
- */
-async function rpcCall(method, params) {
-  for (const rpcUrl of RPC_ENDPOINTS) {
-    try {
-      const response = await fetch(rpcUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          id: 1,
-          method,
-          params
-        })
-      });
-
-      if (!response.ok) {
-        console.warn(`RPC ${rpcUrl} returned status ${response.status}`);
-        continue;
-      }
-
-      const data = await response.json();
-
-      if (data.error) {
-        console.warn(`RPC ${rpcUrl} error:`, data.error);
-        continue;
-      }
-
-      return data.result;
-    } catch (error) {
-      console.warn(`RPC ${rpcUrl} failed:`, error.message);
-      continue;
-    }
-  }
-
-  throw new Error('All RPC endpoints failed');
-}
-
-/**
- * Check if an address is a known program or authority (not a real user wallet)
- */
-function isKnownProgramOrAuthority(pubkey) {
-  if (!pubkey) return true;
-  if (KNOWN_MINT_AUTHORITIES.includes(pubkey)) return true;
-  if (KNOWN_PROGRAMS.includes(pubkey)) return true;
-  // Check for system program pattern (ends with many 1s)
-  if (pubkey.endsWith('1111111111111111111111')) return true;
-  return false;
-}
-
-/**
- * Find the real deployer for a token using Helius Enhanced API
- * The feePayer of the token's first transaction is the real deployer
+ * Find the real deployer for a token
+ * Locates the creation tx (Helius when available, otherwise by paging RPC signatures)
+ * and runs the deployer-detection strategies over it
  * @param {string} tokenMint - The token mint address
  * @param {string} reportedCreator - The creator from rugcheck (fallback)
- * @returns {Promise<string>} The actual deployer wallet address
+ * @returns {Promise<{address: string, confidence: number, confidenceLabel: string, strategy: string, reason: string, candidates: Array, disagreements: Array, launchpad: Object|null, pumpFun: Object|null}>}
  */
 export async function findRealDeployer(tokenMint, reportedCreator) {
   console.log('Finding real deployer for token:', tokenMint);
+  const context = { mint: tokenMint, reportedCreator, heliusFeePayer: null };
+  let creationSignature = null;
 
   // Try Helius first (fast and reliable)
   if (HELIUS_ENHANCED_API) {
     try {
       // Get the token's oldest transaction (creation tx)
       const url = `${HELIUS_ENHANCED_API}/addresses/${tokenMint}/transactions?api-key=${HELIUS_API_KEY}&limit=1&sort-order=asc`;
-      const response = await fetch(url);
+      const response = await fetchWithRetry(url);
 
       if (response.ok) {
         const transactions = await response.json();
         if (transactions && transactions.length > 0) {
-          const firstTx = transactions[0];
-          // The feePayer of the first transaction is the real deployer
-          if (firstTx.feePayer && !isKnownProgramOrAuthority(firstTx.feePayer)) {
-            console.log('Found real deployer via Helius:', firstTx.feePayer);
-            return firstTx.feePayer;
-          }
+          creationSignature = transactions[0].signature;
+          context.heliusFeePayer = transactions[0].feePayer;
         }
       }
     } catch (err) {
@@ -119,51 +54,47 @@ export async function findRealDeployer(tokenMint, reportedCreator) {
     }
   }
 
-  // Fallback: if not a known mint authority, use reported creator
-  if (!KNOWN_MINT_AUTHORITIES.includes(reportedCreator)) {
-    return reportedCreator;
+  // Without Helius, a reported creator that isn't a platform authority is trusted
+  // rather than paging through the mint's whole history. pump.fun mints always get their
+  // create tx decoded - it's the only source of the bonding curve and the dev buy.
+  const mintLaunchpad = identifyLaunchpadByMint(tokenMint);
+  if (!creationSignature && mintLaunchpad?.id !== 'pump-fun' && !isKnownProgramOrAuthority(reportedCreator)) {
+    return { ...detectDeployer(null, context), launchpad: mintLaunchpad, pumpFun: null };
   }
 
-  // Last resort for pump.fun tokens: use RPC
-  console.log('Falling back to RPC for deployer lookup...');
-  return findRealDeployerViaRPC(tokenMint, reportedCreator);
+  const tx = await getCreationTransaction(tokenMint, creationSignature);
+  return {
+    ...detectDeployer(tx, context),
+    launchpad: (tx && (detectLaunchpad(tx, tokenMint)?.launchpad || detectTokenProgram(tx, tokenMint)))
+      || mintLaunchpad,
+    // Bonding curve + dev buy, when the mint was created on pump.fun
+    pumpFun: tx ? decodePumpCreation(tx, tokenMint) : null
+  };
 }
 
 /**
- * Fallback: Find real deployer using RPC (slower)
+ * Fetch the creation tx of a mint (jsonParsed). Pages RPC signatures when the signature isn't known.
+ * @returns {Promise<Object|null>}
  */
-async function findRealDeployerViaRPC(tokenMint, reportedCreator) {
+async function getCreationTransaction(tokenMint, creationSignature = null) {
   try {
-    // Get oldest signature
-    const signatures = await rpcCall('getSignaturesForAddress', [tokenMint, { limit: 1 }]);
+    let signature = creationSignature;
 
-    if (!signatures || signatures.length === 0) {
-      return reportedCreator;
+    if (!signature) {
+      // Page backwards to the mint's first signature - the creation tx
+      console.log('Falling back to RPC for creation tx lookup...');
+      const { oldest } = await findOldestSignature(tokenMint);
+      signature = oldest?.signature;
     }
 
-    // Get the transaction
-    const tx = await rpcCall('getTransaction', [signatures[0].signature, { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0 }]);
-
-    if (!tx) {
-      return reportedCreator;
-    }
-
-    // Find the first signer that's not a program
-    const accountKeys = tx.transaction?.message?.accountKeys || [];
-    for (const key of accountKeys) {
-      const pubkey = typeof key === 'string' ? key : key.pubkey;
-      const isSigner = typeof key === 'string' ? false : key.signer;
-
-      if (isSigner && !isKnownProgramOrAuthority(pubkey)) {
-        console.log('Found real deployer via RPC:', pubkey);
-        return pubkey;
-      }
+    if (!signature) {
+      return null;
     }
 
-    return reportedCreator;
+    return await rpcCall('getTransaction', [signature, { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0 }]);
   } catch (error) {
-    console.error('RPC deployer lookup failed:', error);
-    return reportedCreator;
+    console.error('RPC creation tx lookup failed:', error);
+    return null;
   }
 }
 
@@ -171,7 +102,10 @@ async function findRealDeployerViaRPC(tokenMint, reportedCreator) {
  * Get deployer wallet information including age and funding source
  * Uses Helius Enhanced API (preferred) or falls back to RPC
  * @param {string} walletAddress - The deployer wallet address
- * @returns {Promise<{deployerAge: number|null, fundedBy: string|null, fundingTx: string|null}>}
+ * fundedBy is labeled when it's a known exchange, bridge, mixer or bot (see labels.js).
+ * fundingAmount is in SOL, fundingTime is the funding tx's unix timestamp (seconds).
+ * source is 'cached' when the age comes from an earlier signature scan of the same wallet.
+ * @returns {Promise<{deployerAge: number|null, fundedBy: {address: string, label: string|null, category: string|null}|null, fundingTx: string|null, fundingAmount: number|null, fundingTime: number|null, source: 'live'|'cached'}>}
  */
 export async function getDeployerInfo(walletAddress) {
   // Try Helius first (faster and more reliable)
@@ -179,7 +113,7 @@ export async function getDeployerInfo(walletAddress) {
     try {
       const result = await getDeployerInfoViaHelius(walletAddress);
       if (result.fundedBy || result.deployerAge) {
-        return result;
+        return withFunderLabel(result);
       }
     } catch (err) {
       console.warn('Helius failed, falling back to RPC:', err.message);
@@ -187,7 +121,11 @@ export async function getDeployerInfo(walletAddress) {
   }
 
   // Fallback to RPC
-  return getDeployerInfoViaRPC(walletAddress);
+  return withFunderLabel(await getDeployerInfoViaRPC(walletAddress));
+}
+
+function withFunderLabel(info) {
+  return { ...info, fundedBy: labelAddress(info.fundedBy) };
 }
 
 /**
@@ -199,7 +137,7 @@ async function getDeployerInfoViaHelius(walletAddress) {
   // Get oldest transactions first using sort-order=asc
   const url = `${HELIUS_ENHANCED_API}/addresses/${walletAddress}/transactions?api-key=${HELIUS_API_KEY}&limit=20&sort-order=asc`;
 
-  const response = await fetch(url);
+  const response = await fetchWithRetry(url);
   if (!response.ok) {
     throw new Error(`Helius API returned ${response.status}`);
   }
@@ -208,7 +146,7 @@ async function getDeployerInfoViaHelius(walletAddress) {
   console.log(`Helius returned ${transactions.length} oldest transactions`);
 
   if (!transactions || transactions.length === 0) {
-    return { deployerAge: null, fundedBy: null, fundingTx: null };
+    return { deployerAge: null, fundedBy: null, fundingTx: null, fundingAmount: null, fundingTime: null, source: 'live' };
   }
 
   // First transaction is the oldest (wallet creation/first funding)
@@ -225,6 +163,8 @@ async function getDeployerInfoViaHelius(walletAddress) {
   // We want the original funder, not necessarily the largest transfer
   let fundedBy = null;
   let fundingTx = oldestTx.signature;
+  let fundingAmount = null;
+  let fundingTime = null;
 
   // Transactions are already sorted ascending (oldest first)
   // Find the first transaction with an incoming transfer
@@ -251,14 +191,16 @@ async function getDeployerInfoViaHelius(walletAddress) {
       if (bestTransferInTx && largestInTx > 10000) { // > 0.00001 SOL to skip dust
         fundedBy = bestTransferInTx.fromUserAccount;
         fundingTx = tx.signature;
+        fundingAmount = largestInTx / LAMPORTS_PER_SOL;
+        fundingTime = tx.timestamp ?? null;
         console.log('Found original funder via Helius:', fundedBy, 'amount:', largestInTx, 'tx:', tx.signature);
         break; // Stop at the first transaction with meaningful incoming SOL
       }
     }
   }
 
-  console.log('Deployer info from Helius:', { deployerAge, fundedBy, fundingTx });
-  return { deployerAge, fundedBy, fundingTx };
+  console.log('Deployer info from Helius:', { deployerAge, fundedBy, fundingTx, fundingAmount });
+  return { deployerAge, fundedBy, fundingTx, fundingAmount, fundingTime, source: 'live' };
 }
 
 /**
@@ -268,15 +210,16 @@ async function getDeployerInfoViaRPC(walletAddress) {
   console.log('Fetching deployer info via RPC...');
 
   try {
-    // Get signatures to find oldest transaction
-    const signatures = await rpcCall('getSignaturesForAddress', [walletAddress, { limit: 1000 }]);
+    // Page backwards through the wallet's history to its first transaction
+    const { oldest: oldestSig, complete, cached } = await findOldestSignature(walletAddress);
 
-    if (!signatures || signatures.length === 0) {
-      return { deployerAge: null, fundedBy: null, fundingTx: null };
+    if (!oldestSig) {
+      return { deployerAge: null, fundedBy: null, fundingTx: null, fundingAmount: null, fundingTime: null, source: 'live' };
     }
 
-    // Get the oldest signature
-    const oldestSig = signatures[signatures.length - 1];
+    if (!complete) {
+      console.warn('Wallet history longer than scan cap, age is a lower bound:', walletAddress);
+    }
 
     // Calculate age
     let deployerAge = null;
@@ -287,59 +230,121 @@ async function getDeployerInfoViaRPC(walletAddress) {
     // Get transaction details
     const tx = await rpcCall('getTransaction', [oldestSig.signature, { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0 }]);
 
-    let fundedBy = null;
-    if (tx) {
-      // Look for transfer to this wallet
-      const instructions = tx.transaction?.message?.instructions || [];
-      for (const ix of instructions) {
-        if (ix.parsed?.type === 'transfer' && ix.program === 'system') {
-          if (ix.parsed.info?.destination === walletAddress) {
-            fundedBy = ix.parsed.info?.source;
-            break;
-          }
-        }
-      }
+    const { fundedBy, fundingAmount } = findIncomingTransfer(tx, walletAddress);
+
+    console.log('Deployer info from RPC:', { deployerAge, fundedBy, fundingAmount });
+    return {
+      deployerAge,
+      fundedBy,
+      fundingTx: oldestSig.signature,
+      fundingAmount,
+      fundingTime: fundedBy ? oldestSig.blockTime ?? null : null,
+      source: cached ? 'cached' : 'live'
+    };
+  } catch (error) {
+    console.error('RPC getDeployerInfo error:', error);
+    return { deployerAge: null, fundedBy: null, fundingTx: null, fundingAmount: null, fundingTime: null, source: 'live' };
+  }
+}
 
-      // Check inner instructions
-      if (!fundedBy) {
-        const innerInstructions = tx.meta?.innerInstructions || [];
-        for (const group of innerInstructions) {
-          for (const ix of group.instructions || []) {
-            if (ix.parsed?.type === 'transfer' && ix.program === 'system') {
-              if (ix.parsed.info?.destination === walletAddress) {
-                fundedBy = ix.parsed.info?.source;
-                break;
-              }
-            }
-          }
-          if (fundedBy) break;
-        }
+/**
+ * First SOL transfer into the wallet in a jsonParsed tx (top-level, then inner instructions)
+ * @returns {{fundedBy: string|null, fundingAmount: number|null}}
+ */
+function findIncomingTransfer(tx, walletAddress) {
+  const groups = [
+    tx?.transaction?.message?.instructions || [],
+    ...(tx?.meta?.innerInstructions || []).map(group => group.instructions || [])
+  ];
+  for (const instructions of groups) {
+    for (const ix of instructions) {
+      if (ix.parsed?.type === 'transfer' && ix.program === 'system' && ix.parsed.info?.destination === walletAddress) {
+        return { fundedBy: ix.parsed.info?.source, fundingAmount: (ix.parsed.info?.lamports || 0) / LAMPORTS_PER_SOL };
       }
     }
+  }
+  return { fundedBy: null, fundingAmount: null };
+}
+
+/**
+ * First funder of a wallet, cheaply: one Helius call, or at most FIRST_FUNDER_MAX_PAGES pages of
+ * RPC signatures. A wallet with a longer history gets null - it wasn't freshly seeded. For looking
+ * up many wallets (early buyers), where a full getDeployerInfo scan each is too slow.
+ * @param {string} walletAddress
+ * @returns {Promise<{address: string, label: string|null, category: string|null}|null>}
+ */
+export async function getFirstFunder(walletAddress) {
+  if (HELIUS_ENHANCED_API) {
+    try {
+      return labelAddress((await getDeployerInfoViaHelius(walletAddress)).fundedBy);
+    } catch (err) {
+      console.warn('Helius funder lookup failed, falling back to RPC:', err.message);
+    }
+  }
 
-    console.log('Deployer info from RPC:', { deployerAge, fundedBy });
-    return { deployerAge, fundedBy, fundingTx: oldestSig.signature };
+  try {
+    const { oldest, complete } = await findOldestSignature(walletAddress, { maxPages: FIRST_FUNDER_MAX_PAGES });
+    if (!oldest || !complete) return null;
+
+    const tx = await rpcCall('getTransaction', [oldest.signature, { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0 }]);
+    return labelAddress(findIncomingTransfer(tx, walletAddress).fundedBy);
   } catch (error) {
-    console.error('RPC getDeployerInfo error:', error);
-    return { deployerAge: null, fundedBy: null, fundingTx: null };
+    console.warn('RPC funder lookup failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Tokens launched by the deployer plus those launched by its funder, without duplicates.
+ * createdBy says whose history a token came from; foundVia is 'history' (see mergeCreatorTokens).
+ * @param {string} deployerWallet - The deployer wallet address
+ * @param {Object|null} fundedBy - First funder of the deployer (getDeployerInfo)
+ * @param {string|null} excludeToken - Current token to exclude from results
+ * @returns {Promise<Array<{mint: string, launchpad: string, launchpadId: string, createdAt: string, createdBy: string, foundVia: string}>>}
+ */
+export async function getDeployerAndFunderTokens(deployerWallet, fundedBy, excludeToken) {
+  const deployerTokens = await getDeployerCreatedTokens(deployerWallet, excludeToken);
+
+  let funderTokens = [];
+  // Labeled funders (exchanges, bridges, bots) don't launch tokens - skip scanning them
+  if (fundedBy && fundedBy.address !== deployerWallet && !fundedBy.label) {
+    funderTokens = await getDeployerCreatedTokens(fundedBy.address, excludeToken);
   }
+
+  return mergeCreatorTokens([
+    deployerTokens.map(token => ({ ...token, createdBy: deployerWallet, foundVia: 'history' })),
+    funderTokens.map(token => ({ ...token, createdBy: fundedBy.address, foundVia: 'history' }))
+  ], excludeToken);
 }
 
 /**
- * Generate Solscan URLs for wallet and transaction
+ * Merge creator token lists into one, deduplicated by mint - the first list a mint shows up in wins
+ * @param {Array<Array<{mint: string}>>} lists
+ * @param {string} [excludeToken] - Current token, left out
+ * @returns {Array<Object>}
  */
-export function getSolscanWalletUrl(address) {
-  return `https://solscan.io/account/${address}`;
+export function mergeCreatorTokens(lists, excludeToken) {
+  const seenMints = new Set(excludeToken ? [excludeToken.toLowerCase()] : []);
+  const merged = [];
+  for (const token of lists.flat()) {
+    const mintLower = token.mint?.toLowerCase();
+    if (!mintLower || seenMints.has(mintLower)) continue;
+    seenMints.add(mintLower);
+    merged.push(token);
+  }
+  return merged;
 }
 
 /**
  * Get other tokens created by the same deployer
- * Scans deployer's transactions for pump.fun token creations
+ * Pages through the deployer's whole history (up to CREATOR_HISTORY_PAGES) for launchpad token creations (see launchpads.js)
  * @param {string} deployerAddress - The deployer wallet address
  * @param {string} excludeToken - Current token to exclude from results
- * @returns {Promise<Array<{mint: string, createdAt: string}>>}
+ * @param {Object} [options]
+ * @param {number} [options.maxPages] - Pages of 100 transactions to scan
+ * @returns {Promise<Array<{mint: string, launchpad: string, launchpadId: string, createdAt: string}>>}
  */
-export async function getDeployerCreatedTokens(deployerAddress, excludeToken) {
+export async function getDeployerCreatedTokens(deployerAddress, excludeToken, { maxPages = CREATOR_HISTORY_PAGES } = {}) {
   if (!HELIUS_ENHANCED_API || !deployerAddress) {
     return [];
   }
@@ -347,45 +352,30 @@ export async function getDeployerCreatedTokens(deployerAddress, excludeToken) {
   console.log('Finding other tokens created by wallet:', deployerAddress);
 
   try {
-    // Get wallet's transactions
-    const url = `${HELIUS_ENHANCED_API}/addresses/${deployerAddress}/transactions?api-key=${HELIUS_API_KEY}&limit=100`;
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      console.warn('Failed to fetch transactions for wallet:', deployerAddress, response.status);
-      return [];
-    }
-
-    const transactions = await response.json();
     const excludeLower = excludeToken?.toLowerCase();
 
-    // Look for CREATE transactions where this wallet is the feePayer
+    // Look for launchpad create transactions where this wallet is the feePayer
     // This avoids needing to verify each token separately (which causes rate limiting)
     const createdTokens = [];
     const seenMints = new Set();
+    let before = null;
 
-    for (const tx of transactions) {
-      // Only look at transactions where this wallet paid the fee (they initiated it)
-      if (tx.feePayer !== deployerAddress) continue;
-
-      // Look for PUMP_FUN CREATE transactions
-      if (tx.source === 'PUMP_FUN' && tx.type === 'CREATE') {
-        // Get the token from tokenTransfers
-        if (tx.tokenTransfers) {
-          for (const transfer of tx.tokenTransfers) {
-            if (transfer.mint && transfer.mint.toLowerCase().endsWith('pump')) {
-              const mintLower = transfer.mint.toLowerCase();
-              if (mintLower !== excludeLower && !seenMints.has(mintLower)) {
-                seenMints.add(mintLower);
-                createdTokens.push({
-                  mint: transfer.mint,
-                  createdAt: tx.timestamp ? new Date(tx.timestamp * 1000).toISOString() : null
-                });
-                console.log('Found created token:', transfer.mint);
-              }
-            }
-          }
-        }
+    for (let page = 0; page < maxPages; page++) {
+      const url = `${HELIUS_ENHANCED_API}/addresses/${deployerAddress}/transactions?api-key=${HELIUS_API_KEY}&limit=100${before ? `&before=${before}` : ''}`;
+      const response = await fetchWithRetry(url);
+
+      if (!response.ok) {
+        console.warn('Failed to fetch transactions for wallet:', deployerAddress, response.status);
+        break;
+      }
+
+      const transactions = await response.json();
+      collectCreatedTokens(transactions, deployerAddress, excludeLower, seenMints, createdTokens);
+
+      if (transactions.length < 100) break;
+      before = transactions[transactions.length - 1].signature;
+      if (page === maxPages - 1) {
+        console.warn(`Stopped scanning ${deployerAddress} after ${maxPages} pages, older launches may be missing`);
       }
     }
 
@@ -397,14 +387,33 @@ export async function getDeployerCreatedTokens(deployerAddress, excludeToken) {
   }
 }
 
-export function getSolscanTxUrl(txHash) {
-  return `https://solscan.io/tx/${txHash}`;
+// Launchpad creations in one page of Helius transactions, appended to createdTokens
+function collectCreatedTokens(transactions, deployerAddress, excludeLower, seenMints, createdTokens) {
+  for (const tx of transactions) {
+    // Only look at transactions where this wallet paid the fee (they initiated it)
+    if (tx.feePayer !== deployerAddress) continue;
+
+    // Only the launchpad's create instruction counts - not pools, swaps or LP mints on the same program
+    for (const { mint, launchpad } of findLaunchpadCreations(tx)) {
+      const mintLower = mint.toLowerCase();
+      if (mintLower !== excludeLower && !seenMints.has(mintLower)) {
+        seenMints.add(mintLower);
+        createdTokens.push({
+          mint,
+          launchpad: launchpad.name,
+          launchpadId: launchpad.id,
+          createdAt: tx.timestamp ? new Date(tx.timestamp * 1000).toISOString() : null
+        });
+        console.log('Found created token:', mint, `(${launchpad.name})`);
+      }
+    }
+  }
 }
 
 export async function getAccountDetails(walletAddress) {
   if (!SOLSCAN_API_KEY) {
     console.warn('Solscan API key not configured');
-    return getMockAccountDetails(walletAddress);
+    return mocksEnabled() ? getMockAccountDetails(walletAddress) : null;
   }
 
   try {
@@ -419,17 +428,17 @@ export async function getAccountDetails(walletAddress) {
       throw new Error('Solscan API error');
     }
 
-    return response.json();
+    return { ...await response.json(), source: 'live' };
   } catch (error) {
     console.error('Solscan API error:', error);
-    return getMockAccountDetails(walletAddress);
+    return mocksEnabled() ? getMockAccountDetails(walletAddress) : null;
   }
 }
 
 export async function getTokensCreated(walletAddress) {
   if (!SOLSCAN_API_KEY) {
     console.warn('Solscan API key not configured');
-    return getMockTokensCreated();
+    return mocksEnabled() ? getMockTokensCreated() : null;
   }
 
   try {
@@ -444,10 +453,10 @@ export async function getTokensCreated(walletAddress) {
       throw new Error('Solscan API error');
     }
 
-    return response.json();
+    return { ...await response.json(), source: 'live' };
   } catch (error) {
     console.error('Solscan token API error:', error);
-    return getMockTokensCreated();
+    return mocksEnabled() ? getMockTokensCreated() : null;
   }
 }
 
@@ -488,7 +497,7 @@ export function calculateWalletAge(accountData) {
   return null;
 }
 
-// Mock data for development
+// Mock data for development (ENABLE_MOCKS=true only)
 function getMockAccountDetails(walletAddress) {
   const hash = walletAddress.split('').reduce((acc, char) => {
     return ((acc << 5) - acc) + char.charCodeAt(0);
@@ -503,7 +512,8 @@ function getMockAccountDetails(walletAddress) {
       lamports: Math.abs(hash % 10000000000),
       first_tx_time: firstTxTime,
       executable: false
-    }
+    },
+    source: 'mock'
   };
 }
 
@@ -514,6 +524,7 @@ function getMockTokensCreated() {
         mint: `mock_token_${i}`,
         amount: Math.floor(Math.random() * 1000000)
       }))
-    }
+    },
+    source: 'mock'
   };
 }
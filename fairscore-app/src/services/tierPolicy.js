@@ -0,0 +1,127 @@
+import defaultPolicy from '../data/tierPolicy.json' with { type: 'json' };
+
+// API URL - use proxy in dev, configure VITE_API_URL for production
+const API_URL = import.meta.env?.DEV ? '' : (import.meta.env?.VITE_API_URL || '');
+
+/**
+ * Check a policy and sort its tiers best first. Throws if it can't be used.
+ * Colors must be #rrggbb - the UI appends alpha to them.
+ */
+function normalizePolicy(policy) {
+  if (!Array.isArray(policy?.tiers) || policy.tiers.length === 0) {
+    throw new Error('tier policy has no tiers');
+  }
+  for (const tier of policy.tiers) {
+    if (!tier.name || typeof tier.minScore !== 'number' || !/^#[0-9a-f]{6}$/i.test(tier.color || '')) {
+      throw new Error(`invalid tier ${JSON.stringify(tier.name)}`);
+    }
+  }
+
+  const tiers = [...policy.tiers].sort((a, b) => b.minScore - a.minScore);
+  const fallbackTier = tiers.some(t => t.name === policy.fallbackTier)
+    ? policy.fallbackTier
+    : tiers[Math.floor(tiers.length / 2)].name;
+  return { fallbackTier, tiers };
+}
+
+// A loaded policy is fetched again after this long, so edits to the hosted one show up without a restart
+export const DEFAULT_POLICY_TTL_MS = 10 * 60 * 1000;
+
+// The browser loads whatever policy the server is using; the server has none to fetch unless
+// its callers pass one (TIER_POLICY_SOURCE in serverConfig.js). This module is shared with the
+// browser, so it reads no server config itself.
+const DEFAULT_POLICY_URL = typeof window === 'undefined' ? null : `${API_URL}/api/tier-policy`;
+
+// Built-in policy (src/data/tierPolicy.json) until loadTierPolicy() replaces it
+let activePolicy = normalizePolicy(defaultPolicy);
+let loading = null;
+let loadedAt = 0;
+
+async function fetchTierPolicy(url) {
+  if (!url) return activePolicy;
+
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`status ${response.status}`);
+    }
+    activePolicy = normalizePolicy(await response.json());
+    console.log(`Loaded tier policy from ${url} (${activePolicy.tiers.length} tiers)`);
+  } catch (error) {
+    console.warn('Could not load tier policy from', url, '- keeping the current one:', error.message);
+  }
+  return activePolicy;
+}
+
+/**
+ * Load the tier policy, re-fetching it once it's older than ttlMs (calls in between share the
+ * last load). Never rejects - on any failure the last good policy stays active (the built-in one
+ * if none loaded yet).
+ * @param {Object} [source]
+ * @param {string|null} [source.url] - Policy JSON (default: /api/tier-policy in the browser, none on the server)
+ * @param {number} [source.ttlMs] - How long a load is reused
+ * @returns {Promise<{fallbackTier: string, tiers: Array<{name: string, minScore: number, label: string, color: string, emoji: string, tone: string, roasts: string[]}>}>}
+ */
+export function loadTierPolicy({ url = DEFAULT_POLICY_URL, ttlMs = DEFAULT_POLICY_TTL_MS } = {}) {
+  if (!loading || Date.now() - loadedAt > ttlMs) {
+    loadedAt = Date.now();
+    loading = fetchTierPolicy(url);
+  }
+  return loading;
+}
+
+export function getTierPolicy() {
+  return activePolicy;
+}
+
+// Tier definition by name, or the fallback tier for unknown names
+export function getTier(name) {
+  const { tiers, fallbackTier } = activePolicy;
+  return tiers.find(t => t.name === name) || tiers.find(t => t.name === fallbackTier);
+}
+
+export function getTierFromScore(score) {
+  const { tiers } = activePolicy;
+  return (tiers.find(t => score >= t.minScore) || tiers[tiers.length - 1]).name;
+}
+
+// True if the tier ranks at or below the threshold tier (e.g. RISKY or worse)
+export function isTierAtOrBelow(name, threshold) {
+  return getTier(name).minScore <= getTier(threshold).minScore;
+}
+
+export function getTierColor(name) {
+  return getTier(name).color;
+}
+
+// text-shadow glow in the tier's color
+export function getTierGlow(name) {
+  const { color } = getTier(name);
+  return `0 0 20px ${color}cc, 0 0 40px ${color}66`;
+}
+
+export function getTierLabel(name) {
+  return getTier(name).label || name.toLowerCase();
+}
+
+// Emoji set (good / mid / bad) shown for the tier
+export function getTierEmojiSet(name) {
+  return getTier(name).emoji || 'mid';
+}
+
+export function getTierRoasts(name) {
+  return getTier(name).roasts || [];
+}
+
+// "Tone by score" lines for the roast prompt, one per tier
+export function getRoastTones() {
+  const { tiers } = activePolicy;
+  return tiers.map((tier, i) => {
+    const range = i === 0
+      ? `${tier.minScore}+`
+      : tier.minScore <= 0
+        ? `Under ${tiers[i - 1].minScore}`
+        : `${tier.minScore}-${tiers[i - 1].minScore - 1}`;
+    return `- ${range} (${tier.name}): ${tier.tone}`;
+  }).join('\n');
+}
@@ -0,0 +1,102 @@
+import { getEnv } from '../utils/env.js';
+
+// Top 10 share (percentage points) has to rise this much between re-checks. Override with WATCH_TOP10_JUMP.
+const TOP10_JUMP = Number(getEnv('WATCH_TOP10_JUMP')) || 10;
+
+// Share of supply (percentage points) the dev has to sell between re-checks. Override with WATCH_DEV_SOLD_STEP.
+const DEV_SOLD_STEP = Number(getEnv('WATCH_DEV_SOLD_STEP')) || 1;
+
+/**
+ * What changed between two re-checks of a watched token or deployer
+ * - tier-change: the deployer score moved into another tier
+ * - new-launch: the dev itself launched a token since the last re-check (own history scan only - the
+ *   funder's launches and rugcheck's list come and go between runs)
+ * - dev-sold: the dev sold at least DEV_SOLD_STEP% more of the supply
+ * - top10-jump: the top 10 holders' share rose by TOP10_JUMP points or more
+ * - rugged: the token (or one of the dev's tokens we already knew) got flagged as rugged
+ */
+export const WATCH_EVENT_TYPES = ['tier-change', 'new-launch', 'dev-sold', 'top10-jump', 'rugged'];
+
+const tokenLabel = (token) => token.symbol ? `$${token.symbol}` : `${token.mint.slice(0, 4)}...${token.mint.slice(-4)}`;
+
+/**
+ * The part of a check result the watchlist compares between re-checks
+ * @param {Object} result - analyzeToken or analyzeDeployer result
+ * @returns {{score: number, tier: string, deployerWallet: string, tokensLaunched: number, creatorTokens: Array<{mint: string, symbol: string|null, outcome: string|null, own: boolean, createdAt: string|null}>, devSoldPct: number|null, top10HeldPct: number|null, rugged: boolean|null, checkedAt: number}}
+ */
+export function toWatchSnapshot(result) {
+  return {
+    score: result.score,
+    tier: result.tier,
+    deployerWallet: result.deployerWallet,
+    tokensLaunched: result.tokensLaunched,
+    creatorTokens: (result.creatorTokens || []).map(token => ({
+      mint: token.mint,
+      symbol: token.symbol ?? null,
+      outcome: token.rugged ? 'rugged' : token.outcome ?? null,
+      // Found in the deployer's own history scan (see getDeployerAndFunderTokens)
+      own: token.createdBy === result.deployerWallet && token.foundVia === 'history',
+      createdAt: token.createdAt ?? null
+    })),
+    devSoldPct: result.devSoldPct ?? null,
+    top10HeldPct: result.top10HeldPct ?? null,
+    // Only token checks say whether the token itself rugged
+    rugged: result.rugged ?? null,
+    checkedAt: result.checkedAt
+  };
+}
+
+/**
+ * Events between the previous and the current snapshot (see WATCH_EVENT_TYPES)
+ * @param {Object} previous - toWatchSnapshot() of the last re-check
+ * @param {Object} current - toWatchSnapshot() of this re-check
+ * @returns {Array<{type: string, message: string, data: Object}>}
+ */
+export function diffWatchSnapshots(previous, current) {
+  const events = [];
+
+  if (previous.tier !== current.tier) {
+    events.push({
+      type: 'tier-change',
+      message: `tier ${previous.tier} → ${current.tier} (score ${previous.score} → ${current.score})`,
+      data: { from: previous.tier, to: current.tier, fromScore: previous.score, toScore: current.score }
+    });
+  }
+
+  const known = new Map(previous.creatorTokens.map(token => [token.mint, token]));
+  for (const token of current.creatorTokens) {
+    const before = known.get(token.mint);
+    const launchedSince = token.createdAt != null && Date.parse(token.createdAt) > previous.checkedAt;
+    if (!before && token.own && launchedSince) {
+      events.push({ type: 'new-launch', message: `dev launched ${tokenLabel(token)}`, data: { mint: token.mint } });
+    }
+    if (before && token.outcome === 'rugged' && before.outcome !== 'rugged') {
+      events.push({ type: 'rugged', message: `dev's token ${tokenLabel(token)} rugged`, data: { mint: token.mint } });
+    }
+  }
+
+  // No earlier figure (holdings lookup failed, or the watch is a deployer) - this one is the baseline,
+  // not a sale since the last re-check
+  if (previous.devSoldPct != null && current.devSoldPct != null && current.devSoldPct - previous.devSoldPct >= DEV_SOLD_STEP) {
+    const sold = current.devSoldPct - previous.devSoldPct;
+    events.push({
+      type: 'dev-sold',
+      message: `dev sold ${sold.toFixed(1)}% more of the supply (${current.devSoldPct.toFixed(1)}% so far)`,
+      data: { from: previous.devSoldPct, to: current.devSoldPct }
+    });
+  }
+
+  if (previous.top10HeldPct != null && current.top10HeldPct != null && current.top10HeldPct - previous.top10HeldPct >= TOP10_JUMP) {
+    events.push({
+      type: 'top10-jump',
+      message: `top 10 holders went ${previous.top10HeldPct.toFixed(1)}% → ${current.top10HeldPct.toFixed(1)}%`,
+      data: { from: previous.top10HeldPct, to: current.top10HeldPct }
+    });
+  }
+
+  if (current.rugged && !previous.rugged) {
+    events.push({ type: 'rugged', message: 'token flagged as rugged', data: {} });
+  }
+
+  return events;
+}
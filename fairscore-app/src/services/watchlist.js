@@ -0,0 +1,113 @@
+// API URL - use proxy in dev, configure VITE_API_URL for production
+const API_URL = import.meta.env?.DEV ? '' : (import.meta.env?.VITE_API_URL || '');
+
+// Adding and removing watches needs the server's WATCHLIST_ADMIN_TOKEN. The build never has it -
+// whoever runs the server types it in once and it's kept in this browser.
+const ADMIN_TOKEN_KEY = 'fairscore_watchlist_token';
+
+/**
+ * Make sure there's a watchlist admin token, asking for it if none is saved yet
+ * @returns {boolean} False if the user cancelled
+ */
+export function ensureWatchlistToken() {
+  if (localStorage.getItem(ADMIN_TOKEN_KEY)) return true;
+  const token = window.prompt('watchlist admin token (WATCHLIST_ADMIN_TOKEN on the server)')?.trim();
+  if (!token) return false;
+  localStorage.setItem(ADMIN_TOKEN_KEY, token);
+  return true;
+}
+
+function adminHeaders() {
+  const token = localStorage.getItem(ADMIN_TOKEN_KEY);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// A rejected token is forgotten so the next add/remove asks again
+function forgetRejectedToken(response) {
+  if (response.status === 401) {
+    localStorage.removeItem(ADMIN_TOKEN_KEY);
+  }
+}
+
+/**
+ * Fetch everything on the watchlist (Express server only)
+ * @returns {Promise<Array>} Watches, newest first
+ */
+export async function fetchWatchlist() {
+  try {
+    const response = await fetch(`${API_URL}/api/watchlist`);
+    if (!response.ok) {
+      throw new Error('Failed to fetch watchlist');
+    }
+    const data = await response.json();
+    return data.items || [];
+  } catch (error) {
+    console.error('Error fetching watchlist:', error);
+    return [];
+  }
+}
+
+/**
+ * Watch a token mint or deployer wallet (needs the admin token, see ensureWatchlistToken)
+ * @param {'token'|'deployer'} kind
+ * @param {string} address - Mint or wallet
+ * @param {string} [label] - Shown instead of the address (e.g. token name)
+ * @returns {Promise<Object|null>} The watch or null on error
+ */
+export async function addToWatchlist(kind, address, label = null) {
+  try {
+    const response = await fetch(`${API_URL}/api/watchlist`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...adminHeaders()
+      },
+      body: JSON.stringify({ kind, address, label })
+    });
+
+    if (!response.ok) {
+      forgetRejectedToken(response);
+      throw new Error('Failed to add to watchlist');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error adding to watchlist:', error);
+    return null;
+  }
+}
+
+/**
+ * Stop watching (needs the admin token, see ensureWatchlistToken)
+ * @param {number} id - Watch id
+ * @returns {Promise<boolean>} True if it was removed
+ */
+export async function removeFromWatchlist(id) {
+  try {
+    const response = await fetch(`${API_URL}/api/watchlist/${id}`, { method: 'DELETE', headers: adminHeaders() });
+    forgetRejectedToken(response);
+    return response.ok;
+  } catch (error) {
+    console.error('Error removing from watchlist:', error);
+    return false;
+  }
+}
+
+/**
+ * Fetch change events of watched tokens and deployers, newest first
+ * @param {Object} [query] - Optional: watchId, limit, cursor
+ * @returns {Promise<{items: Array, nextCursor: string|null}>}
+ */
+export async function fetchWatchEvents(query = {}) {
+  try {
+    const params = new URLSearchParams(Object.entries(query).filter(([, value]) => value != null));
+    const response = await fetch(`${API_URL}/api/watchlist/events${params.size > 0 ? `?${params}` : ''}`);
+    if (!response.ok) {
+      throw new Error('Failed to fetch watch events');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching watch events:', error);
+    return { items: [], nextCursor: null };
+  }
+}
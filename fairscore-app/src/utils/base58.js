@@ -0,0 +1,59 @@
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const ALPHABET_MAP = new Map([...ALPHABET].map((char, i) => [char, i]));
+
+// Decode a base58 string (instruction data, addresses) to bytes
+export function base58Decode(value) {
+  const bytes = [];
+  for (const char of value) {
+    const digit = ALPHABET_MAP.get(char);
+    if (digit === undefined) throw new Error(`Invalid base58 character: ${char}`);
+
+    let carry = digit;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  // Leading '1's are leading zero bytes
+  for (let i = 0; i < value.length && value[i] === '1'; i++) {
+    bytes.push(0);
+  }
+  return Uint8Array.from(bytes.reverse());
+}
+
+// Encode bytes (e.g. a 32-byte pubkey) as base58
+export function base58Encode(bytes) {
+  const digits = [];
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+
+  let result = '';
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+    result += '1';
+  }
+  for (let i = digits.length - 1; i >= 0; i--) {
+    result += ALPHABET[digits[i]];
+  }
+  return result;
+}
+
+// Decode base64 (program logs) to bytes - works in the browser and Node
+export function base64Decode(value) {
+  return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
@@ -0,0 +1,23 @@
+/**
+ * Map over items with at most `limit` calls in flight (keeps us under API rate limits)
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit - Max concurrent calls
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
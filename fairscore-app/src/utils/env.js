@@ -0,0 +1,12 @@
+// True when running under Node (Express server, Vercel functions, scripts)
+export const isServer = typeof window === 'undefined';
+
+/**
+ * Read a server config value (HELIUS_API_KEY, ...) from process.env.
+ * Server-only: nothing the browser build imports may use this - the browser gets no keys.
+ * @param {string} name - Variable name
+ * @returns {string|undefined}
+ */
+export function getEnv(name) {
+  return globalThis.process?.env?.[name];
+}
@@ -0,0 +1,17 @@
+// Solscan links. Kept apart from services/solscan.js so UI code can build links
+// without pulling the RPC client into the browser bundle.
+
+/**
+ * Generate Solscan URLs for wallet and transaction
+ */
+export function getSolscanWalletUrl(address) {
+  return `https://solscan.io/account/${address}`;
+}
+
+export function getSolscanTxUrl(txHash) {
+  return `https://solscan.io/tx/${txHash}`;
+}
+
+export function getSolscanTokenUrl(mint) {
+  return `https://solscan.io/token/${mint}`;
+}
@@ -21,6 +21,11 @@ export default defineConfig({
         changeOrigin: true,
         rewrite: (path) => path.replace(/^\/api\/fairscale/, ''),
       },
+      // Everything else under /api is served by the Express server (server/index.js)
+      '/api': {
+        target: 'http://localhost:3001',
+        changeOrigin: true,
+      },
     }
   }
 })